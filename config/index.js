@@ -0,0 +1,296 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { SCHEMA, CHECKS } = require('./schema');
+const { normalizeShopDomain } = require('../utils/helpers');
+
+const REDACTED = '[redacted]';
+const LOCAL_CONFIG_FILE = path.join(__dirname, 'local.json');
+const PROFILE_PATTERN = /^[a-z0-9_-]+$/i;
+
+class ConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid configuration: ${errors.map(error => formatConfigError(error)).join('; ')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+// "PORT: must be a whole number (config/local.json)"
+const formatConfigError = (error) => {
+  const name = error.env || error.setting || 'config';
+  const source = error.source && error.source !== 'env' ? ` (${error.source})` : '';
+  return `${name}: ${error.message}${source}`;
+};
+
+const isTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const toNumber = (value, message) => {
+  const parsed = typeof value === 'number' ? value : Number(String(value).trim());
+  if (typeof value === 'boolean' || String(value).trim() === '' || !Number.isFinite(parsed)) {
+    throw new Error(message);
+  }
+  return parsed;
+};
+
+// Values come from the environment (strings) or config files (JSON types);
+// each parser returns the typed value or throws with what is wrong
+const TYPES = {
+  string: (value) => String(value),
+  number: (value) => toNumber(value, 'must be a number'),
+  integer: (value) => {
+    const parsed = toNumber(value, 'must be a whole number');
+    if (!Number.isInteger(parsed)) {
+      throw new Error('must be a whole number');
+    }
+    return parsed;
+  },
+  boolean: (value) => {
+    if (typeof value === 'boolean') {
+      return value;
+    }
+    const text = String(value).trim().toLowerCase();
+    if (text === 'true' || text === '1') {
+      return true;
+    }
+    if (text === 'false' || text === '0') {
+      return false;
+    }
+    throw new Error('must be true or false');
+  },
+  list: (value) => {
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    return items.map(item => String(item).trim()).filter(Boolean);
+  },
+  url: (value) => {
+    let url;
+    try {
+      url = new URL(String(value));
+    } catch (error) {
+      throw new Error('must be a URL');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new Error('must be an http(s) URL');
+    }
+    return String(value).replace(/\/$/, '');
+  },
+  shop: (value) => {
+    const shop = normalizeShopDomain(value);
+    if (!shop) {
+      throw new Error('must be a shop domain like my-store.myshopify.com');
+    }
+    return shop;
+  },
+  timezone: (value) => {
+    if (!isTimezone(String(value))) {
+      throw new Error('must be an IANA time zone like Europe/Berlin');
+    }
+    return String(value);
+  }
+};
+
+const shown = (value, spec) => (spec.secret ? '' : ` (got ${JSON.stringify(value)})`);
+
+// Parses one raw value against its schema entry
+const parseSetting = (raw, spec) => {
+  const value = TYPES[spec.type](raw);
+
+  if (typeof value === 'number') {
+    if (spec.min !== undefined && value < spec.min) {
+      throw new Error(`must be at least ${spec.min}${shown(value, spec)}`);
+    }
+    if (spec.max !== undefined && value > spec.max) {
+      throw new Error(`must be at most ${spec.max}${shown(value, spec)}`);
+    }
+  }
+
+  if (spec.minItems !== undefined && value.length < spec.minItems) {
+    throw new Error(`needs at least ${spec.minItems} item${spec.minItems === 1 ? '' : 's'}`);
+  }
+
+  for (const item of [].concat(value)) {
+    if (spec.values && !spec.values.includes(item)) {
+      throw new Error(`must be one of ${spec.values.join(', ')}${shown(item, spec)}`);
+    }
+    if (spec.pattern && !spec.pattern.test(item)) {
+      throw new Error(`is not in the expected format${shown(item, spec)}`);
+    }
+  }
+  return value;
+};
+
+// Reads a profile or config file: { "<section>": { "<key>": value } }
+const readConfigFile = (file, errors) => {
+  const source = path.relative(process.cwd(), file) || file;
+  let values;
+  try {
+    values = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    errors.push({ source, message: `could not be read: ${error.message}` });
+    return null;
+  }
+
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    errors.push({ source, message: 'must contain a JSON object' });
+    return null;
+  }
+  for (const [section, settings] of Object.entries(values)) {
+    for (const key of Object.keys(settings || {})) {
+      if (!SCHEMA[section] || !SCHEMA[section][key]) {
+        errors.push({ setting: `${section}.${key}`, source, message: 'is not a known setting' });
+      }
+    }
+  }
+  return { source, values };
+};
+
+// Works out every setting from the schema defaults, the profile file
+// (config/<profile>.json), the config file (CONFIG_FILE, or config/local.json
+// when it exists) and the environment, each overriding the one before.
+// Never throws: problems are returned in `errors`, and settings that failed
+// keep their default.
+const resolveConfig = (env = process.env) => {
+  const errors = [];
+  const layers = [];
+  const profile = env.CONFIG_PROFILE || env.NODE_ENV || 'development';
+
+  if (!PROFILE_PATTERN.test(profile)) {
+    errors.push({ env: 'CONFIG_PROFILE', message: `is not a profile name (got ${JSON.stringify(profile)})` });
+  } else {
+    const profileFile = path.join(__dirname, `${profile}.json`);
+    if (fs.existsSync(profileFile)) {
+      layers.push(readConfigFile(profileFile, errors));
+    } else if (env.CONFIG_PROFILE) {
+      errors.push({ env: 'CONFIG_PROFILE', message: `no config/${profile}.json for this profile` });
+    }
+  }
+
+  const configFile = env.CONFIG_FILE ? path.resolve(env.CONFIG_FILE) : LOCAL_CONFIG_FILE;
+  if (fs.existsSync(configFile)) {
+    layers.push(readConfigFile(configFile, errors));
+  } else if (env.CONFIG_FILE) {
+    errors.push({ env: 'CONFIG_FILE', message: `${env.CONFIG_FILE} not found` });
+  }
+
+  const loaded = layers.filter(Boolean);
+  const values = {};
+  const sources = {};
+
+  for (const [section, settings] of Object.entries(SCHEMA)) {
+    values[section] = {};
+    for (const [key, spec] of Object.entries(settings)) {
+      const setting = `${section}.${key}`;
+      let raw;
+      let source = 'default';
+
+      for (const layer of loaded) {
+        const fileSection = layer.values[section];
+        if (fileSection && fileSection[key] !== undefined && fileSection[key] !== null) {
+          raw = fileSection[key];
+          source = layer.source;
+        }
+      }
+      // An empty variable counts as not set, as `process.env.X || default` did
+      if (env[spec.env] !== undefined && env[spec.env] !== '') {
+        raw = env[spec.env];
+        source = 'env';
+      }
+
+      const fallback = Array.isArray(spec.default) ? [...spec.default] : spec.default;
+      values[section][key] = fallback;
+      sources[setting] = raw === undefined ? 'default' : source;
+
+      if (raw === undefined) {
+        if (spec.required) {
+          errors.push({ setting, env: spec.env, message: 'not set' });
+        }
+        continue;
+      }
+
+      try {
+        values[section][key] = parseSetting(raw, spec);
+      } catch (error) {
+        errors.push({ setting, env: spec.env, source, message: error.message });
+      }
+    }
+  }
+
+  CHECKS.forEach(({ setting, env: name, check }) => {
+    const message = check(values);
+    if (message) {
+      errors.push({ setting, env: name, message });
+    }
+  });
+
+  return { profile, files: loaded.map(layer => layer.source), values, sources, errors };
+};
+
+// Every module reads its settings from here. The configuration is resolved
+// once when first required; load() resolves it again (tests that change the
+// environment, the CLI). index.js refuses to start while `errors` is not
+// empty.
+class Config {
+  constructor() {
+    this.load();
+  }
+
+  load(env = process.env) {
+    const resolved = resolveConfig(env);
+    for (const section of Object.keys(SCHEMA)) {
+      this[section] = resolved.values[section];
+    }
+    this.profile = resolved.profile;
+    this.files = resolved.files;
+    this.sources = resolved.sources;
+    this.errors = resolved.errors;
+    return this;
+  }
+
+  get isProduction() {
+    return this.server.nodeEnv === 'production';
+  }
+
+  assertValid() {
+    if (this.errors.length > 0) {
+      throw new ConfigError(this.errors);
+    }
+  }
+
+  // Every setting with where it came from; secrets only say whether they
+  // are set
+  redacted() {
+    const settings = {};
+    for (const [section, specs] of Object.entries(SCHEMA)) {
+      settings[section] = {};
+      for (const [key, spec] of Object.entries(specs)) {
+        const value = this[section][key];
+        const isSet = value !== undefined && value !== null && !(Array.isArray(value) && value.length === 0);
+        settings[section][key] = {
+          value: spec.secret ? (isSet ? REDACTED : null) : (value === undefined ? null : value),
+          env: spec.env,
+          source: this.sources[`${section}.${key}`]
+        };
+      }
+    }
+    return {
+      profile: this.profile,
+      files: this.files,
+      errors: this.errors.map(formatConfigError),
+      settings
+    };
+  }
+}
+
+module.exports = new Config();
+module.exports.Config = Config;
+module.exports.ConfigError = ConfigError;
+module.exports.resolveConfig = resolveConfig;
+module.exports.formatConfigError = formatConfigError;
+module.exports.REDACTED = REDACTED;
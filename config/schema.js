@@ -0,0 +1,142 @@
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, '../data');
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// "mon-fri 09:00-17:00", "sat 10:00-14:00"
+const DAY = `(?:${DAYS.join('|')})`;
+const CLOCK = '(?:[01]\\d|2[0-3]):[0-5]\\d';
+const WINDOW_PATTERN = new RegExp(`^${DAY}(?:-${DAY})? ${CLOCK}-(?:${CLOCK}|24:00)$`);
+// "2026-11-27/2026-11-30" or "2026-11-27T18:00/2026-11-28T06:00", local time
+const LOCAL_TIME = `\\d{4}-\\d{2}-\\d{2}(?:T${CLOCK})?`;
+const BLACKOUT_PATTERN = new RegExp(`^${LOCAL_TIME}/${LOCAL_TIME}$`);
+const CLOCK_PATTERN = new RegExp(`^${CLOCK}$`);
+// ADMIN_API_KEYS / ADMIN_USERS entries, "name:role:secret" (roles from
+// controllers/auth.js)
+const CREDENTIAL_PATTERN = /^[^:\s]+:(read_only|operator):.+$/;
+// A released version (2025-01, 2025-04, ...) or "unstable"
+const API_VERSION_PATTERN = /^(\d{4}-(01|04|07|10)|unstable)$/;
+
+// Every setting the app reads, by section. `env` is the variable that
+// overrides it; config files use the section and key names. Types are
+// parsed and checked by config/index.js:
+//   string, integer, number, boolean, list (comma-separated), url, shop, timezone
+// min/max bound numbers, `values` lists the allowed strings (of each item for
+// lists), `pattern` is matched against strings (each item for lists) and
+// `minItems` is the shortest list allowed.
+// `secret` values are never shown by /config or check-config.
+const SCHEMA = {
+  server: {
+    port: { env: 'PORT', type: 'integer', default: 3000, min: 0, max: 65535 },
+    nodeEnv: { env: 'NODE_ENV', type: 'string', default: 'development' },
+    appUrl: { env: 'SHOPIFY_APP_URL', type: 'url' },
+    corsOrigins: { env: 'CORS_ORIGINS', type: 'list', default: [] },
+    shutdownTimeoutMs: { env: 'SHUTDOWN_TIMEOUT_MS', type: 'integer', default: 25000, min: 0 },
+    dashboardRefreshMs: { env: 'DASHBOARD_REFRESH_MS', type: 'integer', default: 5000, min: 500 }
+  },
+  shopify: {
+    shopName: { env: 'SHOPIFY_SHOP_NAME', type: 'shop' },
+    clientId: { env: 'SHOPIFY_CLIENT_ID', type: 'string', required: true },
+    clientSecret: { env: 'SHOPIFY_CLIENT_SECRET', type: 'string', required: true, secret: true },
+    webhookSecret: { env: 'SHOPIFY_WEBHOOK_SECRET', type: 'string', secret: true },
+    apiVersion: { env: 'SHOPIFY_API_VERSION', type: 'string', default: '2025-01', pattern: API_VERSION_PATTERN },
+    apiMode: { env: 'SHOPIFY_API_MODE', type: 'string', default: 'graphql', values: ['graphql', 'rest'] },
+    apiBaseUrl: { env: 'SHOPIFY_API_BASE_URL', type: 'url' },
+    scopes: { env: 'SHOPIFY_SCOPES', type: 'string', default: 'read_orders,write_orders,read_products,read_fulfillments' },
+    httpMaxRetries: { env: 'SHOPIFY_HTTP_MAX_RETRIES', type: 'integer', default: 3, min: 0, max: 10 },
+    restLeakRate: { env: 'SHOPIFY_REST_LEAK_RATE', type: 'number', default: 2, min: 0.1 },
+    tokenEncryptionKey: { env: 'TOKEN_ENCRYPTION_KEY', type: 'string', secret: true }
+  },
+  auth: {
+    adminApiKeys: { env: 'ADMIN_API_KEYS', type: 'list', default: [], secret: true, pattern: CREDENTIAL_PATTERN },
+    adminUsers: { env: 'ADMIN_USERS', type: 'list', default: [], secret: true, pattern: CREDENTIAL_PATTERN },
+    metricsToken: { env: 'METRICS_TOKEN', type: 'string', secret: true }
+  },
+  capture: {
+    payLaterDelayMinutes: { env: 'PAY_LATER_DELAY_MINUTES', type: 'number', default: 30, min: 0 },
+    payLaterBusinessDays: { env: 'PAY_LATER_BUSINESS_DAYS', type: 'integer', min: 0, max: 30 },
+    payLaterAt: { env: 'PAY_LATER_AT', type: 'string', pattern: CLOCK_PATTERN },
+    authValidityDays: { env: 'AUTH_VALIDITY_DAYS', type: 'number', default: 7, min: 1, max: 30 },
+    authExpirySafetyMarginHours: { env: 'AUTH_EXPIRY_SAFETY_MARGIN_HOURS', type: 'number', default: 12, min: 0 },
+    authExpiryWarningHours: { env: 'AUTH_EXPIRY_WARNING_HOURS', type: 'number', default: 24, min: 0 },
+    autoVoidEnabled: { env: 'AUTO_VOID_ENABLED', type: 'boolean', default: false },
+    // What happens to an on_fulfillment order that has not shipped by the
+    // expiry safety margin: capture what is left, or void the authorization
+    fulfillmentFallback: { env: 'FULFILLMENT_FALLBACK', type: 'string', default: 'capture', values: ['capture', 'void'] },
+    maxAttempts: { env: 'CAPTURE_MAX_ATTEMPTS', type: 'integer', default: 5, min: 1 },
+    retryBaseMs: { env: 'CAPTURE_RETRY_BASE_MS', type: 'integer', default: 60000, min: 0 },
+    retryMaxMs: { env: 'CAPTURE_RETRY_MAX_MS', type: 'integer', default: 60 * 60 * 1000, min: 0 },
+    retryJitter: { env: 'CAPTURE_RETRY_JITTER', type: 'number', default: 0.2, min: 0, max: 1 },
+    shadowMode: { env: 'SHADOW_MODE', type: 'boolean', default: false },
+    shadowShops: { env: 'SHADOW_SHOPS', type: 'list', default: [] }
+  },
+  calendar: {
+    defaultTimezone: { env: 'DEFAULT_SHOP_TIMEZONE', type: 'timezone', default: 'UTC' },
+    businessDays: { env: 'CAPTURE_BUSINESS_DAYS', type: 'list', default: ['mon', 'tue', 'wed', 'thu', 'fri'], values: DAYS, minItems: 1 },
+    holidayFiles: { env: 'CAPTURE_HOLIDAY_FILES', type: 'list', default: [] },
+    windows: { env: 'CAPTURE_WINDOWS', type: 'list', default: [], pattern: WINDOW_PATTERN },
+    blackouts: { env: 'CAPTURE_BLACKOUTS', type: 'list', default: [], pattern: BLACKOUT_PATTERN }
+  },
+  alerts: {
+    slackWebhookUrls: { env: 'ALERT_SLACK_WEBHOOK_URLS', type: 'list', default: [], secret: true },
+    webhookUrls: { env: 'ALERT_WEBHOOK_URLS', type: 'list', default: [], secret: true },
+    emailTo: { env: 'ALERT_EMAIL_TO', type: 'list', default: [] },
+    emailFrom: { env: 'ALERT_EMAIL_FROM', type: 'string' },
+    dedupMinutes: { env: 'ALERT_DEDUP_MINUTES', type: 'number', default: 30, min: 0 },
+    maxPerHour: { env: 'ALERT_MAX_PER_HOUR', type: 'integer', default: 30, min: 0 },
+    smtpHost: { env: 'SMTP_HOST', type: 'string' },
+    smtpPort: { env: 'SMTP_PORT', type: 'integer', min: 1, max: 65535 },
+    smtpSecure: { env: 'SMTP_SECURE', type: 'boolean', default: false },
+    // Lets SMTP_USER log in over a connection without TLS
+    smtpAllowInsecureAuth: { env: 'SMTP_ALLOW_INSECURE_AUTH', type: 'boolean', default: false },
+    smtpUser: { env: 'SMTP_USER', type: 'string' },
+    smtpPassword: { env: 'SMTP_PASSWORD', type: 'string', secret: true }
+  },
+  reconcile: {
+    intervalMinutes: { env: 'RECONCILE_INTERVAL_MINUTES', type: 'number', default: 60, min: 0 },
+    lookbackHours: { env: 'RECONCILE_LOOKBACK_HOURS', type: 'number', default: 168, min: 1 },
+    graceMinutes: { env: 'RECONCILE_GRACE_MINUTES', type: 'number', default: 15, min: 0 }
+  },
+  webhooks: {
+    inboxRetentionDays: { env: 'WEBHOOK_INBOX_RETENTION_DAYS', type: 'number', default: 14, min: 0 },
+    queueConcurrency: { env: 'WEBHOOK_QUEUE_CONCURRENCY', type: 'integer', default: 2, min: 1, max: 50 }
+  },
+  logging: {
+    level: { env: 'LOG_LEVEL', type: 'string', default: 'info', values: ['debug', 'info', 'warn', 'error'] },
+    console: { env: 'LOG_CONSOLE', type: 'boolean', default: true },
+    dir: { env: 'LOG_DIR', type: 'string', default: path.join(__dirname, '../logs') },
+    maxBytes: { env: 'LOG_MAX_BYTES', type: 'integer', default: 10 * 1024 * 1024, min: 1024 },
+    maxFiles: { env: 'LOG_MAX_FILES', type: 'integer', default: 14, min: 1 }
+  },
+  paths: {
+    jobStore: { env: 'JOB_STORE_PATH', type: 'string', default: path.join(DATA_DIR, 'jobs.json') },
+    ledger: { env: 'LEDGER_PATH', type: 'string', default: path.join(DATA_DIR, 'ledger.jsonl') },
+    auditLog: { env: 'AUDIT_LOG_PATH', type: 'string', default: path.join(DATA_DIR, 'audit.log') },
+    shopStore: { env: 'SHOP_STORE_PATH', type: 'string', default: path.join(DATA_DIR, 'shops.json') },
+    shadowLog: { env: 'SHADOW_LOG_PATH', type: 'string', default: path.join(DATA_DIR, 'shadow.jsonl') },
+    reconcilerState: { env: 'RECONCILER_STATE_PATH', type: 'string', default: path.join(DATA_DIR, 'reconciler.json') },
+    webhookInbox: { env: 'WEBHOOK_INBOX_PATH', type: 'string', default: path.join(DATA_DIR, 'webhooks.json') },
+    paymentRules: { env: 'PAYMENT_RULES_PATH', type: 'string', default: path.join(__dirname, 'payment-rules.json') },
+    paymentRulesDir: { env: 'PAYMENT_RULES_DIR', type: 'string', default: path.join(__dirname, 'rules') }
+  }
+};
+
+// Settings that depend on each other, checked once every setting is read.
+// `check` gets the parsed values and returns what is wrong, or null.
+const CHECKS = [
+  {
+    setting: 'shopify.tokenEncryptionKey',
+    env: 'TOKEN_ENCRYPTION_KEY',
+    // OAuth installs store the shop's access token encrypted with it
+    check: (values) => values.server.appUrl && !values.shopify.tokenEncryptionKey
+      ? 'not set; needed to install shops through OAuth (SHOPIFY_APP_URL is set)'
+      : null
+  }
+];
+
+module.exports = {
+  SCHEMA,
+  CHECKS,
+  DAYS
+};
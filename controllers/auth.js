@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const config = require('../config');
+const auditLog = require('../services/auditLog');
+const logger = require('../utils/logger');
+
+// Operators can do everything read-only users can, plus capture, schedule
+// and change jobs
+const ROLES = {
+  READ_ONLY: 'read_only',
+  OPERATOR: 'operator'
+};
+const ROLE_LEVELS = {
+  [ROLES.READ_ONLY]: 1,
+  [ROLES.OPERATOR]: 2
+};
+
+// Capture parameters worth keeping in the trail; order payloads are not
+const AUDITED_BODY_FIELDS = ['amount', 'percentage', 'currency', 'delay', 'scheduledTime', 'reason'];
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+let warnedAboutMissingCredentials = false;
+
+// ADMIN_API_KEYS and ADMIN_USERS hold comma-separated `name:role:secret`
+// entries, e.g. `ops:operator:<key>`. API keys are sent as `X-API-Key` or
+// `Authorization: Bearer`; users sign in with basic auth.
+const parseCredentials = (entries) =>
+  entries
+    .map(entry => {
+      const [name, role, ...secret] = entry.split(':');
+      return { name, role, secret: secret.join(':') };
+    })
+    .filter(credential => {
+      if (!ROLE_LEVELS[credential.role] || !credential.secret) {
+        logger.error('Ignoring admin credential: expected name:role:secret', {
+          credential: credential.name,
+          roles: Object.values(ROLES)
+        });
+        return false;
+      }
+      return true;
+    });
+
+const getCredentials = () => ({
+  apiKeys: parseCredentials(config.auth.adminApiKeys),
+  users: parseCredentials(config.auth.adminUsers)
+});
+
+const safeEqual = (a, b) => {
+  // Hash first so timingSafeEqual always compares equal lengths
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+};
+
+const getApiKey = (req) => {
+  const header = req.get('Authorization') || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+  return req.get('X-API-Key');
+};
+
+const getBasicAuth = (req) => {
+  const header = req.get('Authorization') || '';
+  if (!header.startsWith('Basic ')) {
+    return null;
+  }
+  const decoded = Buffer.from(header.slice(6), 'base64').toString('utf8');
+  const separator = decoded.indexOf(':');
+  if (separator === -1) {
+    return null;
+  }
+  return { name: decoded.slice(0, separator), password: decoded.slice(separator + 1) };
+};
+
+// Who is calling, or null when the credentials don't match
+const identify = (req, { apiKeys, users }) => {
+  const apiKey = getApiKey(req);
+  if (apiKey) {
+    const match = apiKeys.find(credential => safeEqual(credential.secret, apiKey));
+    return match ? { name: match.name, role: match.role, method: 'api_key' } : null;
+  }
+
+  const basic = getBasicAuth(req);
+  if (basic) {
+    const match = users.find(credential =>
+      credential.name === basic.name && safeEqual(credential.secret, basic.password));
+    return match ? { name: match.name, role: match.role, method: 'basic' } : null;
+  }
+
+  return null;
+};
+
+const pickAuditedBody = (body) => {
+  const picked = {};
+  for (const field of AUDITED_BODY_FIELDS) {
+    if (body && body[field] !== undefined) {
+      picked[field] = body[field];
+    }
+  }
+  return Object.keys(picked).length > 0 ? picked : undefined;
+};
+
+// Write the call to the audit trail once the response has been sent, so the
+// entry carries the outcome (including rejected attempts)
+const auditRequest = (req, res, next) => {
+  res.on('finish', () => {
+    auditLog.record({
+      actor: req.actor ? req.actor.name : null,
+      role: req.actor ? req.actor.role : null,
+      method: req.method,
+      route: req.route ? req.route.path : req.path,
+      path: req.originalUrl,
+      params: req.params,
+      body: pickAuditedBody(req.body),
+      shop: req.shopService ? req.shopService.shop : req.query.shop,
+      ip: req.ip,
+      status: res.statusCode
+    });
+  });
+  next();
+};
+
+const authenticate = (req, res, next) => {
+  const credentials = getCredentials();
+
+  if (credentials.apiKeys.length === 0 && credentials.users.length === 0) {
+    if (config.isProduction) {
+      logger.error('No admin credentials configured, rejecting request');
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!warnedAboutMissingCredentials) {
+      logger.warn('No admin credentials configured, admin endpoints are open (development only)');
+      warnedAboutMissingCredentials = true;
+    }
+    req.actor = { name: 'anonymous', role: ROLES.OPERATOR, method: 'none' };
+    return next();
+  }
+
+  const actor = identify(req, credentials);
+  if (!actor) {
+    res.set('WWW-Authenticate', 'Basic realm="payment-capturer"');
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  req.actor = actor;
+  next();
+};
+
+// Browsers resend basic-auth credentials on their own, so a page on another
+// site could post to us as the signed-in operator. Browsers mark such
+// requests with Sec-Fetch-Site; CORS_ORIGINS are still allowed.
+const isCrossSiteChange = (req) => {
+  if (SAFE_METHODS.includes(req.method) || req.get('Sec-Fetch-Site') !== 'cross-site') {
+    return false;
+  }
+  const { origin } = getCorsOptions();
+  return !(origin && origin.includes(req.get('Origin')));
+};
+
+// Middleware chain for an endpoint that needs at least `role`
+const requireRole = (role) => [
+  auditRequest,
+  authenticate,
+  (req, res, next) => {
+    if (ROLE_LEVELS[req.actor.role] < ROLE_LEVELS[role]) {
+      return res.status(403).json({ error: `Requires the ${role} role` });
+    }
+    if (isCrossSiteChange(req)) {
+      return res.status(403).json({ error: 'Cross-site requests are not allowed' });
+    }
+    next();
+  }
+];
+
+// METRICS_TOKEN, when set, must be sent as a bearer token to scrape /metrics
+const requireMetricsToken = (req, res, next) => {
+  const token = config.auth.metricsToken;
+  if (!token) {
+    return next();
+  }
+
+  const header = req.get('Authorization') || '';
+  if (!header.startsWith('Bearer ') || !safeEqual(header.slice(7).trim(), token)) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  next();
+};
+
+// Test endpoints don't exist in production
+const testRoutesOnly = (req, res, next) => {
+  if (config.isProduction) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  next();
+};
+
+// CORS_ORIGINS lists the origins allowed to call the API from a browser;
+// without it cross-origin requests are refused
+const getCorsOptions = () => {
+  const origins = config.server.corsOrigins;
+  return { origin: origins.length > 0 ? origins : false };
+};
+
+module.exports = {
+  ROLES,
+  requireRole,
+  requireMetricsToken,
+  testRoutesOnly,
+  getCorsOptions
+};
@@ -0,0 +1,97 @@
+const path = require('path');
+const config = require('../config');
+const shopifyService = require('../services/shopify');
+const ledger = require('../services/ledger');
+const { ROLES } = require('./auth');
+const { normalizeShopDomain } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const { LEDGER_ACTIONS } = ledger;
+
+const RECENT_CAPTURES = 25;
+// Capture ledger entries that end an attempt (not 'scheduled' or 'attempted')
+const CAPTURE_RESULTS = ['succeeded', 'failed', 'already_captured', 'skipped'];
+
+const DASHBOARD_PAGE = path.join(__dirname, '../public/dashboard.html');
+
+// Event streams currently open, ended on shutdown
+const openStreams = new Set();
+
+// Everything the dashboard shows, optionally for one shop (?shop=)
+const getSnapshot = (req) => {
+  const shop = normalizeShopDomain(req.query.shop) || undefined;
+  const pending = shopifyService.listJobs({ shop, limit: 100 });
+
+  return {
+    generatedAt: new Date().toISOString(),
+    actor: { name: req.actor.name, role: req.actor.role },
+    canOperate: req.actor.role === ROLES.OPERATOR,
+    health: shopifyService.getHealth(),
+    shops: shopifyService.getShops().map(record => record.shop),
+    pendingJobs: { total: pending.total, jobs: pending.jobs },
+    recentCaptures: ledger
+      .query({ shop, action: LEDGER_ACTIONS.CAPTURE, status: CAPTURE_RESULTS })
+      .slice(-RECENT_CAPTURES)
+      .reverse(),
+    deadLetterJobs: shopifyService.getDeadLetterJobs(shop).map(job => shopifyService.describeJob(job)),
+    expiringAuthorizations: shopifyService.getExpiringAuthorizations(shop)
+  };
+};
+
+const renderDashboard = (req, res) => {
+  res.sendFile(DASHBOARD_PAGE);
+};
+
+const getDashboardData = (req, res) => {
+  try {
+    res.json(getSnapshot(req));
+  } catch (error) {
+    logger.error('Dashboard data error', { error });
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Server-sent events: a `snapshot` event on connect and every
+// DASHBOARD_REFRESH_MS (default 5s) until the browser goes away
+const streamDashboard = (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${config.server.dashboardRefreshMs * 2}\n\n`);
+
+  const send = () => {
+    try {
+      res.write(`event: snapshot\ndata: ${JSON.stringify(getSnapshot(req))}\n\n`);
+    } catch (error) {
+      logger.error('Dashboard stream error', { error });
+    }
+  };
+
+  send();
+  const interval = setInterval(send, config.server.dashboardRefreshMs);
+  openStreams.add(res);
+  req.on('close', () => {
+    clearInterval(interval);
+    openStreams.delete(res);
+  });
+};
+
+// Ends every open stream so the server can close; browsers reconnect after
+// the `retry` delay
+const closeStreams = () => {
+  const count = openStreams.size;
+  openStreams.forEach(res => res.end());
+  return count;
+};
+
+module.exports = {
+  renderDashboard,
+  getDashboardData,
+  streamDashboard,
+  closeStreams
+};
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../config');
+const shopifyService = require('../services/shopify');
+const tokenStore = require('../services/tokenStore');
+const { normalizeShopDomain, getShopAdminUrl } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const WEBHOOK_TOPICS = [
+  'orders/create',
+  'orders/updated',
+  'orders/cancelled',
+  'refunds/create',
+  'fulfillments/create',
+  'app/uninstalled'
+];
+
+// Install attempts must come back within 10 minutes
+const STATE_TTL = 10 * 60 * 1000;
+const pendingStates = new Map();
+
+const getAppUrl = () => config.server.appUrl || '';
+
+const pruneStates = (now) => {
+  for (const [state, entry] of pendingStates) {
+    if (now - entry.createdAt > STATE_TTL) {
+      pendingStates.delete(state);
+    }
+  }
+};
+
+// Shopify signs the callback query string: every parameter except hmac,
+// sorted and joined as key=value pairs
+const isValidQueryHmac = (query, secret) => {
+  const { hmac, signature, ...params } = query;
+  if (!hmac) {
+    return false;
+  }
+
+  const message = Object.keys(params)
+    .sort()
+    .map(key => `${key}=${Array.isArray(params[key]) ? params[key].join(',') : params[key]}`)
+    .join('&');
+  const digest = crypto.createHmac('sha256', secret).update(message).digest('hex');
+
+  const received = Buffer.from(String(hmac), 'utf8');
+  const expected = Buffer.from(digest, 'utf8');
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
+
+// GET /auth?shop=my-store.myshopify.com
+const handleInstall = (req, res) => {
+  const shop = normalizeShopDomain(req.query.shop);
+  if (!shop) {
+    return res.status(400).send('Missing or invalid shop parameter');
+  }
+
+  const appUrl = getAppUrl();
+  if (!config.shopify.clientId || !appUrl) {
+    logger.error('SHOPIFY_CLIENT_ID and SHOPIFY_APP_URL are required for OAuth installs');
+    return res.status(500).send('OAuth is not configured');
+  }
+
+  const now = Date.now();
+  pruneStates(now);
+  const state = crypto.randomBytes(16).toString('hex');
+  pendingStates.set(state, { shop, createdAt: now });
+
+  const params = new URLSearchParams({
+    client_id: config.shopify.clientId,
+    scope: config.shopify.scopes,
+    redirect_uri: `${appUrl}/auth/callback`,
+    state
+  });
+
+  logger.info('Starting OAuth install', { shop });
+  res.redirect(`https://${shop}/admin/oauth/authorize?${params.toString()}`);
+};
+
+// GET /auth/callback?code=...&shop=...&state=...&hmac=...
+const handleCallback = async (req, res) => {
+  try {
+    const shop = normalizeShopDomain(req.query.shop);
+    const { code, state } = req.query;
+    const clientSecret = config.shopify.clientSecret;
+
+    if (!shop || !code || !state) {
+      return res.status(400).send('Missing OAuth parameters');
+    }
+
+    if (!clientSecret || !isValidQueryHmac(req.query, clientSecret)) {
+      logger.error('Invalid OAuth callback signature', { shop });
+      return res.status(401).send('OAuth verification failed');
+    }
+
+    const pending = pendingStates.get(state);
+    pendingStates.delete(state);
+    if (!pending || pending.shop !== shop || Date.now() - pending.createdAt > STATE_TTL) {
+      logger.error('Unknown or expired OAuth state', { shop });
+      return res.status(401).send('OAuth verification failed');
+    }
+
+    const response = await axios.post(
+      `${getShopAdminUrl(shop, config.shopify.apiBaseUrl)}/oauth/access_token`,
+      {
+        client_id: config.shopify.clientId,
+        client_secret: clientSecret,
+        code
+      },
+      { timeout: 10000 }
+    );
+
+    tokenStore.saveShop(shop, {
+      accessToken: response.data.access_token,
+      scope: response.data.scope
+    });
+
+    const service = shopifyService.forShop(shop);
+    service.useAccessToken(response.data.access_token);
+    service.logger.info('App installed', { scope: response.data.scope });
+
+    try {
+      await service.registerWebhooks(getAppUrl(), WEBHOOK_TOPICS);
+    } catch (error) {
+      service.logger.error('Failed to register webhooks', { error });
+    }
+
+    res.send(`Shopify Payment Capturer is installed on ${shop}.`);
+  } catch (error) {
+    logger.error('OAuth callback error', { error });
+    res.status(500).send('Failed to complete installation');
+  }
+};
+
+module.exports = {
+  handleInstall,
+  handleCallback,
+  isValidQueryHmac,
+  WEBHOOK_TOPICS
+};
@@ -1,42 +1,183 @@
+const crypto = require('crypto');
+const config = require('../config');
 const shopifyService = require('../services/shopify');
+const tokenStore = require('../services/tokenStore');
+const { ACTORS } = require('../services/ledger');
+const { normalizeShopDomain } = require('../utils/helpers');
+const metrics = require('../services/metrics');
+const webhookInbox = require('../services/webhookInbox');
+const lifecycle = require('../services/lifecycle');
+const alerts = require('../services/alerts');
+const logger = require('../utils/logger');
 
-// Verify Shopify webhook HMAC (for production)
+// Shopify retries failed deliveries for up to 48 hours, so remember
+// webhook IDs at least that long
+const WEBHOOK_ID_TTL = 48 * 60 * 60 * 1000;
+const processedWebhookIds = new Map();
+
+const OUTCOMES_BY_STATUS = {
+  200: 'accepted',
+  400: 'invalid_payload',
+  401: 'invalid_signature',
+  404: 'unknown_shop',
+  503: 'shutting_down'
+};
+
+// Seconds Shopify is asked to wait before delivering again during a shutdown
+const SHUTDOWN_RETRY_AFTER = 30;
+
+const getWebhookSecret = () =>
+  config.shopify.webhookSecret || config.shopify.clientSecret;
+
+// Keep the unparsed request body around so the HMAC can be computed over the
+// exact bytes Shopify signed. Passed as the `verify` option of bodyParser.json().
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+
+const isValidHmac = (rawBody, hmacHeader, secret) => {
+  const digest = crypto
+    .createHmac('sha256', secret)
+    .update(rawBody)
+    .digest();
+  const received = Buffer.from(hmacHeader, 'base64');
+
+  // timingSafeEqual throws on length mismatch
+  if (received.length !== digest.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(received, digest);
+};
+
+// Verify Shopify webhook HMAC
 const verifyWebhook = (req, res, next) => {
-  if (process.env.NODE_ENV === 'production') {
-    // In production, implement HMAC verification
-    // For now, we'll trust all webhooks
-    console.log('⚠️ HMAC verification not implemented');
+  const secret = getWebhookSecret();
+
+  if (!secret) {
+    if (config.isProduction) {
+      logger.error('No webhook secret configured, rejecting webhook');
+      return res.status(401).send('Webhook verification failed');
+    }
+    logger.warn('No webhook secret configured, skipping HMAC verification');
+    return next();
   }
+
+  const hmacHeader = req.get('X-Shopify-Hmac-Sha256');
+  if (!hmacHeader || !req.rawBody || !isValidHmac(req.rawBody, hmacHeader, secret)) {
+    const shop = req.get('X-Shopify-Shop-Domain') || null;
+    logger.error('Rejected webhook with invalid signature', { path: req.originalUrl, shop });
+    // One alert per claimed shop (or caller) rather than per request
+    alerts.notify(alerts.ALERT_TYPES.WEBHOOK_SIGNATURE_FAILED, {
+      shop,
+      key: shop ? '' : req.ip,
+      message: `Rejected ${req.originalUrl} from ${req.ip}: invalid HMAC signature`,
+      details: { topic: req.get('X-Shopify-Topic') || null, webhookId: req.get('X-Shopify-Webhook-Id') || null }
+    });
+    return res.status(401).send('Webhook verification failed');
+  }
+
   next();
 };
 
+const pruneProcessedWebhookIds = (now) => {
+  for (const [webhookId, receivedAt] of processedWebhookIds) {
+    if (now - receivedAt > WEBHOOK_ID_TTL) {
+      processedWebhookIds.delete(webhookId);
+    }
+  }
+};
+
+// Acknowledge repeated deliveries of the same webhook without processing them
+// again. Must run after verifyWebhook so forged IDs can't poison the cache.
+const ignoreDuplicateWebhook = (req, res, next) => {
+  const webhookId = req.get('X-Shopify-Webhook-Id');
+  if (!webhookId) {
+    return next();
+  }
+
+  const now = Date.now();
+  pruneProcessedWebhookIds(now);
+
+  // The inbox remembers deliveries across restarts
+  if (processedWebhookIds.has(webhookId) || webhookInbox.findByWebhookId(webhookId)) {
+    logger.info('Duplicate webhook ignored', { webhookId });
+    res.locals.webhookOutcome = 'duplicate';
+    return res.status(200).send('Webhook already processed');
+  }
+
+  processedWebhookIds.set(webhookId, now);
+  // A delivery we failed to accept will be sent again
+  res.on('finish', () => {
+    if (res.statusCode >= 500) {
+      processedWebhookIds.delete(webhookId);
+    }
+  });
+  next();
+};
+
+// Count every webhook by topic and outcome once it has been answered
+// (mounted on /webhooks, so req.path is the topic until routing moves on)
+const trackWebhook = (req, res, next) => {
+  const topic = req.path.replace(/^\//, '');
+  res.on('finish', () => {
+    metrics.webhooksReceived.inc({
+      topic,
+      outcome: res.locals.webhookOutcome || OUTCOMES_BY_STATUS[res.statusCode] || 'error'
+    });
+  });
+  next();
+};
+
+// Refuse webhooks once a shutdown has started; Shopify delivers them again
+// later, to this process's successor. Also keeps operators from starting
+// captures mid-shutdown.
+const rejectDuringShutdown = (req, res, next) => {
+  if (lifecycle.shuttingDown) {
+    res.set('Retry-After', String(SHUTDOWN_RETRY_AFTER));
+    return res.status(503).send('Shutting down');
+  }
+  next();
+};
+
+// Route the webhook to the service of the shop that sent it. Webhooks without
+// X-Shopify-Shop-Domain go to the default shop.
+const resolveShop = (req, res, next) => {
+  const domain = req.get('X-Shopify-Shop-Domain');
+  const service = domain ? shopifyService.forShop(domain) : shopifyService;
+
+  if (!service || !service.shop) {
+    logger.error('Webhook for unknown shop', { shop: domain || null });
+    return res.status(404).send('Shop not installed');
+  }
+
+  req.shopService = service;
+  logger.addContext({ shop: service.shop });
+  next();
+};
+
+// Save a verified webhook to the inbox and acknowledge it. Shopify only gets
+// its 200 once the payload is on disk; if saving fails it gets a 500 and
+// delivers again. The work itself is done off the inbox's queue.
+const queueWebhook = (req, res, { topic, shop, orderId }) => {
+  const entry = webhookInbox.receive({ topic, shop, orderId, headers: req.headers, payload: req.body });
+  logger.info('Webhook queued', { topic, webhookEntryId: entry.id });
+  res.status(200).send('Webhook received');
+};
+
 const handleOrderCreate = async (req, res) => {
   try {
     const orderData = req.body;
-    
-    console.log('📦 Order create webhook received');
-    console.log('Order ID:', orderData.id);
-    console.log('Financial status:', orderData.financial_status);
-    
+    logger.addContext({ orderId: orderData.id });
+    logger.info('Order create webhook received', { financialStatus: orderData.financial_status });
+
     if (!orderData.id) {
-      console.error('❌ No order ID in webhook payload');
+      logger.error('No order ID in webhook payload');
       return res.status(400).send('Invalid webhook payload');
     }
-    
-    // Acknowledge webhook immediately
-    res.status(200).send('Webhook received');
-    
-    // Process asynchronously
-    setTimeout(async () => {
-      try {
-        await shopifyService.processOrder(orderData);
-      } catch (error) {
-        console.error('Error in async processing:', error);
-      }
-    }, 0);
-    
+
+    queueWebhook(req, res, { topic: 'orders/create', shop: req.shopService.shop, orderId: orderData.id });
   } catch (error) {
-    console.error('Error handling order create webhook:', error);
+    logger.error('Error handling order create webhook', { error });
     res.status(500).send('Error processing webhook');
   }
 };
@@ -44,18 +185,139 @@ const handleOrderCreate = async (req, res) => {
 const handleOrderUpdate = async (req, res) => {
   try {
     const orderData = req.body;
-    console.log('🔄 Order updated:', orderData.id || 'unknown');
-    
-    // Just acknowledge for now
-    res.status(200).send('Webhook received');
+    logger.addContext({ orderId: orderData.id });
+    logger.info('Order updated webhook received');
+
+    if (!orderData.id) {
+      logger.error('No order ID in webhook payload');
+      return res.status(400).send('Invalid webhook payload');
+    }
+
+    queueWebhook(req, res, { topic: 'orders/updated', shop: req.shopService.shop, orderId: orderData.id });
   } catch (error) {
-    console.error('Error handling order update webhook:', error);
+    logger.error('Error handling order update webhook', { error });
     res.status(500).send('Error processing webhook');
   }
 };
 
+const handleOrderCancelled = async (req, res) => {
+  try {
+    const orderData = req.body;
+    logger.addContext({ orderId: orderData.id });
+    logger.info('Order cancelled webhook received');
+
+    if (!orderData.id) {
+      logger.error('No order ID in webhook payload');
+      return res.status(400).send('Invalid webhook payload');
+    }
+
+    queueWebhook(req, res, { topic: 'orders/cancelled', shop: req.shopService.shop, orderId: orderData.id });
+  } catch (error) {
+    logger.error('Error handling order cancelled webhook', { error });
+    res.status(500).send('Error processing webhook');
+  }
+};
+
+const handleRefundCreate = async (req, res) => {
+  try {
+    const refundData = req.body;
+    logger.addContext({ orderId: refundData.order_id });
+    logger.info('Refund created webhook received', { refundId: refundData.id });
+
+    if (!refundData.order_id) {
+      logger.error('No order ID in refund webhook payload');
+      return res.status(400).send('Invalid webhook payload');
+    }
+
+    queueWebhook(req, res, { topic: 'refunds/create', shop: req.shopService.shop, orderId: refundData.order_id });
+  } catch (error) {
+    logger.error('Error handling refund webhook', { error });
+    res.status(500).send('Error processing webhook');
+  }
+};
+
+// Goods shipped; orders captured on fulfillment capture what shipped
+const handleFulfillmentCreate = async (req, res) => {
+  try {
+    const fulfillmentData = req.body;
+    logger.addContext({ orderId: fulfillmentData.order_id });
+    logger.info('Fulfillment created webhook received', { fulfillmentId: fulfillmentData.id, status: fulfillmentData.status });
+
+    if (!fulfillmentData.id || !fulfillmentData.order_id) {
+      logger.error('No fulfillment or order ID in fulfillment webhook payload');
+      return res.status(400).send('Invalid webhook payload');
+    }
+
+    queueWebhook(req, res, { topic: 'fulfillments/create', shop: req.shopService.shop, orderId: fulfillmentData.order_id });
+  } catch (error) {
+    logger.error('Error handling fulfillment webhook', { error });
+    res.status(500).send('Error processing webhook');
+  }
+};
+
+// The shop removed the app
+const handleAppUninstalled = async (req, res) => {
+  try {
+    const shop = normalizeShopDomain(req.get('X-Shopify-Shop-Domain') || (req.body && req.body.myshopify_domain));
+    logger.info('App uninstalled webhook received', { shop });
+
+    if (!shop) {
+      return res.status(400).send('Invalid webhook payload');
+    }
+
+    queueWebhook(req, res, { topic: 'app/uninstalled', shop });
+  } catch (error) {
+    logger.error('Error handling app uninstalled webhook', { error });
+    res.status(500).send('Error processing webhook');
+  }
+};
+
+// The service of the shop a queued webhook came from
+const getInboxShopService = (entry) => {
+  const service = shopifyService.forShop(entry.shop);
+  if (!service) {
+    throw new Error(`Shop ${entry.shop} is not installed`);
+  }
+  return service;
+};
+
+// Work done for each topic once a webhook comes off the inbox queue (or is
+// replayed)
+webhookInbox.registerHandler('orders/create', (entry) =>
+  getInboxShopService(entry).processOrder(entry.payload));
+
+// Re-check pending captures against the order's new state
+['orders/updated', 'orders/cancelled'].forEach(topic => {
+  webhookInbox.registerHandler(topic, (entry) =>
+    getInboxShopService(entry).handleOrderChange(entry.payload.id, topic));
+});
+webhookInbox.registerHandler('refunds/create', (entry) =>
+  getInboxShopService(entry).handleOrderChange(entry.payload.order_id, 'refunds/create'));
+webhookInbox.registerHandler('fulfillments/create', (entry) =>
+  getInboxShopService(entry).processFulfillment(entry.payload));
+
+// Forget the shop's token and cancel its pending and dead-lettered captures
+webhookInbox.registerHandler('app/uninstalled', (entry) => {
+  const { shop } = entry;
+  const service = shopifyService.forShop(shop);
+  const cancelled = service ? service.cancelShopJobs('app_uninstalled', ACTORS.WEBHOOK) : 0;
+  tokenStore.removeShop(shop);
+  shopifyService.forgetShop(shop);
+
+  logger.info('Shop purged: token removed and jobs cancelled', { shop, cancelledJobs: cancelled });
+});
+
 module.exports = {
   handleOrderCreate,
   handleOrderUpdate,
-  verifyWebhook
-};
\ No newline at end of file
+  handleOrderCancelled,
+  handleRefundCreate,
+  handleFulfillmentCreate,
+  handleAppUninstalled,
+  resolveShop,
+  verifyWebhook,
+  ignoreDuplicateWebhook,
+  trackWebhook,
+  rejectDuringShutdown,
+  captureRawBody
+};
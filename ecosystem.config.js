@@ -6,6 +6,8 @@ module.exports = {
     autorestart: true,
     watch: false,
     max_memory_restart: '500M',
+    // Give a shutdown time to drain in-flight captures (SHUTDOWN_TIMEOUT_MS)
+    kill_timeout: 30000,
     env: {
       NODE_ENV: 'development',
       PORT: 3000
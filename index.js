@@ -1,99 +1,194 @@
 const express = require('express');
 const bodyParser = require('body-parser');
 const cors = require('cors');
+const config = require('./config');
 const shopifyService = require('./services/shopify');
-const { handleOrderCreate, handleOrderUpdate } = require('./controllers/webhooks');
+const rulesEngine = require('./services/rulesEngine');
+const calendar = require('./services/calendar');
+const { normalizeShopDomain, parseCaptureOptions, toCsv } = require('./utils/helpers');
+const { handleInstall, handleCallback } = require('./controllers/oauth');
+const { renderDashboard, getDashboardData, streamDashboard, closeStreams } = require('./controllers/dashboard');
+const { ROLES, requireRole, requireMetricsToken, testRoutesOnly, getCorsOptions } = require('./controllers/auth');
+const auditLog = require('./services/auditLog');
+const metrics = require('./services/metrics');
+const ledger = require('./services/ledger');
+const reconciler = require('./services/reconciler');
+const alerts = require('./services/alerts');
+const webhookInbox = require('./services/webhookInbox');
+const lifecycle = require('./services/lifecycle');
+const logger = require('./utils/logger');
+const { CAPTURE_OUTCOME, JOB_ACTION_ERRORS } = shopifyService;
+const { formatConfigError } = config;
+const { WEBHOOK_STATUS } = webhookInbox;
+const {
+  handleOrderCreate,
+  handleOrderUpdate,
+  handleOrderCancelled,
+  handleRefundCreate,
+  handleFulfillmentCreate,
+  handleAppUninstalled,
+  resolveShop,
+  verifyWebhook,
+  ignoreDuplicateWebhook,
+  trackWebhook,
+  rejectDuringShutdown,
+  captureRawBody
+} = require('./controllers/webhooks');
+
+// Refuse to start on an invalid configuration (`capturer check-config`
+// lists the same problems)
+if (config.errors.length > 0) {
+  config.errors.forEach(error => logger.error('Invalid configuration', { error: formatConfigError(error) }));
+  process.exit(1);
+}
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.server.port;
+// How long a shutdown waits for captures and order processing in flight
+const SHUTDOWN_TIMEOUT = config.server.shutdownTimeoutMs;
+// ...and then for open requests to finish before the server is closed
+const SERVER_CLOSE_TIMEOUT = 5000;
 
 // Middleware
-app.use(cors());
-app.use(bodyParser.json());
+app.use(cors(getCorsOptions()));
+// Keep the raw body for webhook HMAC verification
+app.use(bodyParser.json({ verify: captureRawBody }));
+// Tag everything a request leads to (including captures it schedules) with
+// one correlation ID: the caller's X-Request-Id, Shopify's webhook ID, or a
+// new one
+app.use((req, res, next) => {
+  const correlationId = req.get('X-Request-Id') || req.get('X-Shopify-Webhook-Id') || logger.newCorrelationId();
+  const startedAt = Date.now();
+  res.set('X-Request-Id', correlationId);
+  res.on('finish', () => {
+    logger.debug('Request completed', {
+      correlationId,
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt
+    });
+  });
+  logger.runWithContext({ correlationId }, next);
+});
+
+// Read amount/percentage/currency for a capture from the query string or
+// JSON body. Returns { error } when the values are unusable.
+const getCaptureOptionsFromRequest = (req) => parseCaptureOptions({ ...req.body, ...req.query });
 
-// Initialize Shopify service
+// Load payment rules; refuse to start with invalid rules rather than
+// capturing on the wrong schedule
 try {
-  shopifyService.initializeClient();
-  console.log('✅ Shopify service initialized');
+  rulesEngine.loadAll();
 } catch (error) {
-  console.error('❌ Failed to initialize Shopify service:', error.message);
+  logger.error('Failed to load payment rules', { error, errors: error.errors });
+  process.exit(1);
 }
 
-// Health check endpoint
+// Same for the capture calendar (windows, blackouts, holiday files)
+try {
+  calendar.load();
+} catch (error) {
+  logger.error('Failed to load the capture calendar', { error });
+  process.exit(1);
+}
+
+// Pick the shop a debug/test request is about from ?shop=, defaulting to
+// the shop in SHOPIFY_SHOP_NAME
+const shopFromQuery = (req, res, next) => {
+  const service = req.query.shop ? shopifyService.forShop(req.query.shop) : shopifyService;
+  if (!service || !service.shop) {
+    return res.status(404).json({ error: `Shop ${req.query.shop || '(default)'} is not installed` });
+  }
+  req.shopService = service;
+  next();
+};
+
+// Admin endpoints need credentials; see controllers/auth.js
+const readOnly = requireRole(ROLES.READ_ONLY);
+const operator = requireRole(ROLES.OPERATOR);
+
+// Ledger actor for a call made through an admin endpoint
+const getActor = (req) => ledger.ACTORS.manual(req.actor && req.actor.name);
+
+// Optional ?shop= filter for job listings
+const getShopFilter = (req) => normalizeShopDomain(req.query.shop) || undefined;
+
+// Initialize the default shop's client. Without SHOPIFY_SHOP_NAME only shops
+// installed through OAuth are served.
+if (shopifyService.shop) {
+  try {
+    shopifyService.initializeClient();
+    logger.info('Shopify service initialized');
+  } catch (error) {
+    logger.error('Failed to initialize Shopify service', { error });
+    process.exit(1);
+  }
+} else {
+  logger.warn('SHOPIFY_SHOP_NAME is not set, serving shops installed through OAuth only');
+}
+
+// Health check endpoint. Reports `degraded` (still 200, the process is up)
+// when the scheduler has stalled or a shop's token can't be refreshed, and
+// answers 503 once a shutdown has started so load balancers move on.
 app.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
+  const health = shopifyService.getHealth();
+  res.status(lifecycle.shuttingDown ? 503 : 200).json({
+    status: lifecycle.shuttingDown ? 'shutting_down' : health.status,
+    checks: { scheduler: health.scheduler, tokens: health.tokens },
     timestamp: new Date().toISOString(),
-    shop: process.env.SHOPIFY_SHOP_NAME,
+    shop: shopifyService.shop,
+    shops: shopifyService.getShops().length,
     uptime: process.uptime(),
     memory: process.memoryUsage(),
     node: process.version
   });
 });
 
+// Prometheus scrape endpoint
+app.get('/metrics', requireMetricsToken, (req, res) => {
+  shopifyService.updateJobMetrics();
+  res.set('Content-Type', metrics.CONTENT_TYPE);
+  res.send(metrics.registry.render());
+});
+
 // Simple ping endpoint for keep-alive
 app.get('/ping', (req, res) => {
   res.status(200).send('pong');
 });
 
-// Status page with auto-refresh
-app.get('/status', (req, res) => {
-  const html = `
-  <!DOCTYPE html>
-  <html>
-  <head>
-    <title>Shopify Payment Capturer - Status</title>
-    <meta http-equiv="refresh" content="300">
-    <style>
-      body { font-family: Arial, sans-serif; padding: 20px; max-width: 800px; margin: 0 auto; }
-      .status { padding: 15px; border-radius: 5px; margin: 20px 0; }
-      .up { background: #d4edda; color: #155724; border: 1px solid #c3e6cb; }
-      .info { background: #d1ecf1; color: #0c5460; border: 1px solid #bee5eb; }
-      h1 { color: #333; }
-      .stats { background: #f8f9fa; padding: 15px; border-radius: 5px; }
-    </style>
-  </head>
-  <body>
-    <h1>🛍️ Shopify Payment Capturer</h1>
-    <div class="status up">
-      <h2>✅ Online - ${new Date().toISOString()}</h2>
-      <p>Server is running and accepting webhooks</p>
-    </div>
-    <div class="status info">
-      <h3>📊 System Information</h3>
-      <div class="stats">
-        <p><strong>Uptime:</strong> ${Math.floor(process.uptime())} seconds</p>
-        <p><strong>Node Version:</strong> ${process.version}</p>
-        <p><strong>Shop:</strong> ${process.env.SHOPIFY_SHOP_NAME || 'Not configured'}</p>
-        <p><strong>Environment:</strong> ${process.env.NODE_ENV || 'development'}</p>
-        <p><strong>Port:</strong> ${PORT}</p>
-      </div>
-    </div>
-    <div class="status info">
-      <h3>🔗 Useful Links</h3>
-      <ul>
-        <li><a href="/health">Health Check (JSON)</a></li>
-        <li><a href="/scheduled-jobs">View Scheduled Jobs</a></li>
-        <li><a href="/test/shop">Test Shopify Connection</a></li>
-        <li><a href="/test/orders">View Recent Orders</a></li>
-      </ul>
-    </div>
-  </body>
-  </html>
-  `;
-  res.send(html);
-});
+// Operations dashboard; live updates over server-sent events (or polling)
+app.get('/status', readOnly, renderDashboard);
+app.get('/status/data', readOnly, getDashboardData);
+app.get('/status/events', readOnly, streamDashboard);
 
 // Webhook endpoints
-app.post('/webhooks/orders/create', handleOrderCreate);
-app.post('/webhooks/orders/updated', handleOrderUpdate);
+app.use('/webhooks', trackWebhook, rejectDuringShutdown);
+app.post('/webhooks/orders/create', verifyWebhook, ignoreDuplicateWebhook, resolveShop, handleOrderCreate);
+app.post('/webhooks/orders/updated', verifyWebhook, ignoreDuplicateWebhook, resolveShop, handleOrderUpdate);
+app.post('/webhooks/orders/cancelled', verifyWebhook, ignoreDuplicateWebhook, resolveShop, handleOrderCancelled);
+app.post('/webhooks/refunds/create', verifyWebhook, ignoreDuplicateWebhook, resolveShop, handleRefundCreate);
+app.post('/webhooks/fulfillments/create', verifyWebhook, ignoreDuplicateWebhook, resolveShop, handleFulfillmentCreate);
+app.post('/webhooks/app/uninstalled', verifyWebhook, ignoreDuplicateWebhook, handleAppUninstalled);
+
+// OAuth install flow
+app.get('/auth', handleInstall);
+app.get('/auth/callback', handleCallback);
+
+app.get('/shops', readOnly, (req, res) => {
+  const shops = shopifyService.getShops();
+  res.json({
+    count: shops.length,
+    shops: shops
+  });
+});
 
 // Test endpoints
-app.get('/test/shop', async (req, res) => {
+app.get('/test/shop', testRoutesOnly, readOnly, shopFromQuery, async (req, res) => {
   try {
-    await shopifyService.refreshAccessToken();
+    await req.shopService.refreshAccessToken();
     res.json({
-      shop: process.env.SHOPIFY_SHOP_NAME,
+      shop: req.shopService.shop,
       connected: true,
       timestamp: new Date().toISOString(),
       scopes: 'read_all_orders,write_orders'
@@ -106,9 +201,9 @@ app.get('/test/shop', async (req, res) => {
   }
 });
 
-app.get('/test/orders', async (req, res) => {
+app.get('/test/orders', testRoutesOnly, readOnly, shopFromQuery, async (req, res) => {
   try {
-    const orders = await shopifyService.getRecentOrders(5);
+    const orders = await req.shopService.getRecentOrders(5);
     res.json({
       count: orders.length,
       orders: orders.map(order => ({
@@ -126,13 +221,13 @@ app.get('/test/orders', async (req, res) => {
 });
 
 // Debug endpoints
-app.get('/debug/order/:orderId', async (req, res) => {
+app.get('/debug/order/:orderId', readOnly, shopFromQuery, async (req, res) => {
   try {
     const orderId = req.params.orderId;
-    console.log(`🔍 Debugging order: ${orderId}`);
+    logger.info('Debugging order', { orderId });
     
-    const order = await shopifyService.getOrder(orderId);
-    const transactions = await shopifyService.getOrderTransactions(orderId);
+    const order = await req.shopService.getOrder(orderId);
+    const transactions = await req.shopService.getOrderTransactions(orderId);
     
     res.json({
       order_id: orderId,
@@ -148,18 +243,23 @@ app.get('/debug/order/:orderId', async (req, res) => {
       has_successful_auth: transactions.some(t => t.kind === 'authorization' && t.status === 'success')
     });
   } catch (error) {
-    console.error('Debug error:', error);
+    logger.error('Debug error', { orderId: req.params.orderId, error });
     res.status(500).json({ error: error.message });
   }
 });
 
 // Manual capture endpoint
-app.post('/debug/capture/:orderId', async (req, res) => {
+app.post('/debug/capture/:orderId', operator, rejectDuringShutdown, shopFromQuery, async (req, res) => {
   try {
     const orderId = req.params.orderId;
-    console.log(`🔄 Manual capture for order: ${orderId}`);
+    logger.info('Manual capture', { orderId, actor: getActor(req) });
+
+    const { options, error } = getCaptureOptionsFromRequest(req);
+    if (error) {
+      return res.status(400).json({ error });
+    }
     
-    const transactions = await shopifyService.getOrderTransactions(orderId);
+    const transactions = await req.shopService.getOrderTransactions(orderId);
     const authTransaction = transactions.find(t => 
       t.kind === 'authorization' && t.status === 'success'
     );
@@ -171,22 +271,169 @@ app.post('/debug/capture/:orderId', async (req, res) => {
       });
     }
     
-    const result = await shopifyService.capturePayment(orderId, authTransaction.id);
+    const result = await req.shopService.capturePayment(orderId, authTransaction.id, {
+      ...options,
+      actor: getActor(req)
+    });
     
     res.json({
-      success: true,
-      message: 'Payment captured manually',
-      transaction: result
+      success: result.status !== CAPTURE_OUTCOME.SKIPPED,
+      outcome: result.status,
+      reason: result.reason,
+      amount: result.amount,
+      currency: result.currency,
+      message: result.status === CAPTURE_OUTCOME.CAPTURED
+        ? 'Payment captured manually'
+        : `Payment not captured: ${result.status}`,
+      transaction: result.transaction
     });
   } catch (error) {
-    console.error('Manual capture error:', error);
+    logger.error('Manual capture error', { orderId: req.params.orderId, error });
     res.status(500).json({ error: error.message });
   }
 });
 
-// Scheduled jobs endpoint
-app.get('/scheduled-jobs', (req, res) => {
-  const jobs = shopifyService.getScheduledJobs();
+const JOB_ACTION_STATUS = {
+  [JOB_ACTION_ERRORS.NOT_FOUND]: 404,
+  [JOB_ACTION_ERRORS.NOT_PENDING]: 409,
+  [JOB_ACTION_ERRORS.NOT_CAPTURABLE]: 409,
+  [JOB_ACTION_ERRORS.INVALID_TIME]: 400
+};
+
+const sendJobActionResult = (res, result) => {
+  if (result.error) {
+    return res.status(JOB_ACTION_STATUS[result.error]).json({
+      error: result.message,
+      code: result.error,
+      orderState: result.orderState
+    });
+  }
+  res.json({ success: true, ...result });
+};
+
+// Scheduled jobs, soonest first. Defaults to pending and running jobs;
+// ?status=succeeded,failed for history, ?shop=, ?dueAfter=&dueBefore= (ISO
+// times) and ?limit= (max 500) / ?offset= to page through
+app.get('/scheduled-jobs', readOnly, (req, res) => {
+  const due = {};
+  for (const name of ['dueAfter', 'dueBefore']) {
+    if (req.query[name]) {
+      due[name] = Date.parse(req.query[name]);
+      if (isNaN(due[name])) {
+        return res.status(400).json({ error: `${name} must be a date` });
+      }
+    }
+  }
+
+  const limit = Math.min(parseInt(req.query.limit || 50), 500);
+  const offset = parseInt(req.query.offset || 0);
+  if (!(limit > 0) || !(offset >= 0)) {
+    return res.status(400).json({ error: 'limit and offset must be positive numbers' });
+  }
+
+  const page = shopifyService.listJobs({
+    status: req.query.status ? req.query.status.split(',') : undefined,
+    shop: getShopFilter(req),
+    ...due,
+    offset,
+    limit
+  });
+  res.json({
+    total: page.total,
+    count: page.jobs.length,
+    offset,
+    limit,
+    nextOffset: offset + page.jobs.length < page.total ? offset + page.jobs.length : null,
+    jobs: page.jobs,
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.get('/scheduled-jobs/:jobId', readOnly, (req, res) => {
+  const job = shopifyService.jobStore.get(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(shopifyService.describeJob(job));
+});
+
+// Job changes are checked against the order in Shopify first: a job whose
+// order was cancelled, voided or already captured can't be rescheduled or
+// run (cancelling is always allowed)
+app.delete('/scheduled-jobs/:jobId', operator, async (req, res) => {
+  try {
+    const reason = req.query.reason || (req.body && req.body.reason) || undefined;
+    sendJobActionResult(res, await shopifyService.cancelPendingJob(req.params.jobId, reason, getActor(req)));
+  } catch (error) {
+    logger.error('Cancel job error', { jobId: req.params.jobId, error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body (or query): scheduledTime (ISO time) or delay (ms from now)
+app.post('/scheduled-jobs/:jobId/reschedule', operator, async (req, res) => {
+  try {
+    const source = { ...req.body, ...req.query };
+    let scheduledTime;
+    if (source.scheduledTime !== undefined) {
+      scheduledTime = Date.parse(source.scheduledTime);
+    } else if (source.delay !== undefined) {
+      scheduledTime = Date.now() + parseInt(source.delay);
+    } else {
+      return res.status(400).json({ error: 'Expected scheduledTime or delay' });
+    }
+
+    sendJobActionResult(res, await shopifyService.reschedulePendingJob(req.params.jobId, scheduledTime, getActor(req)));
+  } catch (error) {
+    logger.error('Reschedule job error', { jobId: req.params.jobId, error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/scheduled-jobs/:jobId/run', operator, rejectDuringShutdown, async (req, res) => {
+  try {
+    sendJobActionResult(res, await shopifyService.runPendingJobNow(req.params.jobId, getActor(req)));
+  } catch (error) {
+    logger.error('Run job error', { jobId: req.params.jobId, error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Payment rules
+app.get('/rules', readOnly, (req, res) => {
+  const engine = rulesEngine.forShop(getShopFilter(req));
+  res.json({
+    path: engine.rulesPath,
+    count: engine.rules.length,
+    rules: engine.rules
+  });
+});
+
+// Dry-run the rules against an order payload (line items may carry
+// product_type directly)
+app.post('/rules/evaluate', readOnly, (req, res) => {
+  const order = req.body && req.body.order ? req.body.order : req.body;
+
+  if (!order || typeof order !== 'object') {
+    return res.status(400).json({ error: 'Expected an order payload' });
+  }
+
+  res.json(rulesEngine.forShop(getShopFilter(req)).explain(order));
+});
+
+// Pending captures whose authorization is about to lapse
+app.get('/authorizations/expiring', readOnly, (req, res) => {
+  const authorizations = shopifyService.getExpiringAuthorizations(getShopFilter(req));
+  res.json({
+    count: authorizations.length,
+    authorizations: authorizations,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Dead-letter endpoints for captures that ran out of retry attempts
+app.get('/dead-letter', readOnly, (req, res) => {
+  const jobs = shopifyService.getDeadLetterJobs(getShopFilter(req));
   res.json({
     count: jobs.length,
     jobs: jobs,
@@ -194,15 +441,254 @@ app.get('/scheduled-jobs', (req, res) => {
   });
 });
 
+app.post('/dead-letter/:jobId/requeue', operator, (req, res) => {
+  // Milliseconds before the job runs again
+  const delay = Number(req.query.delay || 0);
+  if (!Number.isFinite(delay) || delay < 0) {
+    return res.status(400).json({ error: 'delay must be a number of milliseconds, 0 or more' });
+  }
+  const job = shopifyService.requeueDeadLetterJob(req.params.jobId, delay, getActor(req));
+
+  if (!job) {
+    return res.status(404).json({ error: 'Dead-lettered job not found' });
+  }
+
+  res.json({
+    success: true,
+    message: `Job ${job.id} requeued for order ${job.orderId}`,
+    job: job
+  });
+});
+
+app.delete('/dead-letter/:jobId', operator, (req, res) => {
+  const job = shopifyService.discardDeadLetterJob(req.params.jobId, getActor(req));
+
+  if (!job) {
+    return res.status(404).json({ error: 'Dead-lettered job not found' });
+  }
+
+  res.json({
+    success: true,
+    message: `Job ${job.id} discarded`,
+    job: job
+  });
+});
+
+// Webhook inbox: every verified delivery and whether it was processed,
+// newest first. ?status=failed lists deliveries that need a replay; also
+// ?topic=, ?shop=, ?orderId= and ?limit= (max 500) / ?offset=. Payloads are
+// only included for a single entry.
+const summarizeWebhook = ({ payload, headers, ...entry }) => entry;
+
+app.get('/webhook-inbox', readOnly, (req, res) => {
+  const status = req.query.status ? req.query.status.split(',') : undefined;
+  const invalid = (status || []).filter(value => !Object.values(WEBHOOK_STATUS).includes(value));
+  if (invalid.length > 0) {
+    return res.status(400).json({ error: `Unknown status ${invalid.join(', ')}` });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit || 50), 500);
+  const offset = parseInt(req.query.offset || 0);
+  if (!(limit > 0) || !(offset >= 0)) {
+    return res.status(400).json({ error: 'limit and offset must be positive numbers' });
+  }
+
+  const entries = webhookInbox.list({
+    status,
+    topic: req.query.topic,
+    shop: getShopFilter(req),
+    orderId: req.query.orderId
+  });
+  res.json({
+    total: entries.length,
+    offset,
+    limit,
+    counts: webhookInbox.getCounts(),
+    webhooks: entries.slice(offset, offset + limit).map(summarizeWebhook),
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.get('/webhook-inbox/:id', readOnly, (req, res) => {
+  const entry = webhookInbox.get(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  res.json(entry);
+});
+
+// Replays go through the same handler and queue as a new delivery. Entries
+// that are still queued or processing are left alone.
+app.post('/webhook-inbox/:id/replay', operator, (req, res) => {
+  const entry = webhookInbox.get(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  if ([WEBHOOK_STATUS.QUEUED, WEBHOOK_STATUS.PROCESSING].includes(entry.status)) {
+    return res.status(409).json({ error: `Webhook is already ${entry.status}` });
+  }
+
+  webhookInbox.replay(entry.id, getActor(req));
+  res.json({ success: true, webhook: summarizeWebhook(entry) });
+});
+
+// Body: { ids: [...] } to replay those entries, or { topic, shop } (both
+// optional) to replay every failed delivery that matches
+app.post('/webhook-inbox/replay', operator, (req, res) => {
+  const { ids, topic, shop } = req.body || {};
+  if (ids !== undefined && (!Array.isArray(ids) || ids.length === 0)) {
+    return res.status(400).json({ error: 'ids must be a non-empty array' });
+  }
+
+  const targets = ids
+    ? ids.map(id => webhookInbox.get(id) || { id, missing: true })
+    : webhookInbox.list({ status: WEBHOOK_STATUS.FAILED, topic, shop: normalizeShopDomain(shop) || undefined });
+
+  const replayed = [];
+  const skipped = [];
+  targets.forEach(entry => {
+    if (entry.missing) {
+      skipped.push({ id: entry.id, reason: 'not_found' });
+    } else if ([WEBHOOK_STATUS.QUEUED, WEBHOOK_STATUS.PROCESSING].includes(entry.status)) {
+      skipped.push({ id: entry.id, reason: entry.status });
+    } else {
+      webhookInbox.replay(entry.id, getActor(req));
+      replayed.push(entry.id);
+    }
+  });
+
+  res.json({ success: true, replayed, skipped });
+});
+
+// Everything recorded for one order, oldest first, with its capture jobs
+app.get('/orders/:orderId/history', readOnly, (req, res) => {
+  const shop = getShopFilter(req);
+  const entries = ledger.query({ orderId: req.params.orderId, shop });
+  res.json({
+    order_id: req.params.orderId,
+    count: entries.length,
+    entries: entries,
+    jobs: shopifyService.jobStore.list({ orderId: req.params.orderId, shop })
+  });
+});
+
+// Ledger across orders: ?from=&to= (ISO dates), ?status=, ?action= and
+// ?shop= filters; ?format=csv for a spreadsheet
+app.get('/ledger', readOnly, (req, res) => {
+  const { from, to, format } = req.query;
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value && isNaN(Date.parse(value))) {
+      return res.status(400).json({ error: `${name} must be a date` });
+    }
+  }
+
+  const entries = ledger.query({
+    shop: getShopFilter(req),
+    from,
+    to,
+    status: req.query.status ? req.query.status.split(',') : undefined,
+    action: req.query.action ? req.query.action.split(',') : undefined
+  });
+
+  if (format === 'csv') {
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="ledger-${new Date().toISOString().slice(0, 10)}.csv"`);
+    return res.send(toCsv(entries, ledger.CSV_COLUMNS));
+  }
+
+  res.json({
+    count: entries.length,
+    entries: entries
+  });
+});
+
+// Reconciliation against Shopify: watermarks and the last report per shop
+app.get('/reconcile', readOnly, (req, res) => {
+  res.json(reconciler.getStatus());
+});
+
+// Run it now for ?shop= (default all shops); ?dryRun=true only reports
+app.post('/reconcile', operator, async (req, res) => {
+  try {
+    const shop = getShopFilter(req);
+    if (req.query.shop && !shop) {
+      return res.status(400).json({ error: 'Invalid shop domain' });
+    }
+    const reports = await reconciler.run({ shop, dryRun: req.query.dryRun === 'true' });
+    res.json({ count: reports.length, reports: reports });
+  } catch (error) {
+    logger.error('Reconcile error', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Shadow-mode decisions next to what actually happened to those orders:
+// ?shop=, ?from=&to= (ISO dates) and ?limit= (default 100, max 500)
+app.get('/shadow/report', readOnly, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value && isNaN(Date.parse(value))) {
+        return res.status(400).json({ error: `${name} must be a date` });
+      }
+    }
+
+    res.json(await shopifyService.getShadowReport({
+      shop: getShopFilter(req),
+      from,
+      to,
+      limit: Math.min(parseInt(req.query.limit || 100), 500)
+    }));
+  } catch (error) {
+    logger.error('Shadow report error', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Alert channels and the latest alerts (sent or held back)
+app.get('/alerts', readOnly, (req, res) => {
+  res.json(alerts.getStatus());
+});
+
+// Send a test alert to every channel; not deduplicated against real alerts
+app.post('/alerts/test', operator, async (req, res) => {
+  const outcome = await alerts.notify(alerts.ALERT_TYPES.TEST, {
+    key: logger.newCorrelationId(),
+    message: `Test alert sent by ${req.actor.name}`
+  });
+  res.status(outcome === 'sent' ? 200 : 502).json({ outcome, channels: alerts.getStatus().channels });
+});
+
+// The configuration in effect, where each setting came from, and any
+// problems; secrets only show whether they are set
+app.get('/config', operator, (req, res) => {
+  res.json(config.redacted());
+});
+
+// Audit trail of admin calls, newest first
+app.get('/audit', operator, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit || 100), 1000);
+  const entries = auditLog.recent(limit);
+  res.json({
+    count: entries.length,
+    entries: entries
+  });
+});
+
 // Manual schedule endpoint (for testing)
-app.post('/test-schedule/:orderId', async (req, res) => {
+app.post('/test-schedule/:orderId', testRoutesOnly, operator, shopFromQuery, async (req, res) => {
   try {
     const orderId = req.params.orderId;
     const delay = req.query.delay || 120000; // Default 2 minutes
     
-    console.log(`⏰ Manually scheduling capture for order ${orderId} in ${delay}ms`);
+    logger.info('Manually scheduling capture', { orderId, delayMs: parseInt(delay), actor: getActor(req) });
+
+    const { options, error } = getCaptureOptionsFromRequest(req);
+    if (error) {
+      return res.status(400).json({ error });
+    }
     
-    const transactions = await shopifyService.getOrderTransactions(orderId);
+    const transactions = await req.shopService.getOrderTransactions(orderId);
     const authTransaction = transactions.find(t => 
       t.kind === 'authorization' && t.status === 'success'
     );
@@ -214,9 +700,16 @@ app.post('/test-schedule/:orderId', async (req, res) => {
       });
     }
     
-    shopifyService.schedulePaymentCapture(orderId, authTransaction.id, parseInt(delay));
+    if (req.shopService.needsTimezone()) {
+      await req.shopService.loadTimezone();
+    }
+    req.shopService.schedulePaymentCapture(orderId, authTransaction.id, parseInt(delay), {
+      ...options,
+      authExpiresAt: req.shopService.getAuthorizationExpiry(authTransaction),
+      actor: getActor(req)
+    });
     
-    const jobs = shopifyService.getScheduledJobs();
+    const jobs = req.shopService.getScheduledJobs();
     
     res.json({
       success: true,
@@ -225,37 +718,91 @@ app.post('/test-schedule/:orderId', async (req, res) => {
       captureIn: `${delay}ms`
     });
   } catch (error) {
-    console.error('Schedule test error:', error);
+    logger.error('Schedule test error', { orderId: req.params.orderId, error });
     res.status(500).json({ error: error.message });
   }
 });
 
-// Start the scheduler
-shopifyService.startScheduler();
-
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`🏪 Shop: ${process.env.SHOPIFY_SHOP_NAME || 'Not configured'}`);
-  console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`📡 Health: http://localhost:${PORT}/health`);
-  console.log(`📊 Status: http://localhost:${PORT}/status`);
-  
-  // Refresh access token on startup
-  shopifyService.refreshAccessToken().catch(error => {
-    console.error('Failed to refresh access token on startup:', error.message);
+// Tests require the app without starting the server or background work
+if (require.main === module) {
+  // Start the scheduler and the reconciler, and finish webhooks the last
+  // process saved but never processed
+  shopifyService.startScheduler();
+  reconciler.start();
+  webhookInbox.resume();
+
+  // Start server
+  const server = app.listen(PORT, () => {
+    logger.info('Server running', {
+      port: PORT,
+      shop: shopifyService.shop,
+      environment: config.server.nodeEnv,
+      profile: config.profile,
+      configFiles: config.files,
+      health: `http://localhost:${PORT}/health`,
+      status: `http://localhost:${PORT}/status`
+    });
+
+    // Refresh access token on startup
+    if (shopifyService.shop) {
+      shopifyService.refreshAccessTokenOnce().catch(error => {
+        logger.error('Failed to refresh access token on startup', { error });
+      });
+    }
   });
-});
 
-// Handle graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received. Shutting down gracefully...');
-  process.exit(0);
-});
+  // Graceful shutdown: refuse new webhooks (503), start no new captures,
+  // wait for the ones in flight, save the jobs, then close the server and
+  // flush the logs. Pending jobs and queued webhooks stay on disk and are
+  // picked up on the next start. A second signal exits at once.
+  const shutdown = async (signal) => {
+    if (lifecycle.shuttingDown) {
+      logger.warn('Second shutdown signal, exiting now', { signal, inFlight: lifecycle.getInFlight() });
+      process.exit(1);
+    }
 
-process.on('SIGINT', () => {
-  console.log('SIGINT received. Shutting down gracefully...');
-  process.exit(0);
-});
+    lifecycle.beginShutdown();
+    logger.info(`${signal} received. Shutting down gracefully`, {
+      timeoutMs: SHUTDOWN_TIMEOUT,
+      inFlight: lifecycle.getInFlight().length
+    });
+
+    try {
+      shopifyService.stopScheduler();
+      reconciler.stop();
+      webhookInbox.stop();
+
+      const drained = await lifecycle.drain(SHUTDOWN_TIMEOUT);
+      const jobs = shopifyService.saveJobsForShutdown({ signal, drained });
+      const streams = closeStreams();
+
+      await new Promise(resolve => {
+        server.close(resolve);
+        // Node 18.2+; older versions wait for keep-alive sockets to time out
+        if (typeof server.closeIdleConnections === 'function') {
+          server.closeIdleConnections();
+        }
+        setTimeout(resolve, SERVER_CLOSE_TIMEOUT).unref();
+      });
+
+      logger.info('Shutdown complete', {
+        drained,
+        pendingJobs: jobs.pending,
+        runningJobs: jobs.running,
+        queuedWebhooks: webhookInbox.getCounts().queued,
+        closedStreams: streams
+      });
+      await logger.flush();
+      process.exit(drained ? 0 : 1);
+    } catch (error) {
+      logger.error('Error during shutdown', { error });
+      await logger.flush();
+      process.exit(1);
+    }
+  };
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+}
 
 module.exports = app; // For testing
\ No newline at end of file
@@ -0,0 +1,222 @@
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const config = require('../config');
+const metrics = require('./metrics');
+const logger = require('../utils/logger');
+
+const { redact } = logger;
+
+const ALERT_TYPES = {
+  CAPTURE_FAILED: 'capture_failed',
+  JOB_DEAD_LETTERED: 'job_dead_lettered',
+  AUTHORIZATION_EXPIRING: 'authorization_expiring',
+  TOKEN_REFRESH_FAILED: 'token_refresh_failed',
+  WEBHOOK_SIGNATURE_FAILED: 'webhook_signature_failed',
+  TEST: 'test'
+};
+
+const ALERT_DETAILS = {
+  [ALERT_TYPES.CAPTURE_FAILED]: { title: 'Capture failed', severity: 'error' },
+  [ALERT_TYPES.JOB_DEAD_LETTERED]: { title: 'Capture job dead-lettered', severity: 'error' },
+  [ALERT_TYPES.AUTHORIZATION_EXPIRING]: { title: 'Authorization expiring', severity: 'warning' },
+  [ALERT_TYPES.TOKEN_REFRESH_FAILED]: { title: 'Access token refresh failed', severity: 'error' },
+  [ALERT_TYPES.WEBHOOK_SIGNATURE_FAILED]: { title: 'Webhook signature rejected', severity: 'warning' },
+  [ALERT_TYPES.TEST]: { title: 'Test alert', severity: 'info' }
+};
+
+const SEVERITY_ICONS = { error: ':red_circle:', warning: ':warning:', info: ':information_source:' };
+const HISTORY_SIZE = 50;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Webhook URLs carry their secret in the path; only show the host
+const describeTarget = (url) => {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return 'invalid URL';
+  }
+};
+
+const describeAlert = (alert) => [
+  alert.message,
+  alert.shop && `Shop: ${alert.shop}`,
+  alert.orderId !== null && `Order: ${alert.orderId}`,
+  alert.jobId && `Job: ${alert.jobId}`,
+  alert.correlationId && `Correlation ID: ${alert.correlationId}`,
+  alert.suppressed > 0 && `${alert.suppressed} similar alert(s) suppressed since the last one`
+].filter(Boolean);
+
+// Sends alerts to Slack-compatible webhooks (ALERT_SLACK_WEBHOOK_URLS), generic
+// JSON webhooks (ALERT_WEBHOOK_URLS) and email (ALERT_EMAIL_TO over SMTP_*).
+// Repeats of an alert (same type, shop and subject) are held back for
+// ALERT_DEDUP_MINUTES and counted into the next one that goes out; at most
+// ALERT_MAX_PER_HOUR are sent in any hour.
+class Alerter {
+  constructor() {
+    const settings = config.alerts;
+    this.slackUrls = settings.slackWebhookUrls;
+    this.webhookUrls = settings.webhookUrls;
+    this.emailTo = settings.emailTo;
+    this.emailFrom = settings.emailFrom || settings.smtpUser;
+    // SMTP_SECURE connects over TLS (port 465 by default), otherwise STARTTLS
+    // is used when the server offers it. Credentials are only sent encrypted
+    // unless SMTP_ALLOW_INSECURE_AUTH is set.
+    this.smtp = settings.smtpHost && this.emailTo.length > 0
+      ? nodemailer.createTransport({
+        host: settings.smtpHost,
+        port: settings.smtpPort,
+        secure: settings.smtpSecure,
+        requireTLS: Boolean(settings.smtpUser) && !settings.smtpAllowInsecureAuth,
+        auth: settings.smtpUser ? { user: settings.smtpUser, pass: settings.smtpPassword } : undefined,
+        connectionTimeout: 15000,
+        greetingTimeout: 15000,
+        socketTimeout: 15000
+      })
+      : null;
+    this.dedupWindow = settings.dedupMinutes * 60 * 1000;
+    this.maxPerHour = settings.maxPerHour;
+    this.timeout = 10000;
+
+    // key -> { sentAt, suppressed }
+    this.recent = new Map();
+    this.sentAt = [];
+    this.history = [];
+  }
+
+  getChannels() {
+    return [
+      ...this.slackUrls.map(url => ({ type: 'slack', url })),
+      ...this.webhookUrls.map(url => ({ type: 'webhook', url })),
+      ...(this.smtp ? [{ type: 'email', to: this.emailTo }] : [])
+    ];
+  }
+
+  // Forget sends outside the dedup window and the hourly limit, keeping
+  // entries that still have suppressed repeats to report
+  prune(now) {
+    this.sentAt = this.sentAt.filter(time => now - time < HOUR_MS);
+    this.recent.forEach((entry, key) => {
+      if (now - entry.sentAt >= this.dedupWindow && entry.suppressed === 0) {
+        this.recent.delete(key);
+      }
+    });
+  }
+
+  remember(alert, outcome, results = []) {
+    this.history.unshift({ ...alert, outcome, results });
+    this.history.length = Math.min(this.history.length, HISTORY_SIZE);
+    metrics.alerts.inc({ type: alert.type, outcome });
+  }
+
+  // fields: shop, orderId, jobId, message, details, and key to tell apart
+  // alerts of one type for one shop (defaults to the order or job). Never
+  // rejects, so callers needn't wait for it; resolves with sent, failed,
+  // suppressed, rate_limited or no_channels.
+  async notify(type, fields = {}) {
+    try {
+      return await this.dispatch(type, fields);
+    } catch (error) {
+      logger.error('Failed to raise alert', { alertType: type, error });
+      return 'failed';
+    }
+  }
+
+  async dispatch(type, { shop, orderId, jobId, message, details, key }) {
+    const { title, severity } = ALERT_DETAILS[type] || { title: type, severity: 'error' };
+    const alert = redact({
+      type,
+      severity,
+      title,
+      message: message || title,
+      shop: shop || null,
+      orderId: orderId ?? null,
+      jobId: jobId || null,
+      details: details || null,
+      correlationId: logger.getCorrelationId() || null,
+      timestamp: new Date().toISOString()
+    });
+
+    const channels = this.getChannels();
+    if (channels.length === 0) {
+      return 'no_channels';
+    }
+
+    const now = Date.now();
+    this.prune(now);
+    const dedupKey = [type, alert.shop, key ?? orderId ?? jobId ?? ''].join('|');
+    const previous = this.recent.get(dedupKey);
+
+    if (previous && now - previous.sentAt < this.dedupWindow) {
+      previous.suppressed++;
+      this.remember(alert, 'suppressed');
+      return 'suppressed';
+    }
+    if (this.sentAt.length >= this.maxPerHour) {
+      logger.warn('Alert limit reached, dropping alert', { alertType: type, maxPerHour: this.maxPerHour });
+      this.remember(alert, 'rate_limited');
+      return 'rate_limited';
+    }
+
+    alert.suppressed = previous ? previous.suppressed : 0;
+    this.recent.set(dedupKey, { sentAt: now, suppressed: 0 });
+    this.sentAt.push(now);
+
+    const results = await Promise.all(channels.map(async channel => {
+      try {
+        await this.send(channel, alert);
+        return { channel: channel.type, ok: true };
+      } catch (error) {
+        logger.error('Failed to send alert', { channel: channel.type, alertType: type, error: error.message });
+        return { channel: channel.type, ok: false, error: error.message };
+      }
+    }));
+
+    const outcome = results.some(result => result.ok) ? 'sent' : 'failed';
+    this.remember(alert, outcome, results);
+    return outcome;
+  }
+
+  send(channel, alert) {
+    if (channel.type === 'slack') {
+      const [message, ...lines] = describeAlert(alert);
+      return axios.post(channel.url, {
+        text: `${SEVERITY_ICONS[alert.severity] || ''} *${alert.title}*: ${message}\n${lines.join('\n')}`.trim()
+      }, { timeout: this.timeout });
+    }
+
+    if (channel.type === 'webhook') {
+      return axios.post(channel.url, { alert }, { timeout: this.timeout });
+    }
+
+    return this.smtp.sendMail({
+      from: this.emailFrom,
+      to: channel.to,
+      subject: `[payment-capturer] ${alert.title}${alert.shop ? ` (${alert.shop})` : ''}`,
+      text: [
+        ...describeAlert(alert),
+        '',
+        `Time: ${alert.timestamp}`,
+        ...(alert.details ? ['', JSON.stringify(alert.details, null, 2)] : [])
+      ].join('\n')
+    });
+  }
+
+  // Configured channels (without their URLs, which carry secrets) and the
+  // latest alerts, newest first
+  getStatus() {
+    return {
+      channels: this.getChannels().map(channel => ({
+        type: channel.type,
+        target: channel.url ? describeTarget(channel.url) : channel.to
+      })),
+      dedupMinutes: this.dedupWindow / 60000,
+      maxPerHour: this.maxPerHour,
+      sentLastHour: this.sentAt.filter(time => Date.now() - time < HOUR_MS).length,
+      recent: this.history
+    };
+  }
+}
+
+module.exports = new Alerter();
+module.exports.Alerter = Alerter;
+module.exports.ALERT_TYPES = ALERT_TYPES;
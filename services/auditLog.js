@@ -0,0 +1,22 @@
+const config = require('../config');
+const JsonlStore = require('./jsonlStore');
+
+// Append-only trail of calls made to authenticated endpoints, one JSON
+// object per line
+class AuditLog extends JsonlStore {
+  constructor(filePath) {
+    super(filePath || config.paths.auditLog, { description: 'audit log', logEntry: false });
+  }
+
+  record(entry) {
+    this.append({ timestamp: new Date().toISOString(), ...entry });
+  }
+
+  // Most recent entries first
+  recent(limit = 100) {
+    return this.readAll().slice(-limit).reverse();
+  }
+}
+
+module.exports = new AuditLog();
+module.exports.AuditLog = AuditLog;
@@ -0,0 +1,403 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { DAYS } = require('../config/schema');
+
+const MINUTE = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+// How far ahead (or back) a search for an allowed capture time goes
+const SEARCH_DAYS = 400;
+// Yearly holidays from iCal files are expanded for these years around now
+const YEARS_BEHIND = 1;
+const YEARS_AHEAD = 3;
+
+const formatters = new Map();
+
+// Date and time parts of an instant in a time zone
+const getZonedParts = (time, timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return Object.fromEntries(formatters.get(timezone).formatToParts(new Date(time))
+    .filter(part => part.type !== 'literal')
+    .map(part => [part.type, Number(part.value)]));
+};
+
+// How far the time zone's wall clock is ahead of UTC at an instant, in ms
+const getOffset = (time, timezone) => {
+  const p = getZonedParts(time, timezone);
+  const wallClock = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wallClock - Math.floor(time / 1000) * 1000;
+};
+
+// The instant a wall-clock time ('YYYY-MM-DD', minutes after midnight) has
+// in a time zone. Checked twice so times next to a DST change come out right.
+const zonedTimeToUtc = (date, minutes, timezone) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+  const guess = wallClock - getOffset(wallClock, timezone);
+  return wallClock - getOffset(guess, timezone);
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// 'YYYY-MM-DD' of an instant in a time zone
+const getLocalDate = (time, timezone) => {
+  const p = getZonedParts(time, timezone);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+};
+
+const addDays = (date, days) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+const getWeekday = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+// "HH:MM" -> minutes after midnight
+const parseClock = (value) => {
+  const match = /^(\d{2}):(\d{2})$/.exec(value);
+  if (!match || Number(match[1]) > 24 || Number(match[2]) > 59 || (match[1] === '24' && match[2] !== '00')) {
+    throw new Error(`"${value}" is not a time of day (HH:MM)`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+};
+
+// "mon-fri 09:00-17:00" -> { days: Set of weekdays, start, end } (minutes)
+const parseWindow = (value) => {
+  const match = /^(\w{3})(?:-(\w{3}))? (\d{2}:\d{2})-(\d{2}:\d{2})$/.exec(String(value).trim());
+  const first = match && DAYS.indexOf(match[1]);
+  const last = match && DAYS.indexOf(match[2] || match[1]);
+  if (!match || first < 0 || last < 0) {
+    throw new Error(`Capture window "${value}" should look like "mon-fri 09:00-17:00"`);
+  }
+
+  const days = new Set();
+  for (let day = first; ; day = (day + 1) % 7) {
+    days.add(day);
+    if (day === last) {
+      break;
+    }
+  }
+  const start = parseClock(match[3]);
+  const end = parseClock(match[4]);
+  if (start >= end) {
+    throw new Error(`Capture window "${value}" ends before it starts`);
+  }
+  return { days, start, end };
+};
+
+// 'YYYY-MM-DD' or 'YYYY-MM-DDTHH:MM' -> { date, minutes }. Date-only ends are
+// inclusive, so they mean the end of that day.
+const parseLocalTime = (value, isEnd = false) => {
+  const match = /^(\d{4}-\d{2}-\d{2})(?:T(\d{2}:\d{2}))?$/.exec(String(value).trim());
+  if (!match || Number.isNaN(Date.parse(match[1]))) {
+    throw new Error(`"${value}" is not a local date or time (YYYY-MM-DD or YYYY-MM-DDTHH:MM)`);
+  }
+  if (match[2]) {
+    return { date: match[1], minutes: parseClock(match[2]) };
+  }
+  return isEnd ? { date: addDays(match[1], 1), minutes: 0 } : { date: match[1], minutes: 0 };
+};
+
+// A { date, minutes } wall-clock time as if it were UTC, for comparing
+const toWallClock = ({ date, minutes }) => Date.parse(`${date}T00:00:00Z`) + minutes * MINUTE;
+
+// "start/end" or { start, end, name }
+const parseBlackout = (value) => {
+  const { start, end, name = null } = typeof value === 'string'
+    ? { start: value.split('/')[0], end: value.split('/')[1] }
+    : value || {};
+  if (!start || !end) {
+    throw new Error(`Blackout ${JSON.stringify(value)} needs a start and an end`);
+  }
+  const blackout = { name, start: parseLocalTime(start), end: parseLocalTime(end, true) };
+  if (toWallClock(blackout.start) >= toWallClock(blackout.end)) {
+    throw new Error(`Blackout ${JSON.stringify(value)} ends before it starts`);
+  }
+  return blackout;
+};
+
+// Unfolded "NAME;PARAMS:VALUE" lines of the VEVENTs in an iCal file
+const readIcalEvents = (text) => {
+  const lines = text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const events = [];
+  let event = null;
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+    } else if (line === 'END:VEVENT') {
+      events.push(event);
+      event = null;
+    } else if (event) {
+      const separator = line.indexOf(':');
+      if (separator > 0) {
+        const [name, ...params] = line.slice(0, separator).split(';');
+        event[name.toUpperCase()] = { value: line.slice(separator + 1).trim(), params };
+      }
+    }
+  }
+  return events;
+};
+
+// 20261225 -> 2026-12-25, 20261127T180000 -> { date, minutes, utc }
+const parseIcalTime = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})\d{2}(Z)?)?$/.exec(value);
+  if (!match) {
+    throw new Error(`"${value}" is not an iCal date`);
+  }
+  const date = `${match[1]}-${match[2]}-${match[3]}`;
+  return match[4] === undefined
+    ? { date, allDay: true }
+    : { date, minutes: Number(match[4]) * 60 + Number(match[5]), utc: Boolean(match[6]), allDay: false };
+};
+
+// When captures may run, in each shop's own time zone:
+// - business days (CAPTURE_BUSINESS_DAYS) minus holidays, for rules that
+//   capture "N business days later"
+// - capture windows (CAPTURE_WINDOWS, e.g. "mon-fri 09:00-17:00"); without
+//   any, the whole day is allowed
+// - holidays and blackouts (CAPTURE_BLACKOUTS and the files in
+//   CAPTURE_HOLIDAY_FILES, iCal or JSON), when no capture runs at all
+// Without windows, holidays or blackouts captures run whenever they are due.
+class Calendar {
+  constructor(settings = null) {
+    this.settings = settings;
+    this.businessDays = new Set([1, 2, 3, 4, 5]);
+    this.windows = [];
+    this.blackouts = [];
+    this.holidays = new Map();
+  }
+
+  // Reads the settings and holiday files; throws on the first problem so the
+  // app refuses to start with a calendar it can't follow
+  load() {
+    const settings = { ...config.calendar, ...this.settings };
+
+    if (settings.businessDays.length === 0) {
+      throw new Error('The capture calendar needs at least one business day');
+    }
+    this.businessDays = new Set(settings.businessDays.map(day => DAYS.indexOf(day)));
+    this.windows = settings.windows.map(parseWindow);
+    this.blackouts = settings.blackouts.map(parseBlackout);
+    this.holidays = new Map();
+    settings.holidayFiles.forEach(file => this.loadHolidayFile(path.resolve(file)));
+    return this;
+  }
+
+  loadHolidayFile(file) {
+    let text;
+    try {
+      text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      throw new Error(`Holiday file ${file} could not be read: ${error.message}`);
+    }
+
+    try {
+      if (file.endsWith('.ics')) {
+        this.loadIcal(text);
+      } else {
+        this.loadJson(JSON.parse(text));
+      }
+    } catch (error) {
+      throw new Error(`Holiday file ${file}: ${error.message}`);
+    }
+  }
+
+  // { "holidays": ["2026-12-25", { "date": "2026-12-26", "name": "..." }],
+  //   "blackouts": ["2026-11-27/2026-11-30", { "start", "end", "name" }] }
+  // or just the holidays array
+  loadJson(data) {
+    const { holidays = [], blackouts = [] } = Array.isArray(data) ? { holidays: data } : data || {};
+    holidays.forEach(holiday => {
+      const { date, name = null } = typeof holiday === 'string' ? { date: holiday } : holiday || {};
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '') || Number.isNaN(Date.parse(date))) {
+        throw new Error(`holiday ${JSON.stringify(holiday)} needs a date (YYYY-MM-DD)`);
+      }
+      this.holidays.set(date, name);
+    });
+    blackouts.forEach(blackout => this.blackouts.push(parseBlackout(blackout)));
+  }
+
+  // All-day events are holidays and timed ones blackouts (in the shop's time
+  // zone unless they end in Z; TZID is not looked at). RRULE:FREQ=YEARLY is
+  // expanded; other recurrences are refused rather than half-followed.
+  loadIcal(text) {
+    const thisYear = new Date().getUTCFullYear();
+
+    for (const event of readIcalEvents(text)) {
+      if (!event.DTSTART) {
+        continue;
+      }
+      const name = event.SUMMARY ? event.SUMMARY.value : null;
+      const start = parseIcalTime(event.DTSTART.value);
+      const end = event.DTEND ? parseIcalTime(event.DTEND.value) : null;
+      const rule = event.RRULE ? event.RRULE.value : null;
+
+      let years = [0];
+      if (rule) {
+        if (!/(^|;)FREQ=YEARLY(;|$)/.test(rule) || /(^|;)(COUNT|BYDAY|BYSETPOS)=/.test(rule)) {
+          throw new Error(`unsupported recurrence "${rule}" in "${name}" (only FREQ=YEARLY on a fixed date)`);
+        }
+        const first = Number(start.date.slice(0, 4));
+        years = [];
+        for (let year = Math.max(first, thisYear - YEARS_BEHIND); year <= thisYear + YEARS_AHEAD; year++) {
+          years.push(year - first);
+        }
+      }
+
+      for (const shift of years) {
+        const move = (date) => `${Number(date.slice(0, 4)) + shift}${date.slice(4)}`;
+        if (start.allDay) {
+          const last = end ? addDays(move(end.date), -1) : move(start.date);
+          for (let date = move(start.date); date <= last; date = addDays(date, 1)) {
+            this.holidays.set(date, name);
+          }
+        } else {
+          this.blackouts.push({
+            name,
+            start: { date: move(start.date), minutes: start.minutes },
+            end: end ? { date: move(end.date), minutes: end.minutes } : { date: move(start.date), minutes: start.minutes + 60 },
+            utc: start.utc
+          });
+        }
+      }
+    }
+  }
+
+  // Whether anything limits when captures may run
+  isRestricted() {
+    return this.windows.length > 0 || this.blackouts.length > 0 || this.holidays.size > 0;
+  }
+
+  isHoliday(date) {
+    return this.holidays.has(date);
+  }
+
+  isBusinessDay(date) {
+    return this.businessDays.has(getWeekday(date)) && !this.isHoliday(date);
+  }
+
+  resolveBlackout(blackout, timezone) {
+    const toTime = (time) => (blackout.utc ? toWallClock(time) : zonedTimeToUtc(time.date, time.minutes, timezone));
+    return [toTime(blackout.start), toTime(blackout.end)];
+  }
+
+  // The [start, end) instants captures may run at on a local date, in order
+  allowedIntervals(date, timezone) {
+    if (this.isHoliday(date)) {
+      return [];
+    }
+
+    const weekday = getWeekday(date);
+    const ranges = this.windows.length > 0
+      ? this.windows.filter(window => window.days.has(weekday)).map(window => [window.start, window.end])
+      : [[0, DAY_MINUTES]];
+
+    let intervals = ranges
+      .map(([start, end]) => [zonedTimeToUtc(date, start, timezone), zonedTimeToUtc(date, end, timezone)])
+      .sort((a, b) => a[0] - b[0])
+      .reduce((merged, interval) => {
+        const last = merged[merged.length - 1];
+        if (last && interval[0] <= last[1]) {
+          last[1] = Math.max(last[1], interval[1]);
+        } else {
+          merged.push(interval);
+        }
+        return merged;
+      }, []);
+
+    for (const blackout of this.blackouts) {
+      const [blockedFrom, blockedUntil] = this.resolveBlackout(blackout, timezone);
+      intervals = intervals.flatMap(([start, end]) => {
+        if (blockedUntil <= start || blockedFrom >= end) {
+          return [[start, end]];
+        }
+        return [[start, blockedFrom], [blockedUntil, end]].filter(([from, until]) => from < until);
+      });
+    }
+    return intervals;
+  }
+
+  // The first time at or after `time` a capture may run, or null when there
+  // is none up to `latest`
+  nextAllowedTime(time, timezone, latest = Infinity) {
+    let date = getLocalDate(time, timezone);
+    for (let day = 0; day < SEARCH_DAYS; day++, date = addDays(date, 1)) {
+      for (const [start, end] of this.allowedIntervals(date, timezone)) {
+        if (end <= time) {
+          continue;
+        }
+        const candidate = Math.max(start, time);
+        return candidate <= latest ? candidate : null;
+      }
+    }
+    return null;
+  }
+
+  // The last time at or before `deadline` a capture may run, or null when
+  // there is none back to `earliest`
+  latestAllowedTime(deadline, timezone, earliest = -Infinity) {
+    let date = getLocalDate(deadline, timezone);
+    for (let day = 0; day < SEARCH_DAYS; day++, date = addDays(date, -1)) {
+      for (const [start, end] of this.allowedIntervals(date, timezone).reverse()) {
+        if (start > deadline) {
+          continue;
+        }
+        // End times are exclusive; land a minute before
+        const candidate = Math.max(start, Math.min(deadline, end - MINUTE));
+        return candidate >= earliest ? candidate : null;
+      }
+    }
+    return null;
+  }
+
+  // `days` business days after `from` (0: the same day if it is one), at
+  // `at` ("HH:MM") in the time zone, or at the time of day of `from`. Never
+  // earlier than `from`.
+  addBusinessDays(from, days, at, timezone) {
+    let date = getLocalDate(from, timezone);
+    for (let remaining = days; remaining > 0; remaining--) {
+      date = this.nextBusinessDay(addDays(date, 1));
+    }
+    date = this.nextBusinessDay(date);
+
+    const p = getZonedParts(from, timezone);
+    const minutes = at ? parseClock(at) : p.hour * 60 + p.minute;
+    let time = zonedTimeToUtc(date, minutes, timezone);
+    // "0 business days at 10:00" asked for at 15:00: the next business day
+    while (time < from) {
+      date = this.nextBusinessDay(addDays(date, 1));
+      time = zonedTimeToUtc(date, minutes, timezone);
+    }
+    return time;
+  }
+
+  // The first business day on or after `date`. Throws when holidays leave
+  // none within SEARCH_DAYS.
+  nextBusinessDay(date) {
+    let day = date;
+    for (let i = 0; i < SEARCH_DAYS; i++, day = addDays(day, 1)) {
+      if (this.isBusinessDay(day)) {
+        return day;
+      }
+    }
+    throw new Error(`No business day within ${SEARCH_DAYS} days of ${date}`);
+  }
+}
+
+module.exports = new Calendar();
+module.exports.Calendar = Calendar;
+module.exports.getZonedParts = getZonedParts;
+module.exports.zonedTimeToUtc = zonedTimeToUtc;
+module.exports.getLocalDate = getLocalDate;
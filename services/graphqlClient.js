@@ -0,0 +1,340 @@
+// Admin GraphQL API client that paces calls by query cost. Shopify returns
+// the bucket state in extensions.cost.throttleStatus with every response;
+// calls wait until the bucket has restored enough points for the query.
+
+const metrics = require('./metrics');
+
+const DEFAULT_QUERY_COST = 50;
+const MAX_THROTTLE_RETRIES = 3;
+
+const TRANSACTION_FIELDS = `
+  id
+  kind
+  status
+  gateway
+  errorCode
+  createdAt
+  authorizationExpiresAt
+  parentTransaction { id }
+  amountSet { shopMoney { amount currencyCode } }
+`;
+
+const ORDER_FIELDS = `
+  id
+  legacyResourceId
+  name
+  createdAt
+  updatedAt
+  cancelledAt
+  displayFinancialStatus
+  displayFulfillmentStatus
+  tags
+  sourceName
+  currencyCode
+  taxesIncluded
+  customAttributes { key value }
+  totalPriceSet { shopMoney { amount currencyCode } }
+  totalOutstandingSet { shopMoney { amount currencyCode } }
+  lineItems(first: 100) {
+    nodes {
+      id
+      name
+      quantity
+      unfulfilledQuantity
+      customAttributes { key value }
+      product { legacyResourceId productType }
+      originalUnitPriceSet { shopMoney { amount } }
+      discountAllocations { allocatedAmountSet { shopMoney { amount } } }
+      taxLines { priceSet { shopMoney { amount } } }
+    }
+  }
+  shippingLines(first: 10) {
+    nodes {
+      originalPriceSet { shopMoney { amount } }
+      discountedPriceSet { shopMoney { amount } }
+      taxLines { priceSet { shopMoney { amount } } }
+    }
+  }
+`;
+
+// Enough to page through orders; the full order is loaded separately
+const ORDER_SUMMARY_FIELDS = `
+  id
+  legacyResourceId
+  name
+  createdAt
+  cancelledAt
+  displayFinancialStatus
+`;
+
+const QUERIES = {
+  shop: `query getShop {
+    shop { ianaTimezone }
+  }`,
+  order: `query getOrder($id: ID!) {
+    order(id: $id) { ${ORDER_FIELDS} }
+  }`,
+  transactions: `query getOrderTransactions($id: ID!) {
+    order(id: $id) { transactions(first: 100) { ${TRANSACTION_FIELDS} } }
+  }`,
+  recentOrders: `query getRecentOrders($first: Int!) {
+    orders(first: $first, sortKey: CREATED_AT, reverse: true) { nodes { ${ORDER_FIELDS} } }
+  }`,
+  ordersPage: `query getOrdersPage($first: Int!, $after: String, $query: String!) {
+    orders(first: $first, after: $after, query: $query, sortKey: CREATED_AT) {
+      nodes { ${ORDER_SUMMARY_FIELDS} }
+      pageInfo { hasNextPage endCursor }
+    }
+  }`,
+  orderCapture: `mutation orderCapture($input: OrderCaptureInput!) {
+    orderCapture(input: $input) {
+      transaction { ${TRANSACTION_FIELDS} }
+      userErrors { field message }
+    }
+  }`,
+  transactionVoid: `mutation transactionVoid($parentTransactionId: ID!) {
+    transactionVoid(parentTransactionId: $parentTransactionId) {
+      transaction { ${TRANSACTION_FIELDS} }
+      userErrors { field message code }
+    }
+  }`
+};
+
+const toGid = (type, id) =>
+  String(id).startsWith('gid://') ? String(id) : `gid://shopify/${type}/${id}`;
+
+const fromGid = (gid) => {
+  if (!gid) {
+    return null;
+  }
+  const id = String(gid).split('/').pop();
+  return /^\d+$/.test(id) ? Number(id) : id;
+};
+
+const lower = (value) => (value ? String(value).toLowerCase() : value);
+
+const toRestAttributes = (attributes) =>
+  (attributes || []).map(({ key, value }) => ({ name: key, value }));
+
+// Shape GraphQL results like the REST resources the rest of the app expects
+const toRestTransaction = (transaction) => ({
+  id: fromGid(transaction.id),
+  kind: lower(transaction.kind),
+  status: lower(transaction.status),
+  gateway: transaction.gateway,
+  error_code: transaction.errorCode,
+  created_at: transaction.createdAt,
+  authorization_expires_at: transaction.authorizationExpiresAt,
+  parent_id: transaction.parentTransaction ? fromGid(transaction.parentTransaction.id) : null,
+  amount: transaction.amountSet ? transaction.amountSet.shopMoney.amount : null,
+  currency: transaction.amountSet ? transaction.amountSet.shopMoney.currencyCode : null
+});
+
+const amountOf = (set) => (set ? set.shopMoney.amount : null);
+
+const toRestTaxLines = (taxLines) => (taxLines || []).map(line => ({ price: amountOf(line.priceSet) }));
+
+// REST's fulfillment_status: null until something ships, then partial or
+// fulfilled
+const FULFILLMENT_STATUSES = { FULFILLED: 'fulfilled', PARTIALLY_FULFILLED: 'partial' };
+
+const toRestOrder = (order) => ({
+  id: Number(order.legacyResourceId),
+  admin_graphql_api_id: order.id,
+  name: order.name,
+  created_at: order.createdAt,
+  updated_at: order.updatedAt,
+  cancelled_at: order.cancelledAt,
+  financial_status: lower(order.displayFinancialStatus),
+  fulfillment_status: FULFILLMENT_STATUSES[order.displayFulfillmentStatus] || null,
+  tags: (order.tags || []).join(', '),
+  source_name: order.sourceName,
+  currency: order.currencyCode,
+  taxes_included: Boolean(order.taxesIncluded),
+  note_attributes: toRestAttributes(order.customAttributes),
+  total_price: order.totalPriceSet ? order.totalPriceSet.shopMoney.amount : null,
+  total_outstanding: order.totalOutstandingSet ? order.totalOutstandingSet.shopMoney.amount : null,
+  line_items: ((order.lineItems && order.lineItems.nodes) || []).map(item => ({
+    id: fromGid(item.id),
+    name: item.name,
+    quantity: item.quantity,
+    properties: toRestAttributes(item.customAttributes),
+    product_id: item.product ? Number(item.product.legacyResourceId) : null,
+    product_type: item.product ? item.product.productType : null,
+    fulfillable_quantity: item.unfulfilledQuantity,
+    price: amountOf(item.originalUnitPriceSet),
+    discount_allocations: (item.discountAllocations || []).map(allocation => ({ amount: amountOf(allocation.allocatedAmountSet) })),
+    tax_lines: toRestTaxLines(item.taxLines)
+  })),
+  shipping_lines: ((order.shippingLines && order.shippingLines.nodes) || []).map(line => ({
+    price: amountOf(line.originalPriceSet),
+    discounted_price: amountOf(line.discountedPriceSet),
+    tax_lines: toRestTaxLines(line.taxLines)
+  }))
+});
+
+class GraphQLClient {
+  // post(body, { idempotent }) sends { query, variables } to the shop's
+  // graphql.json endpoint and resolves with the parsed response body;
+  // mutations are flagged so the transport only retries them when throttled
+  constructor({ post, log = () => {} }) {
+    this.post = post;
+    this.log = log;
+    this.bucket = null;
+    this.queryCosts = new Map();
+    this.queue = Promise.resolve();
+  }
+
+  // Points currently in the bucket, counting what has restored since the
+  // last response
+  getAvailable() {
+    if (!this.bucket) {
+      return Infinity;
+    }
+    const elapsed = (Date.now() - this.bucket.updatedAt) / 1000;
+    return Math.min(
+      this.bucket.maximumAvailable,
+      this.bucket.currentlyAvailable + elapsed * this.bucket.restoreRate
+    );
+  }
+
+  updateBucket(extensions) {
+    const cost = extensions && extensions.cost;
+    if (!cost || !cost.throttleStatus) {
+      return;
+    }
+    this.bucket = { ...cost.throttleStatus, updatedAt: Date.now() };
+  }
+
+  // Queue behind earlier callers and wait until the bucket can cover the
+  // query's expected cost
+  reserve(cost) {
+    const turn = this.queue.then(async () => {
+      const available = this.getAvailable();
+      if (available < cost) {
+        const wait = Math.ceil(((cost - available) / this.bucket.restoreRate) * 1000);
+        this.log(`GraphQL bucket low (${Math.floor(available)}/${cost}), waiting ${wait}ms`);
+        await new Promise(resolve => setTimeout(resolve, wait));
+      }
+      // Claim the points now so queued callers don't count them twice
+      if (this.bucket) {
+        this.bucket.currentlyAvailable = this.getAvailable() - cost;
+        this.bucket.updatedAt = Date.now();
+      }
+    });
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  async request(name, variables = {}) {
+    const query = QUERIES[name];
+    if (!query) {
+      throw new Error(`Unknown GraphQL operation: ${name}`);
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      await this.reserve(this.queryCosts.get(name) || DEFAULT_QUERY_COST);
+
+      const body = await this.post({ query, variables }, {
+        idempotent: !query.trim().startsWith('mutation')
+      });
+      this.updateBucket(body.extensions);
+      if (body.extensions && body.extensions.cost) {
+        this.queryCosts.set(name, body.extensions.cost.requestedQueryCost);
+      }
+
+      const errors = body.errors || [];
+      const throttled = errors.some(e => e.extensions && e.extensions.code === 'THROTTLED');
+      if (throttled) {
+        metrics.shopifyThrottled.inc({ api: 'graphql' });
+      }
+      if (throttled && attempt < MAX_THROTTLE_RETRIES) {
+        this.log(`GraphQL ${name} throttled, retrying`);
+        continue;
+      }
+
+      if (errors.length > 0) {
+        const error = new Error(`GraphQL ${name} failed: ${errors.map(e => e.message).join('; ')}`);
+        error.retryable = throttled;
+        error.graphQLErrors = errors;
+        throw error;
+      }
+
+      return body.data;
+    }
+  }
+
+  // Throws a non-retryable error when a mutation reports userErrors
+  assertNoUserErrors(name, payload) {
+    const userErrors = (payload && payload.userErrors) || [];
+    if (userErrors.length > 0) {
+      const error = new Error(`${name} rejected: ${userErrors.map(e => e.message).join('; ')}`);
+      error.retryable = false;
+      error.userErrors = userErrors;
+      throw error;
+    }
+  }
+
+  async getShopTimezone() {
+    const data = await this.request('shop');
+    return data.shop.ianaTimezone;
+  }
+
+  async getOrder(orderId) {
+    const data = await this.request('order', { id: toGid('Order', orderId) });
+    if (!data.order) {
+      const error = new Error(`Order ${orderId} not found`);
+      error.retryable = false;
+      throw error;
+    }
+    return toRestOrder(data.order);
+  }
+
+  async getOrderTransactions(orderId) {
+    const data = await this.request('transactions', { id: toGid('Order', orderId) });
+    return data.order ? data.order.transactions.map(toRestTransaction) : [];
+  }
+
+  async getRecentOrders(limit) {
+    const data = await this.request('recentOrders', { first: limit });
+    return data.orders.nodes.map(toRestOrder);
+  }
+
+  // One page of orders matching an orders search query (e.g.
+  // `financial_status:authorized`); nextCursor is null on the last page
+  async getOrdersPage(query, { first = 100, after = null } = {}) {
+    const data = await this.request('ordersPage', { first, after, query });
+    const { nodes, pageInfo } = data.orders;
+    return {
+      orders: nodes.map(toRestOrder),
+      nextCursor: pageInfo.hasNextPage ? pageInfo.endCursor : null
+    };
+  }
+
+  async captureOrder(orderId, parentTransactionId, amount, currency) {
+    const data = await this.request('orderCapture', {
+      input: {
+        id: toGid('Order', orderId),
+        parentTransactionId: toGid('OrderTransaction', parentTransactionId),
+        amount,
+        currency
+      }
+    });
+    this.assertNoUserErrors('orderCapture', data.orderCapture);
+    return toRestTransaction(data.orderCapture.transaction);
+  }
+
+  async voidTransaction(parentTransactionId) {
+    const data = await this.request('transactionVoid', {
+      parentTransactionId: toGid('OrderTransaction', parentTransactionId)
+    });
+    this.assertNoUserErrors('transactionVoid', data.transactionVoid);
+    return toRestTransaction(data.transactionVoid.transaction);
+  }
+}
+
+module.exports = GraphQLClient;
+module.exports.toGid = toGid;
+module.exports.fromGid = fromGid;
+module.exports.toRestOrder = toRestOrder;
+module.exports.toRestTransaction = toRestTransaction;
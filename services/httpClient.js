@@ -0,0 +1,176 @@
+const axios = require('axios');
+const config = require('../config');
+const metrics = require('./metrics');
+
+const RETRYABLE_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'EAI_AGAIN'];
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+const MAX_RETRY_DELAY = 30000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Request layer shared by every Shopify Admin API call of a shop:
+// - paces REST calls with a leaky bucket fed by X-Shopify-Shop-Api-Call-Limit
+// - retries 429s (honouring Retry-After), and 5xx/timeouts for idempotent
+//   requests only, so a capture POST is never blindly re-sent
+// - replays a request once with a fresh token after a 401
+// - logs the timing of every request
+class ShopifyHttpClient {
+  // getAccessToken(forceRefresh) resolves with the token to send
+  constructor({ baseURL, getAccessToken, log = () => {}, timeout = 30000 }) {
+    this.getAccessToken = getAccessToken;
+    this.log = log;
+    this.maxRetries = config.shopify.httpMaxRetries;
+    this.leakRate = config.shopify.restLeakRate; // calls per second
+    this.bucket = null;
+    this.queue = Promise.resolve();
+
+    this.axios = axios.create({
+      baseURL,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Shopify-Payment-Capturer/1.0'
+      },
+      timeout
+    });
+  }
+
+  get(url, config = {}) {
+    return this.request({ ...config, method: 'get', url });
+  }
+
+  post(url, data, config = {}) {
+    return this.request({ ...config, method: 'post', url, data });
+  }
+
+  // Calls currently in the bucket, counting what has leaked since the last
+  // response
+  getBucketLevel() {
+    if (!this.bucket) {
+      return 0;
+    }
+    const elapsed = (Date.now() - this.bucket.updatedAt) / 1000;
+    return Math.max(0, this.bucket.used - elapsed * this.leakRate);
+  }
+
+  updateBucket(headers) {
+    const header = headers && headers['x-shopify-shop-api-call-limit'];
+    if (!header) {
+      return;
+    }
+    const [used, limit] = String(header).split('/').map(Number);
+    if (Number.isFinite(used) && Number.isFinite(limit)) {
+      this.bucket = { used, limit, updatedAt: Date.now() };
+    }
+  }
+
+  // Wait our turn, leaving one slot of headroom in the bucket
+  pace() {
+    const turn = this.queue.then(async () => {
+      if (!this.bucket) {
+        return;
+      }
+      const level = this.getBucketLevel();
+      if (level >= this.bucket.limit - 1) {
+        const wait = Math.ceil(((level - this.bucket.limit + 2) / this.leakRate) * 1000);
+        this.log(`REST bucket at ${Math.ceil(level)}/${this.bucket.limit}, waiting ${wait}ms`);
+        await sleep(wait);
+      }
+      this.bucket.used = this.getBucketLevel() + 1;
+      this.bucket.updatedAt = Date.now();
+    });
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  isIdempotent(config) {
+    if (typeof config.idempotent === 'boolean') {
+      return config.idempotent;
+    }
+    return IDEMPOTENT_METHODS.includes(config.method);
+  }
+
+  shouldRetry(error, config) {
+    const status = error.response && error.response.status;
+    if (status === 429) {
+      // Throttled requests were never processed, so any method is safe
+      return true;
+    }
+    if (!this.isIdempotent(config)) {
+      return false;
+    }
+    return status >= 500 || (!error.response && RETRYABLE_ERROR_CODES.includes(error.code));
+  }
+
+  getRetryDelay(error, attempt) {
+    const retryAfter = error.response && error.response.headers && error.response.headers['retry-after'];
+    if (retryAfter !== undefined && Number.isFinite(Number(retryAfter))) {
+      return Math.min(MAX_RETRY_DELAY, Number(retryAfter) * 1000);
+    }
+    const exponential = Math.min(MAX_RETRY_DELAY, 1000 * Math.pow(2, attempt));
+    return Math.round(exponential / 2 + Math.random() * exponential / 2);
+  }
+
+  recordTiming(config, status, started) {
+    metrics.shopifyRequestDuration.observe({
+      api: config.api || 'rest',
+      method: config.method.toUpperCase(),
+      status
+    }, (Date.now() - started) / 1000);
+  }
+
+  // config.api labels the request's metrics ('rest' unless given)
+  async request(config) {
+    const label = `${config.method.toUpperCase()} ${config.url}`;
+    let replayed = false;
+    let attempt = 0;
+
+    for (;;) {
+      if (config.paced !== false) {
+        await this.pace();
+      }
+
+      const token = await this.getAccessToken(false);
+      const started = Date.now();
+
+      try {
+        const response = await this.axios.request({
+          ...config,
+          headers: { ...config.headers, 'X-Shopify-Access-Token': token }
+        });
+        this.updateBucket(response.headers);
+        this.recordTiming(config, response.status, started);
+        this.log(`${label} ${response.status} ${Date.now() - started}ms`);
+        return response;
+      } catch (error) {
+        const status = error.response && error.response.status;
+        if (error.response) {
+          this.updateBucket(error.response.headers);
+        }
+        if (status === 429) {
+          metrics.shopifyThrottled.inc({ api: config.api || 'rest' });
+        }
+        this.recordTiming(config, status || error.code || 'failed', started);
+        this.log(`${label} ${status || error.code || 'failed'} ${Date.now() - started}ms`);
+
+        if (status === 401 && !replayed) {
+          replayed = true;
+          this.log(`${label} unauthorized, refreshing token and replaying once`);
+          await this.getAccessToken(true);
+          continue;
+        }
+
+        if (attempt < this.maxRetries && this.shouldRetry(error, config)) {
+          const delay = this.getRetryDelay(error, attempt);
+          attempt++;
+          this.log(`${label} retry ${attempt}/${this.maxRetries} in ${delay}ms`);
+          await sleep(delay);
+          continue;
+        }
+
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = ShopifyHttpClient;
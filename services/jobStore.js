@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const config = require('../config');
+const { readJsonFile, writeJsonFileAtomic } = require('../utils/helpers');
+
+const JOB_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  DEAD_LETTER: 'dead_letter',
+  CANCELLED: 'cancelled'
+};
+
+// File-backed store for scheduled capture jobs. Every change is written
+// through to disk so pending captures survive restarts and deploys. The
+// server and bin/capturer share the file, so changes another process made
+// are picked up before jobs are read or changed.
+class JobStore {
+  constructor(filePath) {
+    this.filePath = filePath || config.paths.jobStore;
+    this.jobs = new Map();
+    this.modifiedAt = null;
+    this.lastShutdown = null;
+    this.load();
+  }
+
+  getModifiedAt() {
+    try {
+      return fs.statSync(this.filePath).mtimeMs;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  load() {
+    const data = readJsonFile(this.filePath, { jobs: [] });
+    this.jobs = new Map(data.jobs.map(job => [job.id, job]));
+    this.lastShutdown = data.shutdown || null;
+    this.modifiedAt = this.getModifiedAt();
+    return this.jobs.size;
+  }
+
+  // Reload when the file changed since we last read or wrote it
+  refresh() {
+    if (this.getModifiedAt() !== this.modifiedAt) {
+      this.load();
+    }
+  }
+
+  // shutdown notes that the server saved the jobs on its way down; any
+  // later write clears it
+  persist(shutdown = null) {
+    writeJsonFileAtomic(this.filePath, {
+      updatedAt: new Date().toISOString(),
+      ...(shutdown ? { shutdown } : {}),
+      jobs: Array.from(this.jobs.values())
+    });
+    this.lastShutdown = shutdown;
+    this.modifiedAt = this.getModifiedAt();
+  }
+
+  markShutdown(details) {
+    this.refresh();
+    this.persist({ at: new Date().toISOString(), ...details });
+  }
+
+  create(fields) {
+    this.refresh();
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      status: JOB_STATUS.PENDING,
+      attempts: 0,
+      lastError: null,
+      createdAt: now,
+      updatedAt: now,
+      ...fields
+    };
+
+    this.jobs.set(job.id, job);
+    this.persist();
+    return job;
+  }
+
+  update(jobId, changes) {
+    this.refresh();
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      return null;
+    }
+
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    this.persist();
+    return job;
+  }
+
+  get(jobId) {
+    this.refresh();
+    return this.jobs.get(jobId) || null;
+  }
+
+  // dueAfter and dueBefore (ms timestamps) bound the scheduled time, inclusive
+  list({ status, orderId, shop, dueAfter, dueBefore } = {}) {
+    const statuses = status ? [].concat(status) : null;
+    this.refresh();
+
+    return Array.from(this.jobs.values())
+      .filter(job => !statuses || statuses.includes(job.status))
+      .filter(job => !shop || job.shop === shop)
+      .filter(job => orderId === undefined || String(job.orderId) === String(orderId))
+      .filter(job => dueAfter === undefined || job.scheduledTime >= dueAfter)
+      .filter(job => dueBefore === undefined || job.scheduledTime <= dueBefore)
+      .sort((a, b) => a.scheduledTime - b.scheduledTime);
+  }
+}
+
+module.exports = new JobStore();
+module.exports.JOB_STATUS = JOB_STATUS;
@@ -0,0 +1,41 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+// An append-only file of JSON objects, one per line. Appends never throw:
+// a capture or request must not fail because its record could not be
+// written, so failures are logged instead. `description` names the records
+// in that log line; logEntry: false leaves the record itself out of it.
+class JsonlStore {
+  constructor(filePath, { description, logEntry = true }) {
+    this.filePath = filePath;
+    this.description = description;
+    this.logEntry = logEntry;
+  }
+
+  append(entry) {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`);
+    } catch (error) {
+      logger.error(`Failed to write ${this.description}`, this.logEntry ? { error, entry } : { error });
+    }
+    return entry;
+  }
+
+  // Every record, oldest first
+  readAll() {
+    let contents;
+    try {
+      contents = fs.readFileSync(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+    return contents.split('\n').filter(Boolean).map(line => JSON.parse(line));
+  }
+}
+
+module.exports = JsonlStore;
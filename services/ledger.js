@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const config = require('../config');
+const JsonlStore = require('./jsonlStore');
+const logger = require('../utils/logger');
+
+// What a ledger entry is about; `status` says what happened to it
+const LEDGER_ACTIONS = {
+  DECISION: 'decision',
+  AUTHORIZATION: 'authorization',
+  CAPTURE: 'capture',
+  VOID: 'void',
+  JOB: 'job',
+  FULFILLMENT: 'fulfillment'
+};
+
+// Who caused an entry. Manual actors carry the admin's name as `manual:<name>`.
+const ACTORS = {
+  WEBHOOK: 'webhook',
+  SCHEDULER: 'scheduler',
+  RECONCILER: 'reconciler',
+  SYSTEM: 'system',
+  manual: (name) => `manual:${name || 'unknown'}`
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CSV_COLUMNS = [
+  'timestamp', 'shop', 'orderId', 'action', 'status', 'actor', 'amount', 'currency',
+  'transactionId', 'jobId', 'rule', 'reason', 'correlationId', 'response'
+];
+
+// What Shopify answered to a failed call, without the request config axios
+// attaches to its errors
+const describeErrorResponse = (error) => {
+  if (error.response) {
+    return { status: error.response.status, data: error.response.data };
+  }
+  if (error.graphQLErrors) {
+    return { errors: error.graphQLErrors };
+  }
+  if (error.userErrors) {
+    return { userErrors: error.userErrors };
+  }
+  return { error: error.code || error.message };
+};
+
+// Append-only record of every decision and action taken for every order,
+// one JSON object per line
+class Ledger extends JsonlStore {
+  constructor(filePath) {
+    super(filePath || config.paths.ledger, { description: 'ledger entry' });
+  }
+
+  record(fields) {
+    return this.append({
+      id: crypto.randomUUID(),
+      timestamp: new Date().toISOString(),
+      correlationId: logger.getCorrelationId() || null,
+      ...fields,
+      orderId: fields.orderId !== undefined && fields.orderId !== null ? String(fields.orderId) : null
+    });
+  }
+
+  // Filters are optional; status and action accept arrays. from/to are
+  // Dates or anything Date.parse understands, and are inclusive.
+  query({ shop, orderId, status, action, from, to } = {}) {
+    const statuses = status ? [].concat(status) : null;
+    const actions = action ? [].concat(action) : null;
+    const fromTime = from ? new Date(from).getTime() : null;
+    // A bare date in `to` covers that whole day
+    const toTime = !to ? null
+      : /^\d{4}-\d{2}-\d{2}$/.test(to) ? new Date(to).getTime() + DAY_MS - 1
+        : new Date(to).getTime();
+
+    return this.readAll().filter(entry => {
+      const time = new Date(entry.timestamp).getTime();
+      return (!shop || entry.shop === shop) &&
+        (!orderId || entry.orderId === String(orderId)) &&
+        (!statuses || statuses.includes(entry.status)) &&
+        (!actions || actions.includes(entry.action)) &&
+        (fromTime === null || time >= fromTime) &&
+        (toTime === null || time <= toTime);
+    });
+  }
+}
+
+module.exports = new Ledger();
+module.exports.Ledger = Ledger;
+module.exports.LEDGER_ACTIONS = LEDGER_ACTIONS;
+module.exports.ACTORS = ACTORS;
+module.exports.CSV_COLUMNS = CSV_COLUMNS;
+module.exports.describeErrorResponse = describeErrorResponse;
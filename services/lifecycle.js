@@ -0,0 +1,62 @@
+const logger = require('../utils/logger');
+
+// Tracks work that moves money or decides what happens to an order
+// (captures, voids, processOrder) so a shutdown can wait for it to finish
+// instead of cutting a capture POST off halfway
+class Lifecycle {
+  constructor() {
+    this.shuttingDown = false;
+    this.shutdownStartedAt = null;
+    this.inFlight = new Map();
+    this.nextId = 0;
+  }
+
+  // Runs fn and keeps it in the in-flight list until it settles. fields
+  // (shop, orderId, ...) describe it in shutdown logs.
+  track(name, fields, fn) {
+    const id = ++this.nextId;
+    let promise;
+    try {
+      promise = Promise.resolve(fn());
+    } catch (error) {
+      promise = Promise.reject(error);
+    }
+
+    this.inFlight.set(id, { name, ...fields, startedAt: new Date().toISOString(), promise });
+    return promise.finally(() => this.inFlight.delete(id));
+  }
+
+  getInFlight() {
+    return Array.from(this.inFlight.values(), ({ promise, ...work }) => work);
+  }
+
+  beginShutdown() {
+    this.shuttingDown = true;
+    this.shutdownStartedAt = new Date().toISOString();
+  }
+
+  // Resolves true once nothing is in flight, or false when work is still
+  // running after timeout ms. Work started while waiting is waited for too.
+  async drain(timeout) {
+    const deadline = Date.now() + timeout;
+
+    while (this.inFlight.size > 0) {
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        logger.warn('Shutdown timeout reached with work in flight', { inFlight: this.getInFlight() });
+        return false;
+      }
+
+      let timer;
+      await Promise.race([
+        Promise.allSettled(Array.from(this.inFlight.values(), work => work.promise)),
+        new Promise(resolve => { timer = setTimeout(resolve, remaining); })
+      ]);
+      clearTimeout(timer);
+    }
+    return true;
+  }
+}
+
+module.exports = new Lifecycle();
+module.exports.Lifecycle = Lifecycle;
@@ -0,0 +1,202 @@
+// Minimal Prometheus metrics registry rendering the text exposition format.
+// Metric names are prefixed with `capturer_`.
+
+const PREFIX = 'capturer_';
+
+const escapeLabelValue = (value) =>
+  String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels).filter(([, value]) => value !== undefined && value !== null);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+};
+
+// Series are keyed by their label values, in labelNames order
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = PREFIX + name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  getLabels(labels) {
+    const picked = {};
+    this.labelNames.forEach(name => {
+      picked[name] = labels[name] === undefined || labels[name] === null ? '' : String(labels[name]);
+    });
+    return picked;
+  }
+
+  getSeries(labels, create) {
+    const picked = this.getLabels(labels);
+    const key = JSON.stringify(this.labelNames.map(name => picked[name]));
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: picked, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  render() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this.renderSeries()];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+
+  renderSeries() {
+    return Array.from(this.series.values()).map(s => `${this.name}${formatLabels(s.labels)} ${s.value}`);
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  set(labels = {}, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+
+  renderSeries() {
+    return Array.from(this.series.values()).map(s => `${this.name}${formatLabels(s.labels)} ${s.value}`);
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets) {
+    super('histogram', name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  observe(labels = {}, value) {
+    const series = this.getSeries(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        series.counts[i]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  renderSeries() {
+    const lines = [];
+    this.series.forEach(s => {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: bound })} ${s.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`);
+      lines.push(`${this.name}_sum${formatLabels(s.labels)} ${s.sum}`);
+      lines.push(`${this.name}_count${formatLabels(s.labels)} ${s.count}`);
+    });
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames) {
+    return this.register(new Gauge(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  render() {
+    return `${this.metrics.map(metric => metric.render().join('\n')).join('\n')}\n`;
+  }
+}
+
+const registry = new MetricsRegistry();
+
+module.exports = {
+  registry,
+  CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8',
+
+  webhooksReceived: registry.counter(
+    'webhooks_received_total',
+    'Shopify webhooks received, by topic and outcome',
+    ['topic', 'outcome']
+  ),
+  webhooksProcessed: registry.counter(
+    'webhooks_processed_total',
+    'Queued webhooks worked off the inbox, by topic and outcome (processed, failed)',
+    ['topic', 'outcome']
+  ),
+  captures: registry.counter(
+    'captures_total',
+    'Capture attempts and their results, by payment rule (flag)',
+    ['shop', 'flag', 'outcome']
+  ),
+  capturedAmount: registry.counter(
+    'captured_amount_total',
+    'Amount captured, in the currency\'s major unit',
+    ['shop', 'currency']
+  ),
+  pendingJobs: registry.gauge(
+    'pending_jobs',
+    'Scheduled captures waiting to run',
+    ['shop']
+  ),
+  oldestPendingJobAge: registry.gauge(
+    'oldest_pending_job_age_seconds',
+    'Age of the oldest pending scheduled capture',
+    ['shop']
+  ),
+  shopifyRequestDuration: registry.histogram(
+    'shopify_request_duration_seconds',
+    'Shopify Admin API request latency',
+    ['api', 'method', 'status'],
+    [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+  ),
+  shopifyThrottled: registry.counter(
+    'shopify_throttled_total',
+    'Shopify Admin API calls rejected for rate limits (REST 429, GraphQL THROTTLED)',
+    ['api']
+  ),
+  tokenRefreshFailures: registry.counter(
+    'token_refresh_failures_total',
+    'Failed access token refreshes',
+    ['shop']
+  ),
+  alerts: registry.counter(
+    'alerts_total',
+    'Alerts raised, by type and outcome (sent, failed, suppressed, rate_limited)',
+    ['type', 'outcome']
+  ),
+
+  MetricsRegistry
+};
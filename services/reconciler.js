@@ -0,0 +1,243 @@
+const config = require('../config');
+const shopifyService = require('./shopify');
+const jobStore = require('./jobStore');
+const ledger = require('./ledger');
+const lifecycle = require('./lifecycle');
+const logger = require('../utils/logger');
+const { readJsonFile, writeJsonFileAtomic } = require('../utils/helpers');
+
+const { JOB_STATUS } = jobStore;
+const { ACTORS } = ledger;
+
+// What the reconciler found wrong
+const DIFFERENCE_TYPES = {
+  // Authorized in Shopify, but we never saw the order (missed orders/create)
+  UNTRACKED_ORDER: 'untracked_order',
+  // Pending job for an order Shopify says there is nothing left to capture on
+  // (missed orders/updated, orders/cancelled or refunds/create)
+  STALE_JOB: 'stale_job'
+};
+
+// Periodically pages through each shop's authorized orders and catches up on
+// what missed webhooks would have done. Each shop keeps a watermark: orders
+// created before it have been checked. The first run looks back
+// RECONCILE_LOOKBACK_HOURS.
+class Reconciler {
+  constructor(filePath) {
+    this.filePath = filePath || config.paths.reconcilerState;
+    this.interval = config.reconcile.intervalMinutes * 60 * 1000;
+    this.lookback = config.reconcile.lookbackHours * 60 * 60 * 1000;
+    // Orders younger than this may still have their webhook on the way
+    this.grace = config.reconcile.graceMinutes * 60 * 1000;
+    this.timer = null;
+    this.running = null;
+    this.stopping = false;
+    this.lastReports = new Map();
+  }
+
+  getState() {
+    return readJsonFile(this.filePath, { shops: {} });
+  }
+
+  saveShopState(shop, changes) {
+    const state = this.getState();
+    state.shops[shop] = { ...state.shops[shop], ...changes };
+    writeJsonFileAtomic(this.filePath, state);
+  }
+
+  // Orders this shop's webhooks already brought in: anything with a ledger
+  // entry or a job
+  getKnownOrderIds(shop) {
+    const known = new Set(ledger.query({ shop }).map(entry => entry.orderId));
+    jobStore.list({ shop }).forEach(job => known.add(String(job.orderId)));
+    return known;
+  }
+
+  // dryRun only reports differences: nothing is processed and the watermark
+  // stays where it is
+  async reconcileShop(service, { dryRun = false } = {}) {
+    const startedAt = Date.now();
+    const shopState = this.getState().shops[service.shop] || {};
+    const since = new Date(shopState.watermark || startedAt - this.lookback).toISOString();
+    const cutoff = startedAt - this.grace;
+    const log = service.logger;
+
+    const report = {
+      shop: service.shop,
+      dryRun,
+      shadowMode: service.shadowMode,
+      since,
+      startedAt: new Date(startedAt).toISOString(),
+      ordersChecked: 0,
+      differences: []
+    };
+
+    log.info('Reconciling authorized orders', { since, dryRun });
+    const known = this.getKnownOrderIds(service.shop);
+    const authorizedOrderIds = new Set();
+
+    let cursor = null;
+    do {
+      const page = await service.getAuthorizedOrdersPage(since, cursor);
+      for (const order of page.orders) {
+        this.throwIfStopping();
+        if (new Date(order.created_at).getTime() > cutoff) {
+          continue;
+        }
+        report.ordersChecked++;
+        authorizedOrderIds.add(String(order.id));
+        if (known.has(String(order.id))) {
+          continue;
+        }
+
+        const difference = {
+          type: DIFFERENCE_TYPES.UNTRACKED_ORDER,
+          orderId: String(order.id),
+          orderName: order.name,
+          createdAt: order.created_at
+        };
+        if (!dryRun) {
+          try {
+            await logger.runWithContext({ orderId: order.id }, () => service.processOrder(order, ACTORS.RECONCILER));
+            difference.resolution = 'processed';
+          } catch (error) {
+            difference.resolution = 'failed';
+            difference.error = error.message;
+          }
+        }
+        report.differences.push(difference);
+      }
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    // Pending jobs whose order no longer shows up as authorized may have
+    // been cancelled, refunded or captured elsewhere
+    const unlisted = jobStore.list({ status: JOB_STATUS.PENDING, shop: service.shop })
+      .filter(job => !authorizedOrderIds.has(String(job.orderId)));
+    for (const job of unlisted) {
+      this.throwIfStopping();
+      let orderState;
+      try {
+        orderState = await service.getJobOrderState(job);
+      } catch (error) {
+        log.warn('Could not check pending job', { jobId: job.id, orderId: job.orderId, error });
+        continue;
+      }
+      if (orderState.capturable) {
+        continue;
+      }
+
+      const difference = {
+        type: DIFFERENCE_TYPES.STALE_JOB,
+        orderId: String(job.orderId),
+        jobId: job.id,
+        reason: orderState.reason
+      };
+      if (!dryRun) {
+        try {
+          await service.handleOrderChange(job.orderId, 'reconcile', ACTORS.RECONCILER);
+          const current = jobStore.get(job.id);
+          difference.resolution = current.status === JOB_STATUS.PENDING ? 'left_pending' : current.status;
+        } catch (error) {
+          difference.resolution = 'failed';
+          difference.error = error.message;
+        }
+      }
+      report.differences.push(difference);
+    }
+
+    report.finishedAt = new Date().toISOString();
+    if (!dryRun) {
+      this.saveShopState(service.shop, {
+        watermark: new Date(cutoff).toISOString(),
+        lastRunAt: report.finishedAt,
+        lastDifferences: report.differences.length
+      });
+    }
+
+    log[report.differences.length > 0 ? 'warn' : 'info']('Reconciliation finished', {
+      ordersChecked: report.ordersChecked,
+      differences: report.differences.length,
+      dryRun
+    });
+    this.lastReports.set(service.shop, report);
+    return report;
+  }
+
+  // Reconciles one shop, or every installed shop. Runs one at a time; a call
+  // while a run is in progress gets that run's result.
+  async run({ shop, dryRun = false } = {}) {
+    if (this.running) {
+      return this.running;
+    }
+
+    const shops = shop ? [shop] : shopifyService.getShops().map(record => record.shop);
+    // Tracked so a shutdown waits for the run to reach its next order
+    this.running = lifecycle.track('reconcile', { shops }, async () => {
+      const reports = [];
+      for (const domain of shops) {
+        const service = shopifyService.forShop(domain);
+        if (!service) {
+          reports.push({ shop: domain, error: 'Shop is not installed' });
+          continue;
+        }
+        try {
+          reports.push(await logger.runWithContext(
+            { correlationId: logger.newCorrelationId(), shop: service.shop },
+            () => this.reconcileShop(service, { dryRun })
+          ));
+        } catch (error) {
+          service.logger.error('Reconciliation failed', { error });
+          reports.push({ shop: service.shop, error: error.message });
+        }
+      }
+      return reports;
+    });
+
+    try {
+      return await this.running;
+    } finally {
+      this.running = null;
+    }
+  }
+
+  getStatus() {
+    return {
+      intervalMinutes: this.interval / 60000,
+      running: Boolean(this.running),
+      shops: this.getState().shops,
+      lastReports: Array.from(this.lastReports.values())
+    };
+  }
+
+  // A run cut short by stop() keeps its shop's watermark where it was, so
+  // the next run covers the same orders
+  throwIfStopping() {
+    if (this.stopping) {
+      throw new Error('Reconciliation stopped');
+    }
+  }
+
+  // RECONCILE_INTERVAL_MINUTES=0 turns the periodic run off
+  start() {
+    this.stopping = false;
+    if (this.timer || !(this.interval > 0)) {
+      return;
+    }
+    logger.info('Starting reconciler', { intervalMinutes: this.interval / 60000 });
+    this.timer = setInterval(() => {
+      this.run().catch(error => logger.error('Reconciliation failed', { error }));
+    }, this.interval);
+  }
+
+  // Ends the periodic run and makes a run in progress stop at the next order
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.stopping = true;
+  }
+}
+
+module.exports = new Reconciler();
+module.exports.Reconciler = Reconciler;
+module.exports.DIFFERENCE_TYPES = DIFFERENCE_TYPES;
@@ -0,0 +1,53 @@
+const config = require('../config');
+
+// Network failures that never reached Shopify, or timed out waiting on it
+const RETRYABLE_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND'];
+
+// Decides whether a failed capture should be retried and how long to wait.
+// Timeouts, 429 and 5xx responses are retryable; anything else Shopify
+// rejected (422 "already captured", voided or expired authorizations, 4xx)
+// is permanent and retrying it would only burn attempts.
+class RetryPolicy {
+  constructor(options = {}) {
+    this.maxAttempts = options.maxAttempts ?? config.capture.maxAttempts;
+    this.baseDelay = options.baseDelay ?? config.capture.retryBaseMs;
+    this.maxDelay = options.maxDelay ?? config.capture.retryMaxMs;
+    this.jitter = options.jitter ?? config.capture.retryJitter;
+  }
+
+  isRetryable(error) {
+    if (typeof error.retryable === 'boolean') {
+      return error.retryable;
+    }
+
+    if (!error.response) {
+      return RETRYABLE_ERROR_CODES.includes(error.code) || /timeout/i.test(error.message);
+    }
+
+    const status = error.response.status;
+    return status === 429 || status === 408 || status >= 500;
+  }
+
+  // Exponential backoff capped at maxDelay, spread by +/- jitter
+  getDelay(attempt) {
+    const exponential = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, Math.max(0, attempt - 1)));
+    const spread = exponential * this.jitter;
+    return Math.round(exponential - spread + Math.random() * spread * 2);
+  }
+
+  shouldRetry(error, attempts) {
+    return this.isRetryable(error) && attempts < this.maxAttempts;
+  }
+
+  describeError(error) {
+    const data = error.response && error.response.data;
+    if (!data || !(data.errors || data.error)) {
+      return error.message;
+    }
+    const details = data.errors || data.error;
+    return `${error.message}: ${typeof details === 'string' ? details : JSON.stringify(details)}`;
+  }
+}
+
+module.exports = new RetryPolicy();
+module.exports.RetryPolicy = RetryPolicy;
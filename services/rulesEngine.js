@@ -0,0 +1,308 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { readJsonFile, normalizeShopDomain } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const ACTION_TYPES = {
+  CAPTURE_NOW: 'capture_now',
+  CAPTURE_AFTER: 'capture_after',
+  CAPTURE_ON_FULFILLMENT: 'capture_on_fulfillment',
+  VOID: 'void',
+  IGNORE: 'ignore'
+};
+
+// What an on_fulfillment order's fallback job does if the order has not
+// shipped by the expiry safety margin
+const FULFILLMENT_FALLBACKS = ['capture', 'void'];
+
+const CONDITION_TYPES = ['attribute', 'tag', 'productType', 'channel', 'minTotal'];
+
+const toList = (value) => [].concat(value).map(v => String(v).toLowerCase());
+
+const isStringOrList = (value) =>
+  typeof value === 'string' ||
+  (Array.isArray(value) && value.length > 0 && value.every(v => typeof v === 'string'));
+
+const isPositiveNumber = (value) => typeof value === 'number' && value > 0;
+
+// "HH:MM", 24-hour clock
+const CLOCK_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Looks up an attribute by name (case-insensitive) in the order's note
+// attributes, then in its line item properties
+const findOrderAttribute = (order, names) => {
+  const wanted = toList(names);
+  const matches = (entry) => wanted.includes((entry.name || '').toLowerCase());
+
+  const noteAttr = (order.note_attributes || []).find(matches);
+  if (noteAttr) {
+    return { value: String(noteAttr.value), source: 'note attributes' };
+  }
+
+  for (const lineItem of order.line_items || []) {
+    const prop = (lineItem.properties || []).find(matches);
+    if (prop) {
+      return { value: String(prop.value), source: 'line item properties' };
+    }
+  }
+
+  return null;
+};
+
+const getOrderTags = (order) =>
+  (order.tags || '').split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+
+const CONDITIONS = {
+  attribute: (order, { name, value }) => {
+    const attr = findOrderAttribute(order, name);
+    return Boolean(attr) && toList(value).includes(attr.value.toLowerCase());
+  },
+  // Exact tag match, so `no_pay_later` does not match `pay_later`
+  tag: (order, tags) => {
+    const orderTags = getOrderTags(order);
+    return toList(tags).some(tag => orderTags.includes(tag));
+  },
+  productType: (order, types) => {
+    const wanted = toList(types);
+    return (order.line_items || []).some(item =>
+      item.product_type && wanted.includes(item.product_type.toLowerCase())
+    );
+  },
+  channel: (order, channels) =>
+    Boolean(order.source_name) && toList(channels).includes(String(order.source_name).toLowerCase()),
+  minTotal: (order, minTotal) => Number(order.total_price) >= minTotal
+};
+
+// Maps order conditions to capture actions. Rules are evaluated highest
+// priority first (file order breaks ties) and the first rule whose
+// conditions all match decides what happens to the order.
+//
+// The default rules apply to every shop; a shop can replace them with its
+// own file named <shop>.myshopify.com.json in PAYMENT_RULES_DIR.
+class RulesEngine {
+  constructor(rulesPath) {
+    this.rulesPath = rulesPath || config.paths.paymentRules;
+    this.shopRulesDir = config.paths.paymentRulesDir;
+    this.rules = [];
+    this.shopEngines = new Map();
+  }
+
+  // Loads the default rules and every per-shop rules file, failing on the
+  // first invalid file
+  loadAll() {
+    this.load();
+
+    const shopEngines = new Map();
+    const files = fs.existsSync(this.shopRulesDir)
+      ? fs.readdirSync(this.shopRulesDir).filter(file => file.endsWith('.json'))
+      : [];
+
+    files.forEach(file => {
+      const shop = normalizeShopDomain(path.basename(file, '.json'));
+      if (!shop) {
+        throw new Error(`Per-shop rules file ${file} is not named after a shop domain`);
+      }
+      const engine = new RulesEngine(path.join(this.shopRulesDir, file));
+      engine.load();
+      shopEngines.set(shop, engine);
+    });
+
+    this.shopEngines = shopEngines;
+    return 1 + shopEngines.size;
+  }
+
+  forShop(shop) {
+    return this.shopEngines.get(shop) || this;
+  }
+
+  load() {
+    const data = readJsonFile(this.rulesPath);
+    if (!data) {
+      throw new Error(`Payment rules file not found: ${this.rulesPath}`);
+    }
+
+    const errors = this.validate(data.rules);
+    if (errors.length > 0) {
+      const error = new Error(`Invalid payment rules in ${this.rulesPath}:\n  - ${errors.join('\n  - ')}`);
+      error.errors = errors;
+      throw error;
+    }
+
+    this.rules = data.rules
+      .map((rule, index) => ({ priority: 0, ...rule, index }))
+      .sort((a, b) => b.priority - a.priority || a.index - b.index);
+
+    logger.info('Loaded payment rules', { count: this.rules.length, path: this.rulesPath });
+    return this.rules.length;
+  }
+
+  validate(rules) {
+    if (!Array.isArray(rules)) {
+      return ['"rules" must be an array'];
+    }
+
+    const errors = [];
+    const names = new Set();
+
+    rules.forEach((rule, index) => {
+      if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        errors.push(`rule ${index}: must be an object`);
+        return;
+      }
+
+      const label = `rule ${index} (${rule.name || 'unnamed'})`;
+
+      if (typeof rule.name !== 'string' || !rule.name) {
+        errors.push(`${label}: "name" is required`);
+      } else if (names.has(rule.name)) {
+        errors.push(`${label}: duplicate rule name`);
+      } else {
+        names.add(rule.name);
+      }
+
+      if (rule.priority !== undefined && !Number.isFinite(rule.priority)) {
+        errors.push(`${label}: "priority" must be a number`);
+      }
+
+      errors.push(...this.validateConditions(rule.when).map(e => `${label}: ${e}`));
+      errors.push(...this.validateAction(rule.action).map(e => `${label}: ${e}`));
+    });
+
+    return errors;
+  }
+
+  validateConditions(when) {
+    if (!when || typeof when !== 'object' || Object.keys(when).length === 0) {
+      return ['"when" must list at least one condition'];
+    }
+
+    const errors = [];
+    Object.entries(when).forEach(([type, value]) => {
+      switch (type) {
+        case 'attribute':
+          if (!value || !isStringOrList(value.name) || !isStringOrList(value.value)) {
+            errors.push('"attribute" needs a "name" and a "value" (string or list of strings)');
+          }
+          break;
+        case 'tag':
+        case 'productType':
+        case 'channel':
+          if (!isStringOrList(value)) {
+            errors.push(`"${type}" must be a string or list of strings`);
+          }
+          break;
+        case 'minTotal':
+          if (typeof value !== 'number' || value < 0) {
+            errors.push('"minTotal" must be a non-negative number');
+          }
+          break;
+        default:
+          errors.push(`unknown condition "${type}" (expected one of ${CONDITION_TYPES.join(', ')})`);
+      }
+    });
+    return errors;
+  }
+
+  validateAction(action) {
+    if (!action || typeof action !== 'object') {
+      return ['"action" is required'];
+    }
+
+    const errors = [];
+    if (!Object.values(ACTION_TYPES).includes(action.type)) {
+      errors.push(`unknown action type "${action.type}" (expected one of ${Object.values(ACTION_TYPES).join(', ')})`);
+    }
+
+    if (action.type === ACTION_TYPES.CAPTURE_AFTER) {
+      ['hours', 'minutes'].forEach(unit => {
+        if (action[unit] !== undefined && !isPositiveNumber(action[unit])) {
+          errors.push(`"${unit}" must be a positive number`);
+        }
+      });
+      // "businessDays": 2, "at": "10:00" counts business days in the shop's
+      // time zone instead
+      if (action.businessDays !== undefined) {
+        if (!Number.isInteger(action.businessDays) || action.businessDays < 0) {
+          errors.push('"businessDays" must be a whole number of days, 0 or more');
+        }
+        if (action.hours !== undefined || action.minutes !== undefined) {
+          errors.push('"businessDays" can\'t be combined with "hours" or "minutes"');
+        }
+      }
+      if (action.at !== undefined) {
+        if (action.businessDays === undefined) {
+          errors.push('"at" needs "businessDays"');
+        } else if (!CLOCK_PATTERN.test(action.at)) {
+          errors.push('"at" must be a time of day like "10:00"');
+        }
+      }
+    }
+
+    // "fallback" overrides FULFILLMENT_FALLBACK for the rule's orders
+    if (action.fallback !== undefined) {
+      if (action.type !== ACTION_TYPES.CAPTURE_ON_FULFILLMENT) {
+        errors.push(`"fallback" only applies to ${ACTION_TYPES.CAPTURE_ON_FULFILLMENT}`);
+      } else if (!FULFILLMENT_FALLBACKS.includes(action.fallback)) {
+        errors.push(`"fallback" must be one of ${FULFILLMENT_FALLBACKS.join(', ')}`);
+      }
+    }
+
+    if (action.amount !== undefined && !isPositiveNumber(action.amount)) {
+      errors.push('"amount" must be a positive number');
+    }
+    if (action.percentage !== undefined && !(isPositiveNumber(action.percentage) && action.percentage <= 100)) {
+      errors.push('"percentage" must be between 0 and 100');
+    }
+    if (action.deposit !== undefined) {
+      const { amount, percentage } = action.deposit || {};
+      const valid = (isPositiveNumber(amount) && percentage === undefined) ||
+        (amount === undefined && isPositiveNumber(percentage) && percentage <= 100);
+      if (!valid) {
+        errors.push('"deposit" needs either a positive "amount" or a "percentage" between 0 and 100');
+      }
+    }
+
+    return errors;
+  }
+
+  matches(rule, order) {
+    return Object.entries(rule.when).every(([type, value]) => CONDITIONS[type](order, value));
+  }
+
+  // Returns { rule, action } for the first matching rule, or null
+  evaluate(order) {
+    const rule = this.rules.find(r => this.matches(r, order));
+    return rule ? { rule: rule.name, priority: rule.priority, action: rule.action } : null;
+  }
+
+  // Like evaluate, but reports every rule and whether each condition held
+  explain(order) {
+    const trace = this.rules.map(rule => {
+      const conditions = {};
+      Object.entries(rule.when).forEach(([type, value]) => {
+        conditions[type] = CONDITIONS[type](order, value);
+      });
+      return {
+        rule: rule.name,
+        priority: rule.priority,
+        matched: Object.values(conditions).every(Boolean),
+        conditions
+      };
+    });
+
+    return {
+      decision: this.evaluate(order),
+      trace
+    };
+  }
+
+  usesCondition(type) {
+    return this.rules.some(rule => rule.when[type] !== undefined);
+  }
+}
+
+module.exports = new RulesEngine();
+module.exports.RulesEngine = RulesEngine;
+module.exports.ACTION_TYPES = ACTION_TYPES;
+module.exports.findOrderAttribute = findOrderAttribute;
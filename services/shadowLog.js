@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+const config = require('../config');
+const JsonlStore = require('./jsonlStore');
+const logger = require('../utils/logger');
+
+// What processOrder would have done for orders of shops in shadow mode, one
+// JSON object per line
+class ShadowLog extends JsonlStore {
+  constructor(filePath) {
+    super(filePath || config.paths.shadowLog, { description: 'shadow decision' });
+  }
+
+  record(fields) {
+    return this.append({
+      id: crypto.randomUUID(),
+      timestamp: new Date().toISOString(),
+      correlationId: logger.getCorrelationId() || null,
+      ...fields,
+      orderId: String(fields.orderId)
+    });
+  }
+
+  // The latest decision per order, newest first. from/to are inclusive.
+  latest({ shop, from, to } = {}) {
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+    const byOrder = new Map();
+
+    this.readAll()
+      .filter(entry => {
+        const time = new Date(entry.timestamp).getTime();
+        return (!shop || entry.shop === shop) &&
+          (fromTime === null || time >= fromTime) &&
+          (toTime === null || time <= toTime);
+      })
+      .forEach(entry => byOrder.set(`${entry.shop}:${entry.orderId}`, entry));
+
+    return Array.from(byOrder.values()).reverse();
+  }
+}
+
+module.exports = new ShadowLog();
+module.exports.ShadowLog = ShadowLog;
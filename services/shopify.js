@@ -1,66 +1,252 @@
 const axios = require('axios');
-const fs = require('fs').promises;
-const path = require('path');
+const config = require('../config');
+const jobStore = require('./jobStore');
+const retryPolicy = require('./retryPolicy');
+const rulesEngine = require('./rulesEngine');
+const tokenStore = require('./tokenStore');
+const ledger = require('./ledger');
+const shadowLog = require('./shadowLog');
+const alerts = require('./alerts');
+const lifecycle = require('./lifecycle');
+const calendar = require('./calendar');
+const logger = require('../utils/logger');
+const metrics = require('./metrics');
+const GraphQLClient = require('./graphqlClient');
+const ShopifyHttpClient = require('./httpClient');
+const { roundMoney, formatMoney, normalizeShopDomain, getShopAdminUrl, getNextPageInfo } = require('../utils/helpers');
+const { getLocalDate } = calendar;
 
+const { JOB_STATUS } = jobStore;
+const { LEDGER_ACTIONS, ACTORS, describeErrorResponse } = ledger;
+const { ALERT_TYPES } = alerts;
+const { ACTION_TYPES, findOrderAttribute } = rulesEngine;
+
+// setTimeout overflows above ~24.8 days; longer jobs are left to the
+// scheduler sweep until they come into range
+const MAX_TIMER_DELAY = 2147483647;
+
+// Order attributes (note attributes or line item properties) that set how
+// much to capture
+const CAPTURE_AMOUNT_ATTRIBUTES = ['capture_amount'];
+const CAPTURE_PERCENTAGE_ATTRIBUTES = ['capture_percentage'];
+const DEPOSIT_AMOUNT_ATTRIBUTES = ['deposit_amount'];
+const DEPOSIT_PERCENTAGE_ATTRIBUTES = ['deposit_percentage'];
+const CAPTURE_CURRENCY_ATTRIBUTES = ['capture_currency'];
+
+const CAPTURE_OUTCOME = {
+  CAPTURED: 'captured',
+  ALREADY_CAPTURED: 'already_captured',
+  SKIPPED: 'skipped'
+};
+
+const VOID_OUTCOME = {
+  VOIDED: 'voided',
+  SKIPPED: 'skipped'
+};
+
+// What an on_fulfillment order's fallback job does when the order has not
+// shipped by the expiry safety margin (FULFILLMENT_FALLBACK, or the rule's
+// "fallback")
+const FULFILLMENT_FALLBACK = {
+  CAPTURE: 'capture',
+  VOID: 'void'
+};
+
+// Orders per page when listing orders, and the REST fields that listing needs
+const ORDER_PAGE_SIZE = 100;
+const ORDER_SUMMARY_FIELDS = 'id,name,created_at,cancelled_at,financial_status';
+
+// Why an operator's job action was refused
+const JOB_ACTION_ERRORS = {
+  NOT_FOUND: 'not_found',
+  NOT_PENDING: 'not_pending',
+  NOT_CAPTURABLE: 'not_capturable',
+  INVALID_TIME: 'invalid_time'
+};
+
+// State shared by every shop's service: one timer per job, one lock per
+// order and a single scheduler for all shops
+const shared = {
+  services: new Map(),
+  jobTimers: new Map(),
+  orderLocks: new Map(),
+  isSchedulerRunning: false,
+  schedulerInterval: null,
+  lastSweepAt: null
+};
+
+// The sweep runs every minute; report the scheduler unhealthy when it has
+// missed a few, or when due jobs are left waiting
+const SWEEP_INTERVAL = 60000;
+const SWEEP_STALE_AFTER = 3 * SWEEP_INTERVAL;
+const OVERDUE_JOB_TOLERANCE = 5 * 60 * 1000;
+
+// One instance per shop. The exported default instance serves the shop in
+// SHOPIFY_SHOP_NAME (client-credentials grant); shops installed through
+// OAuth get their own instance from forShop() using their stored token.
 class ShopifyService {
-  constructor() {
+  constructor(options = {}) {
     this.accessToken = null;
     this.tokenExpiry = null;
-    this.shop = process.env.SHOPIFY_SHOP_NAME;
-    this.clientId = process.env.SHOPIFY_CLIENT_ID;
-    this.clientSecret = process.env.SHOPIFY_CLIENT_SECRET;
-    this.apiVersion = '2024-01';
-    this.scheduledJobs = [];
-    this.isSchedulerRunning = false;
-    this.payLaterDelay = (process.env.PAY_LATER_DELAY_MINUTES || 30) * 60 * 1000;
-    
-    // Create logs directory
-    this.logsDir = path.join(__dirname, '../logs');
-    this.ensureLogsDirectory();
+    this.tokenHealth = { lastRefreshAt: null, lastError: null, lastErrorAt: null };
+    this.shop = normalizeShopDomain(options.shop);
+    this.isDefaultShop = Boolean(options.isDefaultShop);
+    this.clientId = config.shopify.clientId;
+    this.clientSecret = config.shopify.clientSecret;
+    this.apiVersion = config.shopify.apiVersion;
+    // GraphQL by default; SHOPIFY_API_MODE=rest falls back to the REST API
+    this.apiMode = config.shopify.apiMode;
+    this.jobStore = jobStore;
+    this.retryPolicy = retryPolicy;
+    this.tokenStore = tokenStore;
+    this.ledger = ledger;
+    this.shadowLog = shadowLog;
+    this.jobTimers = shared.jobTimers;
+    this.orderLocks = shared.orderLocks;
+    this.payLaterDelay = config.capture.payLaterDelayMinutes * 60 * 1000;
+    // PAY_LATER_BUSINESS_DAYS replaces the delay with business days (at
+    // PAY_LATER_AT in the shop's time zone)
+    this.payLaterBusinessDays = config.capture.payLaterBusinessDays;
+    this.payLaterAt = config.capture.payLaterAt;
+    // The shop's IANA time zone once loadTimezone() has fetched it
+    this.timezone = null;
+
+    // Card authorizations lapse after about 7 days unless Shopify tells us
+    // otherwise; captures are pulled forward to land a margin before that
+    this.authValidityDays = config.capture.authValidityDays;
+    this.authExpiryMargin = config.capture.authExpirySafetyMarginHours * 60 * 60 * 1000;
+    this.authExpiryWarning = config.capture.authExpiryWarningHours * 60 * 60 * 1000;
+    this.autoVoidEnabled = config.capture.autoVoidEnabled;
+    this.fulfillmentFallback = config.capture.fulfillmentFallback;
+    // Shadow mode (SHADOW_MODE=true for every shop, or SHADOW_SHOPS for some)
+    // decides what to do with new orders but never captures or voids; see
+    // recordShadowDecision()
+    this.shadowMode = config.capture.shadowMode || (Boolean(this.shop) &&
+      config.capture.shadowShops.map(normalizeShopDomain).includes(this.shop));
+    this.logger = logger.child({ shop: this.shop || undefined });
+
+    if (this.shop) {
+      shared.services.set(this.shop, this);
+    }
   }
 
-  async ensureLogsDirectory() {
-    try {
-      await fs.mkdir(this.logsDir, { recursive: true });
-    } catch (error) {
-      console.error('Failed to create logs directory:', error.message);
+  get rulesEngine() {
+    return rulesEngine.forShop(this.shop);
+  }
+
+  get defaultShop() {
+    return module.exports.shop;
+  }
+
+  // The service for a shop domain: the default shop, or a shop installed
+  // through OAuth. Returns null for shops we have no credentials for.
+  forShop(shop) {
+    const domain = normalizeShopDomain(shop);
+    if (!domain) {
+      return null;
     }
+
+    if (!shared.services.has(domain)) {
+      if (!this.tokenStore.hasShop(domain)) {
+        return null;
+      }
+      const service = new ShopifyService({ shop: domain });
+      service.initializeClient();
+    }
+    return shared.services.get(domain);
   }
 
-  logToFile(message) {
-    const logFile = path.join(this.logsDir, 'shopify-service.log');
-    const timestamp = new Date().toISOString();
-    const logMessage = `[${timestamp}] ${message}\n`;
-    
-    fs.appendFile(logFile, logMessage).catch(() => {
-      // Silently fail if we can't write to log file
+  // Drop a shop's cached service, e.g. after it uninstalled the app
+  forgetShop(shop) {
+    const domain = normalizeShopDomain(shop);
+    const service = shared.services.get(domain);
+    if (service && !service.isDefaultShop) {
+      shared.services.delete(domain);
+    }
+  }
+
+  getShops() {
+    const installed = this.tokenStore.listShops();
+    const shops = installed.map(record => ({ ...record, source: 'oauth' }));
+
+    if (this.defaultShop && !installed.some(record => record.shop === this.defaultShop)) {
+      shops.unshift({ shop: this.defaultShop, source: 'environment' });
+    }
+    return shops;
+  }
+
+  // Adds an entry for one of this shop's orders to the capture ledger
+  recordLedger(orderId, action, status, fields = {}) {
+    return this.ledger.record({
+      shop: this.shop,
+      orderId,
+      action,
+      status,
+      actor: ACTORS.SYSTEM,
+      ...fields
     });
   }
 
   initializeClient() {
-    console.log('Initializing Shopify client for:', this.shop);
-    this.logToFile(`Initializing Shopify client for: ${this.shop}`);
+    this.logger.info('Initializing Shopify client');
 
     if (!this.shop) {
       throw new Error('SHOPIFY_SHOP_NAME is not set in environment variables');
     }
 
-    this.baseURL = `https://${this.shop}.myshopify.com/admin/api/${this.apiVersion}`;
-    console.log('✅ Shopify client configured');
-    this.logToFile('Shopify client configured successfully');
+    this.baseURL = `${getShopAdminUrl(this.shop, config.shopify.apiBaseUrl)}/api/${this.apiVersion}`;
+    this.createClient();
+    this.logger.info('Shopify client configured', { apiVersion: this.apiVersion, apiMode: this.apiMode });
   }
 
+  createClient() {
+    this.client = new ShopifyHttpClient({
+      baseURL: this.baseURL,
+      getAccessToken: (forceRefresh) => this.getAccessToken(forceRefresh),
+      log: (message) => this.logger.info(message),
+      timeout: 30000 // 30 second timeout for Shopify API
+    });
+
+    this.graphql = new GraphQLClient({
+      post: async (body, options = {}) => (await this.client.post('/graphql.json', body, {
+        paced: false, // GraphQL has its own cost bucket
+        idempotent: options.idempotent,
+        api: 'graphql'
+      })).data,
+      log: (message) => this.logger.debug(message)
+    });
+  }
+
+  useGraphQL() {
+    return this.apiMode === 'graphql';
+  }
+
+  // Shops installed through OAuth have a stored offline token that does not
+  // expire; the default shop falls back to the client-credentials grant
   async refreshAccessToken() {
     try {
-      console.log('Refreshing access token...');
-      this.logToFile('Refreshing access token');
+      this.logger.info('Refreshing access token');
+
+      const installed = this.shop && this.tokenStore.getShop(this.shop);
+      if (installed) {
+        this.accessToken = installed.accessToken;
+        this.tokenExpiry = null;
+        this.tokenSource = 'oauth';
+        this.tokenHealth = { lastRefreshAt: new Date().toISOString(), lastError: null, lastErrorAt: null };
+        this.logger.info('Loaded stored access token', { scope: installed.scope });
+        return this.accessToken;
+      }
 
       if (!this.shop || !this.clientId || !this.clientSecret) {
         throw new Error('Missing Shopify configuration');
       }
 
+      if (!this.isDefaultShop) {
+        throw new Error(`Shop ${this.shop} is not installed`);
+      }
+
       const response = await axios.post(
-        `https://${this.shop}.myshopify.com/admin/oauth/access_token`,
+        `${getShopAdminUrl(this.shop, config.shopify.apiBaseUrl)}/oauth/access_token`,
         new URLSearchParams({
           client_id: this.clientId,
           client_secret: this.clientSecret,
@@ -76,176 +262,696 @@ class ShopifyService {
 
       this.accessToken = response.data.access_token;
       this.tokenExpiry = new Date(Date.now() + response.data.expires_in * 1000);
+      this.tokenSource = 'client_credentials';
 
-      this.client = axios.create({
-        baseURL: this.baseURL,
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Shopify-Access-Token': this.accessToken,
-          'User-Agent': 'Shopify-Payment-Capturer/1.0'
-        },
-        timeout: 30000 // 30 second timeout for Shopify API
-      });
-
-      console.log('✅ Access token refreshed successfully');
-      console.log('Scopes:', response.data.scope);
-      this.logToFile(`Access token refreshed. Scopes: ${response.data.scope}`);
+      this.logger.info('Access token refreshed', { scope: response.data.scope, expiresAt: this.tokenExpiry });
+      this.tokenHealth = { lastRefreshAt: new Date().toISOString(), lastError: null, lastErrorAt: null };
       
       return this.accessToken;
     } catch (error) {
-      const errorMsg = `Error refreshing access token: ${error.message}`;
-      console.error('❌', errorMsg);
-      this.logToFile(`ERROR: ${errorMsg}`);
-      if (error.response) {
-        console.error('Response status:', error.response.status);
-        console.error('Response data:', error.response.data);
-      }
+      this.logger.error('Error refreshing access token', { error });
+      metrics.tokenRefreshFailures.inc({ shop: this.shop });
+      this.tokenHealth = { ...this.tokenHealth, lastError: error.message, lastErrorAt: new Date().toISOString() };
+      alerts.notify(ALERT_TYPES.TOKEN_REFRESH_FAILED, {
+        shop: this.shop,
+        message: `Could not refresh the access token for ${this.shop || 'the default shop'}: ${error.message}`,
+        details: describeErrorResponse(error)
+      });
       throw error;
     }
   }
 
+  // Concurrent callers share one in-flight refresh
+  refreshAccessTokenOnce() {
+    if (!this.tokenRefresh) {
+      this.tokenRefresh = this.refreshAccessToken().finally(() => {
+        this.tokenRefresh = null;
+      });
+    }
+    return this.tokenRefresh;
+  }
+
   async ensureValidToken() {
+    if (this.accessToken && this.tokenSource === 'oauth') {
+      return;
+    }
+
     if (
       !this.accessToken ||
       !this.tokenExpiry ||
-      this.tokenExpiry < new Date(Date.now() - 300000) // Refresh if expires in 5 minutes
+      this.tokenExpiry.getTime() - 300000 < Date.now() // Refresh if expires in 5 minutes
     ) {
-      console.log('Token expired or about to expire, refreshing...');
-      this.logToFile('Token needs refresh');
-      await this.refreshAccessToken();
+      this.logger.info('Token expired or about to expire, refreshing');
+      await this.refreshAccessTokenOnce();
+    }
+  }
+
+  // Used by the HTTP layer; forceRefresh follows a 401 from Shopify
+  async getAccessToken(forceRefresh = false) {
+    if (forceRefresh) {
+      await this.refreshAccessTokenOnce();
+    } else {
+      await this.ensureValidToken();
+    }
+    return this.accessToken;
+  }
+
+  // Called once the OAuth callback has stored a new token for this shop
+  useAccessToken(accessToken) {
+    this.accessToken = accessToken;
+    this.tokenExpiry = null;
+    this.tokenSource = 'oauth';
+    if (!this.client) {
+      this.initializeClient();
+    }
+  }
+
+  // Subscribe the shop to the webhooks this app handles
+  async registerWebhooks(appUrl, topics) {
+    const existing = await this.client.get('/webhooks.json');
+    const registered = new Set((existing.data.webhooks || []).map(w => `${w.topic} ${w.address}`));
+
+    for (const topic of topics) {
+      const address = `${appUrl.replace(/\/$/, '')}/webhooks/${topic}`;
+      if (registered.has(`${topic} ${address}`)) {
+        continue;
+      }
+      await this.client.post('/webhooks.json', {
+        webhook: { topic, address, format: 'json' }
+      });
+      this.logger.info('Registered webhook', { topic, address });
     }
   }
 
+  // Cancel everything pending for a shop that uninstalled the app, and
+  // discard its dead-lettered jobs so they can't be requeued without a token
+  cancelShopJobs(reason = 'app_uninstalled', actor = ACTORS.SYSTEM) {
+    const pendingJobs = this.jobStore.list({ status: JOB_STATUS.PENDING, shop: this.shop });
+    pendingJobs.forEach(job => this.cancelJob(job.id, reason, actor));
+    const deadLetterJobs = this.getDeadLetterJobs(this.shop);
+    deadLetterJobs.forEach(job => this.discardDeadLetterJob(job.id, actor, reason));
+    return pendingJobs.length + deadLetterJobs.length;
+  }
+
   async getOrder(orderId) {
     try {
-      await this.ensureValidToken();
+      if (this.useGraphQL()) {
+        return await this.graphql.getOrder(orderId);
+      }
       const response = await this.client.get(`/orders/${orderId}.json`);
       return response.data.order;
     } catch (error) {
-      const errorMsg = `Error fetching order ${orderId}: ${error.message}`;
-      console.error(errorMsg);
-      this.logToFile(`ERROR: ${errorMsg}`);
+      this.logger.error('Error fetching order', { orderId, error });
       throw error;
     }
   }
 
-  async capturePayment(orderId, transactionId) {
+  // The shop's time zone (the shop resource's iana_timezone), fetched once.
+  // When Shopify can't be asked DEFAULT_SHOP_TIMEZONE is used, and the next
+  // call asks again.
+  async loadTimezone() {
+    if (this.timezone) {
+      return this.timezone;
+    }
+
     try {
-      await this.ensureValidToken();
-      const response = await this.client.post(
-        `/orders/${orderId}/transactions.json`,
-        {
-          transaction: {
-            kind: 'capture',
-            parent_id: transactionId,
-            amount: null // Capture full amount
-          },
-        }
-      );
-      
-      const successMsg = `✅ Payment captured for order ${orderId}, transaction ${transactionId}`;
-      console.log(successMsg);
-      this.logToFile(successMsg);
-      
-      return response.data.transaction;
+      const timezone = this.useGraphQL()
+        ? await this.graphql.getShopTimezone()
+        : (await this.client.get('/shop.json')).data.shop.iana_timezone;
+      getLocalDate(Date.now(), timezone); // throws on a zone Intl doesn't know
+      this.timezone = timezone;
+      this.logger.info('Shop time zone loaded', { timezone });
     } catch (error) {
-      const errorMsg = `Error capturing payment for order ${orderId}: ${error.message}`;
-      console.error(errorMsg);
-      this.logToFile(`ERROR: ${errorMsg}`);
-      if (error.response) {
-        console.error('Error response:', error.response.data);
+      this.logger.warn('Could not load the shop time zone, using the default', {
+        timezone: config.calendar.defaultTimezone,
+        error
+      });
+    }
+    return this.getTimezone();
+  }
+
+  getTimezone() {
+    return this.timezone || config.calendar.defaultTimezone;
+  }
+
+  // Capture windows, holidays and business days are in the shop's time zone;
+  // callers load it first when any of them applies
+  needsTimezone(action = null) {
+    return calendar.isRestricted() || Boolean(action && this.countsBusinessDays(action));
+  }
+
+  countsBusinessDays(action) {
+    return action.businessDays !== undefined ||
+      (action.hours === undefined && action.minutes === undefined && this.payLaterBusinessDays !== undefined);
+  }
+
+  // Serialize work per order so a scheduled capture, the overdue sweep and a
+  // manual capture can never post for the same order at the same time
+  async withOrderLock(orderId, task) {
+    const key = `${this.shop}:${orderId}`;
+    const previous = this.orderLocks.get(key) || Promise.resolve();
+    const current = previous.then(task);
+    const tail = current.catch(() => {});
+
+    this.orderLocks.set(key, tail);
+    tail.then(() => {
+      if (this.orderLocks.get(key) === tail) {
+        this.orderLocks.delete(key);
       }
+    });
+
+    return current;
+  }
+
+  // Works out how much of an authorization to capture. `amount` wins over
+  // `percentage` (of the authorized amount); with neither, the whole
+  // remaining balance is captured. The result never exceeds what is left on
+  // the authorization or `maxAmount`.
+  resolveCaptureAmount(authorization, capturedAmount, options = {}) {
+    const currency = authorization.currency;
+
+    if (options.currency && authorization.currency &&
+        options.currency.toUpperCase() !== authorization.currency.toUpperCase()) {
+      const error = new Error(`Capture currency ${options.currency} does not match authorization currency ${authorization.currency}`);
+      error.retryable = false;
       throw error;
     }
+
+    const authorized = Number(authorization.amount);
+    const remaining = roundMoney(authorized - capturedAmount, currency);
+
+    let requested = remaining;
+    if (options.amount !== undefined && options.amount !== null) {
+      requested = Number(options.amount);
+    } else if (options.percentage !== undefined && options.percentage !== null) {
+      requested = authorized * Number(options.percentage) / 100;
+    }
+
+    let amount = Math.min(requested, remaining);
+    if (options.maxAmount !== undefined && options.maxAmount !== null) {
+      amount = Math.min(amount, Number(options.maxAmount));
+    }
+
+    return {
+      amount: roundMoney(Math.max(0, amount), currency),
+      remaining,
+      currency
+    };
+  }
+
+  // Captures (part of) an authorization unless Shopify shows there is nothing
+  // left to capture. Resolves with { status, transaction, reason, amount }
+  // where status is one of CAPTURE_OUTCOME.
+  //
+  // options: amount, percentage, currency, maxAmount, idempotencyKey and
+  // notBefore (ISO time; a matching capture created since then counts as
+  // this one, so an interrupted job can't capture its share twice)
+  async capturePayment(orderId, transactionId, options = {}) {
+    const ledgerFields = {
+      actor: options.actor || ACTORS.SYSTEM,
+      transactionId: String(transactionId),
+      jobId: options.jobId || null,
+      rule: options.rule || null
+    };
+    const countCapture = (outcome) =>
+      metrics.captures.inc({ shop: this.shop, flag: options.rule || 'none', outcome });
+
+    return lifecycle.track('capture', { shop: this.shop, orderId: String(orderId) }, () => this.withOrderLock(orderId, async () => {
+      try {
+        // Reload transactions inside the lock so we see captures made by
+        // whoever held it before us
+        const transactions = await this.getOrderTransactions(orderId);
+        const authorization = transactions.find(t => String(t.id) === String(transactionId));
+
+        if (!authorization || authorization.kind !== 'authorization' || authorization.status !== 'success') {
+          const reason = authorization ? 'authorization_not_successful' : 'authorization_not_found';
+          this.logger.info('Skipped capture', { orderId, transactionId, reason });
+          this.recordLedger(orderId, LEDGER_ACTIONS.CAPTURE, 'skipped', { ...ledgerFields, reason });
+          return { status: CAPTURE_OUTCOME.SKIPPED, reason };
+        }
+
+        const children = transactions.filter(t =>
+          String(t.parent_id) === String(transactionId) && t.status === 'success'
+        );
+
+        if (children.some(t => t.kind === 'void')) {
+          this.logger.info('Skipped capture', { orderId, transactionId, reason: 'authorization_voided' });
+          this.recordLedger(orderId, LEDGER_ACTIONS.CAPTURE, 'skipped', { ...ledgerFields, reason: 'authorization_voided' });
+          return { status: CAPTURE_OUTCOME.SKIPPED, reason: 'authorization_voided' };
+        }
+
+        const captures = children.filter(t => t.kind === 'capture');
+        const capturedAmount = captures.reduce((sum, t) => sum + Number(t.amount), 0);
+
+        // Never capture more than the order still owes, e.g. after line
+        // items were removed from an edited order
+        const order = await this.getOrder(orderId);
+        const maxAmount = options.maxAmount ?? order.total_outstanding;
+        const { amount, remaining, currency } = this.resolveCaptureAmount(
+          authorization,
+          capturedAmount,
+          { ...options, maxAmount }
+        );
+
+        if (remaining <= 0) {
+          const lastCapture = captures[captures.length - 1];
+          this.logger.info('Order already captured', {
+            orderId,
+            captureId: lastCapture && lastCapture.id,
+            capturedAmount,
+            currency
+          });
+          this.recordLedger(orderId, LEDGER_ACTIONS.CAPTURE, CAPTURE_OUTCOME.ALREADY_CAPTURED, {
+            ...ledgerFields,
+            amount: 0,
+            currency,
+            response: lastCapture || null
+          });
+          return { status: CAPTURE_OUTCOME.ALREADY_CAPTURED, transaction: lastCapture, amount: 0, currency };
+        }
+
+        if (options.notBefore) {
+          const previousAttempt = captures.find(t =>
+            new Date(t.created_at) >= new Date(options.notBefore) &&
+            roundMoney(t.amount, currency) === amount
+          );
+          if (previousAttempt) {
+            this.logger.info('Capture already made by an earlier attempt', { orderId, captureId: previousAttempt.id });
+            this.recordLedger(orderId, LEDGER_ACTIONS.CAPTURE, CAPTURE_OUTCOME.ALREADY_CAPTURED, {
+              ...ledgerFields,
+              amount: 0,
+              currency,
+              response: previousAttempt
+            });
+            return { status: CAPTURE_OUTCOME.ALREADY_CAPTURED, transaction: previousAttempt, amount: 0, currency };
+          }
+        }
+
+        if (amount <= 0) {
+          this.logger.info('Skipped capture', { orderId, transactionId, reason: 'nothing_to_capture' });
+          this.recordLedger(orderId, LEDGER_ACTIONS.CAPTURE, 'skipped', { ...ledgerFields, reason: 'nothing_to_capture', currency });
+          return { status: CAPTURE_OUTCOME.SKIPPED, reason: 'nothing_to_capture', amount: 0, currency };
+        }
+
+        Object.assign(ledgerFields, { amount, currency });
+        this.recordLedger(orderId, LEDGER_ACTIONS.CAPTURE, 'attempted', ledgerFields);
+        countCapture('attempted');
+
+        const transaction = await this.postCapture(
+          orderId,
+          transactionId,
+          formatMoney(amount, currency),
+          currency,
+          options.idempotencyKey ||
+            `capture-${orderId}-${transactionId}-${formatMoney(capturedAmount, currency)}-${formatMoney(amount, currency)}`
+        );
+        
+        this.logger.info('Payment captured', {
+          orderId,
+          transactionId,
+          amount: formatMoney(amount, currency),
+          remaining: formatMoney(remaining, currency),
+          currency
+        });
+        this.recordLedger(orderId, LEDGER_ACTIONS.CAPTURE, 'succeeded', { ...ledgerFields, response: transaction });
+        countCapture('succeeded');
+        metrics.capturedAmount.inc({ shop: this.shop, currency }, amount);
+        
+        return { status: CAPTURE_OUTCOME.CAPTURED, transaction, amount, currency };
+      } catch (error) {
+        this.logger.error('Error capturing payment', { orderId, transactionId, error });
+        this.recordLedger(orderId, LEDGER_ACTIONS.CAPTURE, 'failed', {
+          ...ledgerFields,
+          reason: error.message,
+          response: describeErrorResponse(error)
+        });
+        countCapture('failed');
+        alerts.notify(ALERT_TYPES.CAPTURE_FAILED, {
+          shop: this.shop,
+          orderId,
+          jobId: options.jobId,
+          message: `Capture for order ${orderId} failed: ${error.message}`,
+          details: {
+            transactionId: String(transactionId),
+            amount: ledgerFields.amount,
+            currency: ledgerFields.currency,
+            response: describeErrorResponse(error)
+          }
+        });
+        throw error;
+      }
+    }));
+  }
+
+  // The GraphQL path has no idempotency header; capturePayment's check of
+  // existing captures under the order lock guards against duplicates there
+  async postCapture(orderId, transactionId, amount, currency, idempotencyKey) {
+    if (this.useGraphQL()) {
+      return this.graphql.captureOrder(orderId, transactionId, amount, currency);
+    }
+
+    const response = await this.client.post(
+      `/orders/${orderId}/transactions.json`,
+      {
+        transaction: {
+          kind: 'capture',
+          parent_id: transactionId,
+          amount,
+          currency
+        },
+      },
+      {
+        headers: {
+          'Idempotency-Key': idempotencyKey
+        }
+      }
+    );
+    return response.data.transaction;
+  }
+
+  async postVoid(orderId, transactionId) {
+    if (this.useGraphQL()) {
+      return this.graphql.voidTransaction(transactionId);
+    }
+
+    const response = await this.client.post(
+      `/orders/${orderId}/transactions.json`,
+      {
+        transaction: {
+          kind: 'void',
+          parent_id: transactionId
+        }
+      },
+      {
+        headers: {
+          'Idempotency-Key': `void-${orderId}-${transactionId}`
+        }
+      }
+    );
+    return response.data.transaction;
+  }
+
+  // Releases an authorization the merchant will never capture, so the hold
+  // on the customer's card is lifted instead of quietly lapsing
+  async voidAuthorization(orderId, transactionId, actor = ACTORS.SYSTEM) {
+    const ledgerFields = { actor, transactionId: String(transactionId) };
+
+    return lifecycle.track('void', { shop: this.shop, orderId: String(orderId) }, () => this.withOrderLock(orderId, async () => {
+      try {
+        const transactions = await this.getOrderTransactions(orderId);
+        const authorization = transactions.find(t => String(t.id) === String(transactionId));
+
+        if (!authorization || authorization.kind !== 'authorization' || authorization.status !== 'success') {
+          const reason = authorization ? 'authorization_not_successful' : 'authorization_not_found';
+          this.logger.info('Skipped void', { orderId, transactionId, reason });
+          this.recordLedger(orderId, LEDGER_ACTIONS.VOID, VOID_OUTCOME.SKIPPED, { ...ledgerFields, reason });
+          return { status: VOID_OUTCOME.SKIPPED, reason };
+        }
+
+        const children = transactions.filter(t =>
+          String(t.parent_id) === String(transactionId) && t.status === 'success'
+        );
+        if (children.some(t => t.kind === 'void')) {
+          this.recordLedger(orderId, LEDGER_ACTIONS.VOID, VOID_OUTCOME.SKIPPED, { ...ledgerFields, reason: 'already_voided' });
+          return { status: VOID_OUTCOME.SKIPPED, reason: 'already_voided' };
+        }
+        if (children.some(t => t.kind === 'capture')) {
+          // Shopify can't void a partially captured authorization
+          this.recordLedger(orderId, LEDGER_ACTIONS.VOID, VOID_OUTCOME.SKIPPED, { ...ledgerFields, reason: 'already_captured' });
+          return { status: VOID_OUTCOME.SKIPPED, reason: 'already_captured' };
+        }
+
+        this.recordLedger(orderId, LEDGER_ACTIONS.VOID, 'attempted', {
+          ...ledgerFields,
+          amount: Number(authorization.amount),
+          currency: authorization.currency
+        });
+        const transaction = await this.postVoid(orderId, transactionId);
+
+        this.logger.info('Authorization voided', { orderId, transactionId });
+        this.recordLedger(orderId, LEDGER_ACTIONS.VOID, 'succeeded', { ...ledgerFields, response: transaction });
+
+        return { status: VOID_OUTCOME.VOIDED, transaction };
+      } catch (error) {
+        this.logger.error('Error voiding authorization', { orderId, transactionId, error });
+        this.recordLedger(orderId, LEDGER_ACTIONS.VOID, 'failed', {
+          ...ledgerFields,
+          reason: error.message,
+          response: describeErrorResponse(error)
+        });
+        throw error;
+      }
+    }));
+  }
+
+  // When the authorization lapses: Shopify's authorization_expires_at if
+  // present, otherwise created_at plus AUTH_VALIDITY_DAYS
+  getAuthorizationExpiry(authorization) {
+    if (authorization.authorization_expires_at) {
+      return new Date(authorization.authorization_expires_at).getTime();
+    }
+    if (authorization.created_at) {
+      return new Date(authorization.created_at).getTime() + this.authValidityDays * 24 * 60 * 60 * 1000;
+    }
+    return null;
+  }
+
+  // Pull a capture time forward so it lands at least the safety margin
+  // before the authorization expires
+  clampToAuthorizationExpiry(scheduledTime, authExpiresAt) {
+    if (!authExpiresAt) {
+      return scheduledTime;
+    }
+    const latestSafeTime = authExpiresAt - this.authExpiryMargin;
+    return scheduledTime > latestSafeTime ? Math.max(Date.now(), latestSafeTime) : scheduledTime;
+  }
+
+  // The time a scheduled capture should run: the first time the capture
+  // calendar allows from scheduledTime on, as long as that is before the
+  // expiry safety margin; otherwise the last allowed time before the margin.
+  // When the calendar allows nothing before the authorization would lapse,
+  // the expiry wins and the capture is only clamped.
+  fitCaptureTime(scheduledTime, authExpiresAt) {
+    if (!calendar.isRestricted()) {
+      return this.clampToAuthorizationExpiry(scheduledTime, authExpiresAt);
+    }
+
+    const timezone = this.getTimezone();
+    const now = Date.now();
+    const latestSafeTime = authExpiresAt ? authExpiresAt - this.authExpiryMargin : Infinity;
+    const from = Math.max(scheduledTime, now);
+
+    const next = from <= latestSafeTime ? calendar.nextAllowedTime(from, timezone, latestSafeTime) : null;
+    if (next !== null) {
+      return next;
+    }
+    const latest = latestSafeTime > now ? calendar.latestAllowedTime(latestSafeTime, timezone, now) : null;
+    if (latest !== null) {
+      return latest;
+    }
+
+    this.logger.warn('No allowed capture time before the authorization expires, ignoring the capture calendar', {
+      scheduledTime: new Date(scheduledTime),
+      authExpiresAt: authExpiresAt ? new Date(authExpiresAt) : null,
+      timezone
+    });
+    return this.clampToAuthorizationExpiry(scheduledTime, authExpiresAt);
   }
 
   async getOrderTransactions(orderId) {
     try {
-      await this.ensureValidToken();
+      if (this.useGraphQL()) {
+        return await this.graphql.getOrderTransactions(orderId);
+      }
       const response = await this.client.get(
         `/orders/${orderId}/transactions.json`
       );
       return response.data.transactions;
     } catch (error) {
-      const errorMsg = `Error fetching transactions for order ${orderId}: ${error.message}`;
-      console.error(errorMsg);
-      this.logToFile(`ERROR: ${errorMsg}`);
+      this.logger.error('Error fetching transactions', { orderId, error });
+      throw error;
+    }
+  }
+
+  // One page of orders still waiting on their authorization, created since
+  // `since` (ISO time), oldest first. Pass the returned nextCursor (REST
+  // page_info or GraphQL cursor) to get the next page; it is null on the last.
+  async getAuthorizedOrdersPage(since, cursor = null) {
+    try {
+      if (this.useGraphQL()) {
+        return await this.graphql.getOrdersPage(
+          `financial_status:authorized AND created_at:>='${since}'`,
+          { first: ORDER_PAGE_SIZE, after: cursor }
+        );
+      }
+
+      // With page_info Shopify only accepts limit and fields
+      const filters = cursor
+        ? `page_info=${encodeURIComponent(cursor)}`
+        : `status=any&financial_status=authorized&created_at_min=${encodeURIComponent(since)}&order=created_at%20asc`;
+      const response = await this.client.get(
+        `/orders.json?limit=${ORDER_PAGE_SIZE}&fields=${ORDER_SUMMARY_FIELDS}&${filters}`
+      );
+      return {
+        orders: response.data.orders || [],
+        nextCursor: getNextPageInfo(response.headers && response.headers.link)
+      };
+    } catch (error) {
+      this.logger.error('Error listing authorized orders', { since, error });
       throw error;
     }
   }
 
   async getRecentOrders(limit = 5) {
     try {
-      await this.ensureValidToken();
+      if (this.useGraphQL()) {
+        return await this.graphql.getRecentOrders(limit);
+      }
       const response = await this.client.get(
         `/orders.json?limit=${limit}&status=any&order=created_at desc`
       );
       return response.data.orders || [];
     } catch (error) {
-      const errorMsg = `Error fetching recent orders: ${error.message}`;
-      console.error(errorMsg);
-      this.logToFile(`ERROR: ${errorMsg}`);
+      this.logger.error('Error fetching recent orders', { error });
       return [];
     }
   }
 
-  async processOrder(orderData) {
+  parseCaptureAmount(order, amountNames, percentageNames) {
+    const amountAttr = findOrderAttribute(order, amountNames);
+    const percentageAttr = findOrderAttribute(order, percentageNames);
+
+    if (amountAttr) {
+      const amount = parseFloat(amountAttr.value);
+      if (amount > 0) {
+        return { amount };
+      }
+      this.logger.warn('Ignoring invalid capture amount', { orderId: order.id, value: amountAttr.value });
+    }
+
+    if (percentageAttr) {
+      const percentage = parseFloat(percentageAttr.value);
+      if (percentage > 0 && percentage <= 100) {
+        return { percentage };
+      }
+      this.logger.warn('Ignoring invalid capture percentage', { orderId: order.id, value: percentageAttr.value });
+    }
+
+    return null;
+  }
+
+  // Capture amounts come from the matched rule's action (amount/percentage
+  // and deposit), overridden per order by capture_amount/capture_percentage
+  // (how much the action's capture takes, default the whole balance) and
+  // deposit_amount/deposit_percentage (captured immediately, ahead of it)
+  getCaptureOptions(order, action = {}) {
+    const currencyAttr = findOrderAttribute(order, CAPTURE_CURRENCY_ATTRIBUTES);
+    const currency = currencyAttr ? currencyAttr.value.toUpperCase() : undefined;
+
+    const ruleCapture = action.amount !== undefined
+      ? { amount: action.amount }
+      : (action.percentage !== undefined ? { percentage: action.percentage } : {});
+    const capture = this.parseCaptureAmount(order, CAPTURE_AMOUNT_ATTRIBUTES, CAPTURE_PERCENTAGE_ATTRIBUTES) || ruleCapture;
+    const deposit = this.parseCaptureAmount(order, DEPOSIT_AMOUNT_ATTRIBUTES, DEPOSIT_PERCENTAGE_ATTRIBUTES) ||
+      action.deposit || null;
+
+    return {
+      capture: { ...capture, currency },
+      deposit: deposit && { ...deposit, currency }
+    };
+  }
+
+  // REST line items don't carry the product type, so fetch it when a rule
+  // needs it
+  async addProductTypes(order) {
+    if (this.useGraphQL()) {
+      // GraphQL orders already include each line item's product type
+      return order;
+    }
+
+    const productIds = [...new Set((order.line_items || [])
+      .filter(item => item.product_id && !item.product_type)
+      .map(item => item.product_id))];
+
+    if (productIds.length === 0) {
+      return order;
+    }
+
+    const response = await this.client.get(
+      `/products.json?ids=${productIds.join(',')}&fields=id,product_type&limit=250`
+    );
+    const types = new Map((response.data.products || []).map(p => [String(p.id), p.product_type]));
+
+    order.line_items.forEach(item => {
+      if (!item.product_type && types.has(String(item.product_id))) {
+        item.product_type = types.get(String(item.product_id));
+      }
+    });
+    return order;
+  }
+
+  // When a capture_after action wants its capture, counting from `from`:
+  // hours or minutes later, or businessDays later (at `at`) in the shop's
+  // time zone. Without either, PAY_LATER_BUSINESS_DAYS or
+  // PAY_LATER_DELAY_MINUTES.
+  getCaptureTime(action, from = Date.now()) {
+    if (action.businessDays !== undefined) {
+      return calendar.addBusinessDays(from, action.businessDays, action.at, this.getTimezone());
+    }
+    if (action.hours !== undefined) {
+      return from + action.hours * 60 * 60 * 1000;
+    }
+    if (action.minutes !== undefined) {
+      return from + action.minutes * 60 * 1000;
+    }
+    if (this.payLaterBusinessDays !== undefined) {
+      return calendar.addBusinessDays(from, this.payLaterBusinessDays, this.payLaterAt, this.getTimezone());
+    }
+    return from + this.payLaterDelay;
+  }
+
+  // actor: who handed us the order (the orders/create webhook by default).
+  // Tracked so a shutdown waits for it.
+  processOrder(orderData, actor = ACTORS.WEBHOOK) {
+    return lifecycle.track('processOrder', { shop: this.shop, orderId: String(orderData.id) },
+      () => this.applyPaymentRules(orderData, actor));
+  }
+
+  async applyPaymentRules(orderData, actor) {
+    const log = this.logger.child({ orderId: orderData.id });
+
     try {
-      console.log(`🎯 Processing order: ${orderData.id}`);
-      this.logToFile(`Processing order: ${orderData.id}`);
+      log.info('Processing order', { actor });
 
       // Fetch the full order
       const order = await this.getOrder(orderData.id);
-      
-      console.log('🔍 Checking for payment flag...');
-      
-      // Check multiple places for payment flag
-      let paymentFlag = null;
-      
-      // 1. Check note attributes
-      const noteAttributes = order.note_attributes || [];
-      const paymentFlagAttr = noteAttributes.find(attr => {
-        const name = attr.name ? attr.name.toLowerCase() : '';
-        return name === 'payment_flag' || name === 'purchase_type';
-      });
-      
-      if (paymentFlagAttr) {
-        paymentFlag = paymentFlagAttr.value.toLowerCase();
-        console.log(`✅ Found payment flag in note attributes: ${paymentFlag}`);
+      if (this.rulesEngine.usesCondition('productType')) {
+        await this.addProductTypes(order);
       }
-      
-      // 2. Check line item properties
-      if (!paymentFlag && order.line_items && order.line_items.length > 0) {
-        for (const lineItem of order.line_items) {
-          if (lineItem.properties && lineItem.properties.length > 0) {
-            const prop = lineItem.properties.find(p => {
-              const name = p.name ? p.name.toLowerCase() : '';
-              return name === 'payment_flag' || name === 'purchase_type';
-            });
-            if (prop) {
-              paymentFlag = prop.value.toLowerCase();
-              console.log(`✅ Found payment flag in line item properties: ${paymentFlag}`);
-              break;
-            }
-          }
-        }
-      }
-      
-      // 3. Check tags
-      if (!paymentFlag && order.tags) {
-        const tags = order.tags.toLowerCase();
-        if (tags.includes('buy_now')) {
-          paymentFlag = 'buy_now';
-          console.log('✅ Found buy_now tag');
-        } else if (tags.includes('pay_later')) {
-          paymentFlag = 'pay_later';
-          console.log('✅ Found pay_later tag');
+
+      const decision = this.rulesEngine.evaluate(order);
+
+      if (!decision) {
+        log.info('No payment rule matched');
+        this.recordLedger(order.id, LEDGER_ACTIONS.DECISION, 'no_match', { actor });
+        if (this.shadowMode) {
+          this.recordShadowDecision(order, { reason: 'no_match' });
         }
+        return;
       }
 
-      if (!paymentFlag) {
-        console.log(`ℹ️ No payment flag found for order ${order.id}`);
-        this.logToFile(`No payment flag found for order ${order.id}`);
+      const { action } = decision;
+      log.info('Payment rule matched', { rule: decision.rule, action });
+      this.recordLedger(order.id, LEDGER_ACTIONS.DECISION, 'flag_detected', {
+        actor,
+        rule: decision.rule,
+        details: { action }
+      });
+
+      if (action.type === ACTION_TYPES.IGNORE) {
+        if (this.shadowMode) {
+          this.recordShadowDecision(order, { decision });
+        }
         return;
       }
 
@@ -256,129 +962,1356 @@ class ShopifyService {
       );
 
       if (!authTransaction) {
-        console.log(`⚠️ No authorized transaction found for order ${order.id}`);
-        this.logToFile(`No authorized transaction for order ${order.id}`);
+        log.warn('No authorized transaction found');
+        this.recordLedger(order.id, LEDGER_ACTIONS.AUTHORIZATION, 'missing', { actor, rule: decision.rule });
+        if (this.shadowMode) {
+          this.recordShadowDecision(order, { decision, reason: 'authorization_missing' });
+        }
         return;
       }
 
       const transactionId = authTransaction.id;
-      console.log(`✅ Found authorized transaction: ${transactionId}`);
+      log.info('Found authorized transaction', { transactionId });
+      this.recordLedger(order.id, LEDGER_ACTIONS.AUTHORIZATION, 'found', {
+        actor,
+        rule: decision.rule,
+        transactionId: String(transactionId),
+        amount: Number(authTransaction.amount),
+        currency: authTransaction.currency,
+        response: authTransaction
+      });
 
-      if (paymentFlag === 'buy_now') {
-        console.log(`💰 Processing buy_now for order ${order.id}`);
-        this.logToFile(`Processing buy_now for order ${order.id}`);
-        
-        try {
-          await this.capturePayment(order.id, transactionId);
-        } catch (error) {
-          console.error(`❌ Buy now capture failed: ${error.message}`);
-          this.logToFile(`Buy now capture failed: ${error.message}`);
+      if (action.type === ACTION_TYPES.VOID) {
+        if (!this.autoVoidEnabled) {
+          log.info('Order should not be captured, leaving authorization to expire (AUTO_VOID_ENABLED is off)');
+          this.recordLedger(order.id, LEDGER_ACTIONS.VOID, VOID_OUTCOME.SKIPPED, {
+            actor,
+            rule: decision.rule,
+            transactionId: String(transactionId),
+            reason: 'auto_void_disabled'
+          });
+          if (this.shadowMode) {
+            this.recordShadowDecision(order, { decision, authorization: authTransaction, reason: 'auto_void_disabled' });
+          }
+          return;
         }
-      } else if (paymentFlag === 'pay_later') {
-        console.log(`⏰ Processing pay_later for order ${order.id}, scheduling capture in ${this.payLaterDelay / 60000} minutes`);
-        this.logToFile(`Scheduling pay_later capture for order ${order.id}`);
-        
-        this.schedulePaymentCapture(order.id, transactionId, this.payLaterDelay);
-      } else {
-        console.log(`❓ Unknown payment flag: ${paymentFlag}`);
-        this.logToFile(`Unknown payment flag: ${paymentFlag}`);
-      }
 
-    } catch (error) {
-      const errorMsg = `Error processing order ${orderData.id}: ${error.message}`;
-      console.error(errorMsg);
-      this.logToFile(`ERROR: ${errorMsg}`);
-      throw error;
+        if (this.shadowMode) {
+          this.recordShadowDecision(order, {
+            decision,
+            authorization: authTransaction,
+            plan: [{ type: 'void', plannedAt: new Date().toISOString() }]
+          });
+          return;
+        }
+
+        const result = await this.voidAuthorization(order.id, transactionId, actor);
+        log.info('Void finished', { outcome: result.status, reason: result.reason });
+        return;
+      }
+
+      const authExpiresAt = this.getAuthorizationExpiry(authTransaction);
+      const { capture, deposit } = this.getCaptureOptions(order, action);
+      if ([ACTION_TYPES.CAPTURE_AFTER, ACTION_TYPES.CAPTURE_ON_FULFILLMENT].includes(action.type) && this.needsTimezone(action)) {
+        await this.loadTimezone();
+      }
+
+      if (this.shadowMode) {
+        this.recordShadowDecision(order, {
+          decision,
+          authorization: authTransaction,
+          plan: this.planShadowCaptures(order, action, authTransaction, transactions, { capture, deposit, authExpiresAt })
+        });
+        return;
+      }
+
+      if (deposit) {
+        log.info('Capturing deposit', { deposit });
+
+        try {
+          const result = await this.capturePayment(order.id, transactionId, { ...deposit, actor, rule: decision.rule });
+          log.info('Deposit capture finished', { outcome: result.status });
+        } catch (error) {
+          log.error('Deposit capture failed', { error });
+          return;
+        }
+      }
+
+      if (action.type === ACTION_TYPES.CAPTURE_NOW) {
+        log.info('Capturing now');
+
+        try {
+          const result = await this.capturePayment(order.id, transactionId, { ...capture, actor, rule: decision.rule });
+          log.info('Immediate capture finished', { outcome: result.status });
+        } catch (error) {
+          log.error('Immediate capture failed', { error });
+        }
+      } else if (action.type === ACTION_TYPES.CAPTURE_AFTER) {
+        // Passed on as is, so a 10:00 business-day capture isn't a millisecond late
+        const requestedTime = this.getCaptureTime(action);
+        const delay = requestedTime - Date.now();
+        log.info('Scheduling delayed capture', { delayMinutes: Math.round(delay / 60000) });
+
+        this.schedulePaymentCapture(order.id, transactionId, delay, {
+          ...capture,
+          requestedTime,
+          authExpiresAt,
+          rule: decision.rule,
+          actor
+        });
+      } else if (action.type === ACTION_TYPES.CAPTURE_ON_FULFILLMENT) {
+        if (order.fulfillment_status === 'fulfilled') {
+          // Shipped before we got to the order (a late webhook or the
+          // reconciler), so there is no fulfillment left to wait for
+          log.info('Order already fulfilled, capturing now');
+          try {
+            const result = await this.capturePayment(order.id, transactionId, { currency: capture.currency, actor, rule: decision.rule });
+            log.info('Fulfilled order capture finished', { outcome: result.status });
+          } catch (error) {
+            log.error('Fulfilled order capture failed', { error });
+          }
+          return;
+        }
+
+        log.info('Order will be captured on fulfillment', { fallback: action.fallback || this.fulfillmentFallback });
+        this.scheduleFulfillmentFallback(order.id, transactionId, {
+          authExpiresAt,
+          currency: capture.currency,
+          fallback: action.fallback,
+          rule: decision.rule,
+          actor
+        });
+      }
+
+    } catch (error) {
+      log.error('Error processing order', { error });
+      throw error;
     }
   }
 
-  schedulePaymentCapture(orderId, transactionId, delay) {
-    console.log(`⏰ Scheduling payment capture for order ${orderId} in ${delay}ms`);
-    this.logToFile(`Scheduling payment capture for order ${orderId}`);
-    
-    const scheduledTime = Date.now() + delay;
+  // What a fulfillment ships, in the order's currency: each line item's
+  // price less its discounts, plus its taxes unless prices include them, for
+  // the quantity shipped, and the order's shipping (discounted, with its
+  // taxes) in proportion to the share of the items' value that ships
+  getFulfillmentAmount(order, fulfillment) {
+    const sum = (entries, field) => (entries || []).reduce((total, entry) => total + Number(entry[field] || 0), 0);
+    const taxes = (entry) => (order.taxes_included ? 0 : sum(entry.tax_lines, 'price'));
+    const lineValue = (item) => Number(item.price || 0) * item.quantity - sum(item.discount_allocations, 'amount') + taxes(item);
+
+    const lineItems = new Map((order.line_items || []).map(item => [String(item.id), item]));
+    const itemsValue = (order.line_items || []).reduce((total, item) => total + lineValue(item), 0);
+    let shipped = 0;
+    for (const { id, quantity } of fulfillment.line_items || []) {
+      const item = lineItems.get(String(id));
+      if (!item || !item.quantity) {
+        this.logger.warn('Fulfilled line item is not on the order', { orderId: order.id, lineItemId: id });
+        continue;
+      }
+      shipped += lineValue(item) * Math.min(Number(quantity), item.quantity) / item.quantity;
+    }
+
+    const shipping = (order.shipping_lines || []).reduce((total, line) =>
+      total + Number(line.discounted_price ?? line.price ?? 0) + taxes(line), 0);
+    const share = itemsValue > 0 ? shipped / itemsValue : 0;
+    return roundMoney(shipped + shipping * share, order.currency);
+  }
+
+  // Schedules the fallback for an on_fulfillment order: a job at the expiry
+  // safety margin (at a time the capture calendar allows) that captures what
+  // is left of the authorization or voids it. The fulfillment that completes
+  // the order cancels it. options: authExpiresAt, fallback (default
+  // FULFILLMENT_FALLBACK) and the rest as for schedulePaymentCapture.
+  scheduleFulfillmentFallback(orderId, transactionId, options = {}) {
+    const { authExpiresAt } = options;
+    if (!authExpiresAt) {
+      this.logger.warn('Authorization expiry unknown, no fallback for the unfulfilled order', { orderId });
+      return null;
+    }
+
+    const fallbackTime = this.fitCaptureTime(authExpiresAt, authExpiresAt);
+    return this.schedulePaymentCapture(orderId, transactionId, fallbackTime - Date.now(), {
+      ...options,
+      fallback: options.fallback || this.fulfillmentFallback
+    });
+  }
+
+  // fulfillments/create. Tracked so a shutdown waits for it.
+  processFulfillment(fulfillment, actor = ACTORS.WEBHOOK) {
+    return lifecycle.track('processFulfillment', { shop: this.shop, orderId: String(fulfillment.order_id) },
+      () => this.captureFulfillment(fulfillment, actor));
+  }
+
+  // Captures what a fulfillment ships when a capture_on_fulfillment rule
+  // matches its order. The fulfillment that completes the order captures
+  // everything left instead (which also settles rounding) and cancels the
+  // fallback job. Resolves with capturePayment's result, or a skipped one
+  // with the reason.
+  async captureFulfillment(fulfillment, actor = ACTORS.WEBHOOK) {
+    const fulfillmentId = String(fulfillment.id);
+    const log = this.logger.child({ orderId: fulfillment.order_id, fulfillmentId });
+    const skip = (reason) => {
+      log.info('Fulfillment not captured', { reason });
+      return { status: CAPTURE_OUTCOME.SKIPPED, reason };
+    };
+
+    try {
+      log.info('Processing fulfillment', { actor, status: fulfillment.status });
+
+      // Only fulfillments that went through ship anything
+      if (fulfillment.status && fulfillment.status !== 'success') {
+        return skip(`fulfillment_${fulfillment.status}`);
+      }
+
+      const order = await this.getOrder(fulfillment.order_id);
+      if (order.cancelled_at) {
+        return skip('order_cancelled');
+      }
+      if (this.rulesEngine.usesCondition('productType')) {
+        await this.addProductTypes(order);
+      }
+      const decision = this.rulesEngine.evaluate(order);
+      if (!decision || decision.action.type !== ACTION_TYPES.CAPTURE_ON_FULFILLMENT) {
+        return skip('not_captured_on_fulfillment');
+      }
+
+      // A replayed delivery must not capture the same fulfillment twice
+      const handled = this.ledger.query({ shop: this.shop, orderId: order.id, action: LEDGER_ACTIONS.FULFILLMENT })
+        .some(entry => entry.details && entry.details.fulfillmentId === fulfillmentId &&
+          [CAPTURE_OUTCOME.CAPTURED, CAPTURE_OUTCOME.ALREADY_CAPTURED].includes(entry.status));
+      if (handled) {
+        return skip('fulfillment_already_captured');
+      }
+
+      const transactions = await this.getOrderTransactions(order.id);
+      const authorization = transactions.find(t => t.kind === 'authorization' && t.status === 'success');
+      if (!authorization) {
+        this.recordLedger(order.id, LEDGER_ACTIONS.AUTHORIZATION, 'missing', { actor, rule: decision.rule });
+        return skip('authorization_missing');
+      }
+
+      const completesOrder = order.fulfillment_status === 'fulfilled';
+      const amount = this.getFulfillmentAmount(order, fulfillment);
+      const { capture } = this.getCaptureOptions(order, decision.action);
+
+      if (this.shadowMode) {
+        log.info('Shadow mode, fulfillment not captured', { amount, completesOrder });
+        return skip('shadow_mode');
+      }
+
+      const result = await this.capturePayment(order.id, authorization.id, {
+        amount: completesOrder ? undefined : amount,
+        currency: capture.currency,
+        idempotencyKey: `capture-fulfillment-${fulfillmentId}`,
+        actor,
+        rule: decision.rule
+      });
+      this.recordLedger(order.id, LEDGER_ACTIONS.FULFILLMENT, result.status, {
+        actor,
+        rule: decision.rule,
+        transactionId: String(authorization.id),
+        amount: result.amount ?? 0,
+        currency: result.currency || authorization.currency,
+        reason: result.reason || null,
+        details: {
+          fulfillmentId,
+          fulfillmentValue: amount,
+          completesOrder,
+          lineItems: (fulfillment.line_items || []).map(item => ({ id: String(item.id), quantity: item.quantity }))
+        }
+      });
+
+      if (completesOrder) {
+        this.jobStore.list({ status: JOB_STATUS.PENDING, shop: this.shop, orderId: order.id })
+          .filter(job => job.fallback)
+          .forEach(job => this.cancelJob(job.id, 'order_fulfilled', actor));
+      }
+
+      log.info('Fulfillment capture finished', { outcome: result.status, amount: result.amount, completesOrder });
+      return result;
+    } catch (error) {
+      log.error('Error processing fulfillment', { error });
+      throw error;
+    }
+  }
+
+  // The captures processOrder would make for an order: amounts resolved the
+  // way capturePayment would resolve them now, times the way they would be
+  // scheduled
+  planShadowCaptures(order, action, authorization, transactions, { capture, deposit, authExpiresAt }) {
+    const now = Date.now();
+    let captured = transactions
+      .filter(t => String(t.parent_id) === String(authorization.id) && t.kind === 'capture' && t.status === 'success')
+      .reduce((sum, t) => sum + Number(t.amount), 0);
+    let outstanding = order.total_outstanding;
+    const plan = [];
+
+    const addCapture = (type, options, plannedTime) => {
+      const planned = { type, plannedAt: new Date(plannedTime).toISOString(), percentage: options.percentage ?? null };
+      try {
+        const { amount, currency } = this.resolveCaptureAmount(authorization, captured, { ...options, maxAmount: outstanding });
+        plan.push({ ...planned, amount, currency });
+        captured += amount;
+        if (outstanding !== undefined && outstanding !== null) {
+          outstanding = Number(outstanding) - amount;
+        }
+      } catch (error) {
+        plan.push({ ...planned, error: error.message });
+      }
+    };
+
+    if (deposit) {
+      addCapture('deposit', deposit, now);
+    }
+    if (action.type === ACTION_TYPES.CAPTURE_NOW) {
+      addCapture('capture', capture, now);
+    } else if (action.type === ACTION_TYPES.CAPTURE_AFTER) {
+      addCapture('capture', capture, this.fitCaptureTime(this.getCaptureTime(action, now), authExpiresAt));
+    } else if (action.type === ACTION_TYPES.CAPTURE_ON_FULFILLMENT && authExpiresAt) {
+      // Fulfillments decide when; the fallback is the latest it would happen
+      const fallbackTime = this.fitCaptureTime(authExpiresAt, authExpiresAt);
+      if ((action.fallback || this.fulfillmentFallback) === FULFILLMENT_FALLBACK.VOID) {
+        plan.push({ type: 'fallback_void', plannedAt: new Date(fallbackTime).toISOString() });
+      } else {
+        addCapture('fallback_capture', { currency: capture.currency }, fallbackTime);
+      }
+    }
+    return plan;
+  }
+
+  // Shadow mode's stand-in for capturing, scheduling or voiding: what would
+  // have happened to the order, for getShadowReport() to check later
+  recordShadowDecision(order, { decision = null, authorization = null, plan = [], reason = null } = {}) {
+    const entry = this.shadowLog.record({
+      shop: this.shop,
+      orderId: order.id,
+      orderName: order.name || null,
+      rule: decision ? decision.rule : null,
+      action: decision ? decision.action.type : null,
+      transactionId: authorization ? String(authorization.id) : null,
+      authorizedAmount: authorization ? Number(authorization.amount) : null,
+      currency: authorization ? authorization.currency : order.currency || null,
+      reason,
+      plan
+    });
+    this.logger.info('Shadow mode: recorded decision without moving money', {
+      orderId: order.id,
+      action: entry.action,
+      plan
+    });
+    return entry;
+  }
+
+  // How an order's shadow decision compares with the transactions Shopify
+  // shows for it. outcome is one of: match, pending (planned capture not due
+  // yet), not_captured, amount_differs, captured_unexpectedly, not_voided or
+  // captured_instead_of_voided.
+  compareShadowDecision(entry, transactions) {
+    const currency = entry.currency;
+    const successful = transactions.filter(t => t.status === 'success');
+    const captures = successful.filter(t => t.kind === 'capture');
+    const captured = roundMoney(captures.reduce((sum, t) => sum + Number(t.amount), 0), currency);
+    const voided = successful.some(t => t.kind === 'void');
+
+    const plannedCaptures = entry.plan.filter(step => step.type !== 'void' && step.amount !== undefined);
+    const planned = roundMoney(plannedCaptures.reduce((sum, step) => sum + step.amount, 0), currency);
+    const lastPlannedAt = plannedCaptures.length > 0
+      ? Math.max(...plannedCaptures.map(step => new Date(step.plannedAt).getTime()))
+      : null;
+    const lastCaptureAt = captures.length > 0
+      ? Math.max(...captures.map(t => new Date(t.created_at).getTime()))
+      : null;
+
+    let outcome;
+    if (entry.plan.some(step => step.type === 'void')) {
+      outcome = captured > 0 ? 'captured_instead_of_voided' : (voided ? 'match' : 'not_voided');
+    } else if (plannedCaptures.length === 0) {
+      outcome = captured > 0 ? 'captured_unexpectedly' : 'match';
+    } else if (captured === planned) {
+      outcome = 'match';
+    } else if (captured === 0) {
+      outcome = lastPlannedAt > Date.now() ? 'pending' : 'not_captured';
+    } else {
+      outcome = 'amount_differs';
+    }
+
+    return {
+      shop: entry.shop,
+      orderId: entry.orderId,
+      orderName: entry.orderName,
+      decidedAt: entry.timestamp,
+      rule: entry.rule,
+      action: entry.action,
+      reason: entry.reason,
+      plan: entry.plan,
+      plannedAmount: planned,
+      actual: {
+        captured,
+        currency,
+        voided,
+        captures: captures.map(t => ({ id: t.id, amount: Number(t.amount), createdAt: t.created_at }))
+      },
+      // Positive when the real capture came later than planned
+      timingDifferenceMinutes: lastPlannedAt !== null && lastCaptureAt !== null
+        ? Math.round((lastCaptureAt - lastPlannedAt) / 60000)
+        : null,
+      outcome
+    };
+  }
+
+  // Each order's latest shadow decision (newest first, at most `limit`, as
+  // every order costs a Shopify call) next to what actually happened to it
+  async getShadowReport({ shop, from, to, limit = 100 } = {}) {
+    const entries = this.shadowLog.latest({ shop, from, to });
+    const orders = [];
+
+    for (const entry of entries.slice(0, limit)) {
+      const service = entry.shop === this.shop ? this : this.forShop(entry.shop);
+      if (!service) {
+        orders.push({ shop: entry.shop, orderId: entry.orderId, outcome: 'shop_not_installed' });
+        continue;
+      }
+
+      try {
+        const transactions = await service.getOrderTransactions(entry.orderId);
+        orders.push(this.compareShadowDecision(entry, transactions));
+      } catch (error) {
+        orders.push({ shop: entry.shop, orderId: entry.orderId, outcome: 'error', error: error.message });
+      }
+    }
+
+    const summary = {};
+    orders.forEach(order => {
+      summary[order.outcome] = (summary[order.outcome] || 0) + 1;
+    });
+
+    return {
+      generatedAt: new Date().toISOString(),
+      total: entries.length,
+      count: orders.length,
+      summary,
+      orders
+    };
+  }
+
+  // Records why a pending capture was (or wasn't) changed, both in the log
+  // and on the affected jobs
+  recordOrderDecision(orderId, trigger, decision, jobs = [], details = {}, actor = ACTORS.WEBHOOK) {
+    const entry = { at: new Date().toISOString(), trigger, decision, ...details };
+
+    this.logger.info('Order decision', { orderId, trigger, decision, details });
+    this.recordLedger(orderId, LEDGER_ACTIONS.DECISION, decision, {
+      actor,
+      rule: details.rule || null,
+      reason: details.reason || null,
+      details: { trigger, jobs: jobs.map(job => job.id), ...details }
+    });
+
+    jobs.forEach(job => {
+      const current = this.jobStore.get(job.id);
+      this.jobStore.update(job.id, { history: [...(current.history || []), entry] });
+    });
+    return entry;
+  }
+
+  // Voids every successful authorization on the order that has not been
+  // (partly) captured, when AUTO_VOID_ENABLED allows it and the shop is not
+  // in shadow mode
+  async voidOpenAuthorizations(orderId, actor = ACTORS.SYSTEM) {
+    if (!this.autoVoidEnabled || this.shadowMode) {
+      return [];
+    }
+
+    const transactions = await this.getOrderTransactions(orderId);
+    const authorizations = transactions.filter(t => t.kind === 'authorization' && t.status === 'success');
+
+    const results = [];
+    for (const authorization of authorizations) {
+      results.push(await this.voidAuthorization(orderId, authorization.id, actor));
+    }
+    return results;
+  }
+
+  // Brings pending capture jobs in line with the order's current state after
+  // an orders/updated, orders/cancelled or refunds/create webhook. Orders
+  // without pending jobs are only touched to void a cancelled order.
+  async handleOrderChange(orderId, trigger, actor = ACTORS.WEBHOOK) {
+    try {
+      const order = await this.getOrder(orderId);
+      const pendingJobs = this.jobStore.list({ status: JOB_STATUS.PENDING, shop: this.shop, orderId: order.id });
+
+      if (order.cancelled_at || ['voided', 'refunded'].includes(order.financial_status)) {
+        const reason = order.cancelled_at ? 'order_cancelled' : `order_${order.financial_status}`;
+        pendingJobs.forEach(job => this.cancelJob(job.id, reason, actor));
+
+        const voids = order.cancelled_at ? await this.voidOpenAuthorizations(order.id, actor) : [];
+        return this.recordOrderDecision(order.id, trigger, 'cancelled', pendingJobs, {
+          reason,
+          voids: voids.map(v => v.status)
+        }, actor);
+      }
+
+      if (pendingJobs.length === 0) {
+        return this.recordOrderDecision(order.id, trigger, 'no_pending_jobs', [], {}, actor);
+      }
+
+      if (order.total_outstanding !== undefined && Number(order.total_outstanding) <= 0) {
+        pendingJobs.forEach(job => this.cancelJob(job.id, 'nothing_outstanding', actor));
+        return this.recordOrderDecision(order.id, trigger, 'cancelled', pendingJobs, { reason: 'nothing_outstanding' }, actor);
+      }
+
+      if (this.rulesEngine.usesCondition('productType')) {
+        await this.addProductTypes(order);
+      }
+      const decision = this.rulesEngine.evaluate(order);
+      const action = decision ? decision.action : { type: ACTION_TYPES.IGNORE };
+
+      switch (action.type) {
+        case ACTION_TYPES.IGNORE:
+        case ACTION_TYPES.VOID: {
+          pendingJobs.forEach(job => this.cancelJob(job.id, 'unflagged', actor));
+          const voids = action.type === ACTION_TYPES.VOID ? await this.voidOpenAuthorizations(order.id, actor) : [];
+          return this.recordOrderDecision(order.id, trigger, 'cancelled', pendingJobs, {
+            reason: 'unflagged',
+            rule: decision && decision.rule,
+            voids: voids.map(v => v.status)
+          }, actor);
+        }
+
+        case ACTION_TYPES.CAPTURE_ON_FULFILLMENT: {
+          // Fulfillments capture the order now; only a fallback job stays
+          const fallback = action.fallback || this.fulfillmentFallback;
+          const converted = pendingJobs.filter(job => !job.fallback);
+          const fallbackJobs = pendingJobs.filter(job => job.fallback);
+
+          converted.forEach(job => this.cancelJob(job.id, 'converted_to_fulfillment', actor));
+          fallbackJobs
+            .filter(job => job.fallback !== fallback)
+            .forEach(job => this.jobStore.update(job.id, { fallback, rule: decision.rule }));
+          let fallbackJob = null;
+          if (fallbackJobs.length === 0) {
+            if (this.needsTimezone()) {
+              await this.loadTimezone();
+            }
+            const [job] = converted;
+            fallbackJob = this.scheduleFulfillmentFallback(order.id, job.transactionId, {
+              authExpiresAt: job.authExpiresAt,
+              currency: job.currency,
+              fallback,
+              rule: decision.rule,
+              actor
+            });
+          }
+
+          const jobs = fallbackJob ? [...pendingJobs, fallbackJob] : pendingJobs;
+          return this.recordOrderDecision(order.id, trigger, converted.length > 0 ? 'converted' : 'unchanged', jobs, {
+            rule: decision.rule,
+            action: action.type,
+            fallback
+          }, actor);
+        }
+
+        case ACTION_TYPES.CAPTURE_NOW: {
+          // Re-flagged from a delayed capture: run the jobs now, so a capture
+          // that fails is retried or dead-lettered like any scheduled one
+          const { capture } = this.getCaptureOptions(order, action);
+          const entry = this.recordOrderDecision(order.id, trigger, 'converted', pendingJobs, {
+            rule: decision.rule,
+            action: action.type
+          }, actor);
+
+          for (const job of pendingJobs) {
+            const previousScheduledTime = new Date(job.scheduledTime).toISOString();
+            const converted = this.jobStore.update(job.id, {
+              scheduledTime: Date.now(),
+              amount: capture.amount ?? null,
+              percentage: capture.percentage ?? null,
+              currency: capture.currency || job.currency,
+              rule: decision.rule,
+              fallback: null
+            });
+            this.recordJobEvent(converted, 'converted_to_capture_now', actor, {
+              details: { previousScheduledTime }
+            });
+
+            await this.runScheduledJob(job.id, actor);
+            const { status, outcome } = this.jobStore.get(job.id);
+            this.logger.info('Converted capture finished', { orderId: order.id, jobId: job.id, status, outcome });
+          }
+          return entry;
+        }
+
+        case ACTION_TYPES.CAPTURE_AFTER: {
+          const { capture } = this.getCaptureOptions(order, action);
+          const changed = [];
+          if (this.needsTimezone(action)) {
+            await this.loadTimezone();
+          }
+
+          pendingJobs.forEach(job => {
+            // Only rule-driven jobs follow the rules; manually scheduled ones
+            // keep their time and amount. Delays count from when the capture
+            // was first scheduled.
+            if (!job.rule) {
+              return;
+            }
+            const requestedTime = this.getCaptureTime(action, new Date(job.createdAt).getTime());
+            const amountChanged = (capture.amount ?? null) !== job.amount ||
+              (capture.percentage ?? null) !== job.percentage;
+
+            // A fallback job becomes the order's capture
+            if (requestedTime !== job.requestedTime || amountChanged || job.fallback) {
+              this.rescheduleJob(job.id, requestedTime, {
+                requestedTime,
+                amount: capture.amount ?? null,
+                percentage: capture.percentage ?? null,
+                currency: capture.currency || job.currency,
+                rule: decision.rule,
+                fallback: null
+              }, actor);
+              changed.push(job);
+            }
+          });
+
+          return this.recordOrderDecision(order.id, trigger, changed.length > 0 ? 'rescheduled' : 'unchanged', pendingJobs, {
+            rule: decision.rule,
+            total_outstanding: order.total_outstanding
+          }, actor);
+        }
+
+        default:
+          return this.recordOrderDecision(order.id, trigger, 'unchanged', pendingJobs, { action: action.type }, actor);
+      }
+    } catch (error) {
+      this.logger.error('Error handling order change', { orderId, trigger, error });
+      throw error;
+    }
+  }
+
+  // captureOptions: amount, percentage and currency as for capturePayment
+  // (omit them to capture whatever is left on the authorization), and
+  // authExpiresAt so the capture can't land after the authorization lapses,
+  // rule when a payment rule asked for it, the actor scheduling it, and
+  // fallback (FULFILLMENT_FALLBACK) for an on_fulfillment order's fallback.
+  // requestedTime, when given, is used instead of now + delay.
+  schedulePaymentCapture(orderId, transactionId, delay, captureOptions = {}) {
+    const requestedTime = captureOptions.requestedTime ?? Date.now() + delay;
+    const authExpiresAt = captureOptions.authExpiresAt || null;
+    const scheduledTime = this.fitCaptureTime(requestedTime, authExpiresAt);
+
+    this.logger.info('Scheduling payment capture', { orderId, delayMs: scheduledTime - Date.now() });
+
+    if (scheduledTime < requestedTime && authExpiresAt && requestedTime > authExpiresAt - this.authExpiryMargin) {
+      this.logger.warn('Capture moved ahead of authorization expiry', {
+        orderId,
+        requestedTime: new Date(requestedTime),
+        scheduledTime: new Date(scheduledTime),
+        authExpiresAt: new Date(authExpiresAt)
+      });
+    } else if (scheduledTime !== requestedTime) {
+      this.logger.info('Capture moved to a time the capture calendar allows', {
+        orderId,
+        requestedTime: new Date(requestedTime),
+        scheduledTime: new Date(scheduledTime),
+        timezone: this.getTimezone()
+      });
+    }
     
-    const job = {
+    const job = this.jobStore.create({
+      shop: this.shop,
       orderId,
       transactionId,
       scheduledTime,
-      jobId: null
-    };
+      requestedTime,
+      authExpiresAt,
+      amount: captureOptions.amount ?? null,
+      percentage: captureOptions.percentage ?? null,
+      currency: captureOptions.currency || null,
+      rule: captureOptions.rule || null,
+      fallback: captureOptions.fallback || null,
+      scheduledBy: captureOptions.actor || ACTORS.SYSTEM,
+      // Lets the capture's log lines be traced back to the webhook
+      correlationId: logger.getCorrelationId() || null
+    });
     
-    job.jobId = setTimeout(async () => {
-      try {
-        console.log(`🔔 Executing scheduled payment capture for order ${orderId}`);
-        this.logToFile(`Executing scheduled capture for order ${orderId}`);
-        
-        await this.capturePayment(orderId, transactionId);
-        
-        this.removeScheduledJob(orderId);
-      } catch (error) {
-        console.error(`❌ Scheduled capture failed: ${error.message}`);
-        this.logToFile(`Scheduled capture failed: ${error.message}`);
+    this.armJob(job);
+    this.recordLedger(orderId, LEDGER_ACTIONS.CAPTURE, 'scheduled', {
+      actor: job.scheduledBy,
+      jobId: job.id,
+      transactionId: String(transactionId),
+      amount: job.amount,
+      currency: job.currency,
+      rule: job.rule,
+      details: {
+        scheduledTime: new Date(scheduledTime).toISOString(),
+        requestedTime: new Date(requestedTime).toISOString(),
+        percentage: job.percentage,
+        fallback: job.fallback
       }
-    }, delay);
-    
-    this.scheduledJobs.push(job);
-    console.log(`📅 Scheduled job added. Total jobs: ${this.scheduledJobs.length}`);
+    });
+    this.logger.info('Scheduled job added', {
+      orderId,
+      jobId: job.id,
+      pendingJobs: this.jobStore.list({ status: JOB_STATUS.PENDING }).length
+    });
+    return job;
   }
 
-  removeScheduledJob(orderId) {
-    const index = this.scheduledJobs.findIndex(j => j.orderId === orderId);
-    if (index > -1) {
-      clearTimeout(this.scheduledJobs[index].jobId);
-      this.scheduledJobs.splice(index, 1);
-      console.log(`🗑️ Removed scheduled job for order ${orderId}`);
-      this.logToFile(`Removed scheduled job for order ${orderId}`);
+  // Once a shutdown has begun no timers are set: the job's scheduledTime is
+  // already saved and the next process's restoreScheduledJobs arms it
+  armJob(job) {
+    this.disarmJob(job.id);
+    if (lifecycle.shuttingDown) {
+      return;
+    }
+
+    const delay = Math.max(0, job.scheduledTime - Date.now());
+    if (delay > MAX_TIMER_DELAY) {
+      return;
     }
+
+    this.jobTimers.set(job.id, setTimeout(() => {
+      this.jobTimers.delete(job.id);
+      this.runScheduledJob(job.id);
+    }, delay));
+  }
+
+  disarmJob(jobId) {
+    if (this.jobTimers.has(jobId)) {
+      clearTimeout(this.jobTimers.get(jobId));
+      this.jobTimers.delete(jobId);
+    }
+  }
+
+  // The service of the shop a job belongs to, or null when that shop is no
+  // longer installed
+  forJob(job) {
+    return job.shop && job.shop !== this.shop ? this.forShop(job.shop) : this;
   }
 
-  getScheduledJobs() {
-    return this.scheduledJobs.map(job => {
-      const timeLeft = job.scheduledTime - Date.now();
-      const minutes = Math.floor(timeLeft / (1000 * 60));
-      const seconds = Math.floor((timeLeft % (1000 * 60)) / 1000);
+  // actor is whoever made the job run: the scheduler, or an operator running
+  // it early
+  async runScheduledJob(jobId, actor = ACTORS.SCHEDULER) {
+    const job = this.jobStore.get(jobId);
+    if (!job || job.status !== JOB_STATUS.PENDING) {
+      return;
+    }
+    if (lifecycle.shuttingDown) {
+      this.logger.info('Shutting down, leaving the job for the next process', { jobId, orderId: job.orderId });
+      return;
+    }
+
+    // Timers and the sweep are shared, so hand the job to its shop's service
+    const service = this.forJob(job);
+    if (!service) {
+      this.cancelJob(jobId, 'shop_not_installed', ACTORS.SCHEDULER);
+      return;
+    }
+    if (service !== this) {
+      return service.runScheduledJob(jobId, actor);
+    }
+
+    return logger.runWithContext({
+      correlationId: job.correlationId || logger.newCorrelationId(),
+      jobId,
+      orderId: job.orderId
+    }, () => this.executeScheduledJob(job, actor));
+  }
+
+  async executeScheduledJob(job, actor = ACTORS.SCHEDULER) {
+    const jobId = job.id;
+    this.disarmJob(jobId);
+    const startedAt = new Date().toISOString();
+    // Read before the update, which changes the job object in place
+    const attempt = job.attempts + 1;
+    this.jobStore.update(jobId, {
+      status: JOB_STATUS.RUNNING,
+      attempts: attempt,
+      firstAttemptAt: job.firstAttemptAt || startedAt,
+      startedAt
+    });
+
+    try {
+      let result;
+      if (job.fallback) {
+        this.logger.warn('Order not fulfilled before its authorization expires, applying the fallback', {
+          fallback: job.fallback,
+          authExpiresAt: job.authExpiresAt ? new Date(job.authExpiresAt) : null,
+          attempt
+        });
+      } else {
+        this.logger.info('Executing scheduled payment capture', { attempt });
+      }
+
+      if (job.fallback === FULFILLMENT_FALLBACK.VOID) {
+        // A partly captured authorization can't be voided; the rest lapses
+        result = await this.voidAuthorization(job.orderId, job.transactionId, actor);
+      } else {
+        result = await this.capturePayment(job.orderId, job.transactionId, {
+          amount: job.amount,
+          percentage: job.percentage,
+          currency: job.currency,
+          idempotencyKey: `capture-job-${jobId}`,
+          notBefore: job.firstAttemptAt,
+          actor,
+          jobId,
+          rule: job.rule
+        });
+      }
       
+      // Nothing left to capture (or void) is not a failure, but the job did
+      // not succeed either
+      this.jobStore.update(jobId, {
+        status: result.status === CAPTURE_OUTCOME.SKIPPED ? JOB_STATUS.CANCELLED : JOB_STATUS.SUCCEEDED,
+        outcome: result.status,
+        outcomeReason: result.reason || null,
+        capturedAmount: result.amount ?? null,
+        completedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      this.handleJobFailure(jobId, error);
+    }
+  }
+
+  handleJobFailure(jobId, error) {
+    const job = this.jobStore.get(jobId);
+    const errorMsg = this.retryPolicy.describeError(error);
+
+    if (this.retryPolicy.shouldRetry(error, job.attempts)) {
+      const delay = this.retryPolicy.getDelay(job.attempts);
+      this.logger.warn('Scheduled capture failed, retrying', {
+        jobId,
+        orderId: job.orderId,
+        attempt: job.attempts,
+        maxAttempts: this.retryPolicy.maxAttempts,
+        retryInMs: delay,
+        reason: errorMsg
+      });
+
+      const retried = this.jobStore.update(jobId, {
+        status: JOB_STATUS.PENDING,
+        scheduledTime: this.clampToAuthorizationExpiry(Date.now() + delay, job.authExpiresAt),
+        lastError: errorMsg
+      });
+      this.armJob(retried);
+      this.recordJobEvent(retried, 'retry_scheduled', ACTORS.SCHEDULER, {
+        reason: errorMsg,
+        details: { attempts: job.attempts, scheduledTime: new Date(retried.scheduledTime).toISOString() }
+      });
+      return;
+    }
+
+    if (this.retryPolicy.isRetryable(error)) {
+      this.logger.error('Scheduled capture exhausted its attempts, moving to dead-letter', {
+        jobId,
+        orderId: job.orderId,
+        attempts: job.attempts,
+        reason: errorMsg
+      });
+      this.jobStore.update(jobId, {
+        status: JOB_STATUS.DEAD_LETTER,
+        lastError: errorMsg,
+        deadLetteredAt: new Date().toISOString()
+      });
+      this.recordJobEvent(job, 'dead_lettered', ACTORS.SCHEDULER, {
+        reason: errorMsg,
+        details: { attempts: job.attempts }
+      });
+      alerts.notify(ALERT_TYPES.JOB_DEAD_LETTERED, {
+        shop: this.shop,
+        orderId: job.orderId,
+        jobId,
+        message: `Capture for order ${job.orderId} gave up after ${job.attempts} attempts: ${errorMsg}`,
+        details: { authExpiresAt: job.authExpiresAt ? new Date(job.authExpiresAt).toISOString() : null }
+      });
+      return;
+    }
+
+    this.logger.error('Scheduled capture failed permanently', { jobId, orderId: job.orderId, reason: errorMsg });
+    this.jobStore.update(jobId, {
+      status: JOB_STATUS.FAILED,
+      lastError: errorMsg,
+      completedAt: new Date().toISOString()
+    });
+    this.recordJobEvent(job, 'failed', ACTORS.SCHEDULER, {
+      reason: errorMsg,
+      details: { attempts: job.attempts }
+    });
+  }
+
+  recordJobEvent(job, status, actor, fields = {}) {
+    return this.recordLedger(job.orderId, LEDGER_ACTIONS.JOB, status, {
+      actor,
+      jobId: job.id,
+      transactionId: job.transactionId ? String(job.transactionId) : null,
+      rule: job.rule || null,
+      ...fields
+    });
+  }
+
+  getDeadLetterJobs(shop) {
+    return this.jobStore.list({ status: JOB_STATUS.DEAD_LETTER, shop });
+  }
+
+  requeueDeadLetterJob(jobId, delay = 0, actor = ACTORS.SYSTEM) {
+    // Checked before the job leaves the dead-letter queue
+    if (!Number.isFinite(delay) || delay < 0) {
+      throw new Error(`Invalid requeue delay ${delay}: must be a number of milliseconds, 0 or more`);
+    }
+    const job = this.jobStore.get(jobId);
+    if (!job || job.status !== JOB_STATUS.DEAD_LETTER) {
+      return null;
+    }
+
+    this.logger.info('Requeuing dead-lettered job', { jobId, orderId: job.orderId, actor });
+
+    const requeued = this.jobStore.update(jobId, {
+      status: JOB_STATUS.PENDING,
+      attempts: 0,
+      scheduledTime: this.clampToAuthorizationExpiry(Date.now() + delay, job.authExpiresAt),
+      deadLetteredAt: null
+    });
+    this.armJob(requeued);
+    this.recordJobEvent(requeued, 'requeued', actor, {
+      details: { scheduledTime: new Date(requeued.scheduledTime).toISOString() }
+    });
+    return requeued;
+  }
+
+  discardDeadLetterJob(jobId, actor = ACTORS.SYSTEM, reason = null) {
+    const job = this.jobStore.get(jobId);
+    if (!job || job.status !== JOB_STATUS.DEAD_LETTER) {
+      return null;
+    }
+
+    this.logger.info('Discarding dead-lettered job', { jobId, orderId: job.orderId, actor, reason });
+
+    this.recordJobEvent(job, 'discarded', actor, { reason: reason || job.lastError });
+    return this.jobStore.update(jobId, {
+      status: JOB_STATUS.CANCELLED,
+      ...(reason ? { cancelReason: reason } : {}),
+      discardedAt: new Date().toISOString()
+    });
+  }
+
+  cancelJob(jobId, reason = 'cancelled', actor = ACTORS.SYSTEM) {
+    const job = this.jobStore.get(jobId);
+    if (!job || job.status !== JOB_STATUS.PENDING) {
+      return null;
+    }
+
+    this.disarmJob(jobId);
+    this.logger.info('Cancelled scheduled job', { jobId, orderId: job.orderId, reason, actor });
+    this.recordJobEvent(job, 'cancelled', actor, { reason });
+    return this.jobStore.update(jobId, {
+      status: JOB_STATUS.CANCELLED,
+      cancelReason: reason,
+      completedAt: new Date().toISOString()
+    });
+  }
+
+  rescheduleJob(jobId, scheduledTime, changes = {}, actor = ACTORS.SYSTEM) {
+    const job = this.jobStore.get(jobId);
+    if (!job || job.status !== JOB_STATUS.PENDING) {
+      return null;
+    }
+
+    const rescheduled = this.jobStore.update(jobId, {
+      ...changes,
+      scheduledTime: this.fitCaptureTime(scheduledTime, job.authExpiresAt)
+    });
+    this.armJob(rescheduled);
+
+    this.logger.info('Rescheduled job', {
+      jobId,
+      orderId: job.orderId,
+      scheduledTime: new Date(rescheduled.scheduledTime),
+      actor
+    });
+    this.recordJobEvent(rescheduled, 'rescheduled', actor, {
+      amount: rescheduled.amount,
+      currency: rescheduled.currency,
+      details: {
+        scheduledTime: new Date(rescheduled.scheduledTime).toISOString(),
+        previousScheduledTime: new Date(job.scheduledTime).toISOString(),
+        percentage: rescheduled.percentage
+      }
+    });
+    return rescheduled;
+  }
+
+  removeScheduledJob(orderId, reason, actor = ACTORS.SYSTEM) {
+    const pendingJobs = this.jobStore.list({ status: JOB_STATUS.PENDING, shop: this.shop, orderId });
+    pendingJobs.forEach(job => this.cancelJob(job.id, reason, actor));
+    return pendingJobs.length;
+  }
+
+  describeJob(job) {
+    const timeLeft = job.scheduledTime - Date.now();
+    const minutes = Math.floor(timeLeft / (1000 * 60));
+    const seconds = Math.floor((timeLeft % (1000 * 60)) / 1000);
+
+    return {
+      jobId: job.id,
+      shop: job.shop,
+      orderId: job.orderId,
+      status: job.status,
+      attempts: job.attempts,
+      lastError: job.lastError,
+      amount: job.amount,
+      percentage: job.percentage,
+      currency: job.currency,
+      rule: job.rule || null,
+      fallback: job.fallback || null,
+      scheduledBy: job.scheduledBy || null,
+      scheduledTime: new Date(job.scheduledTime).toISOString(),
+      authExpiresAt: job.authExpiresAt ? new Date(job.authExpiresAt).toISOString() : null,
+      timeLeft: `${minutes}m ${seconds}s`,
+      timeLeftMs: timeLeft
+    };
+  }
+
+  getScheduledJobs(status = [JOB_STATUS.PENDING, JOB_STATUS.RUNNING], shop) {
+    return this.jobStore.list({ status, shop }).map(job => this.describeJob(job));
+  }
+
+  // One page of jobs, soonest first. filters: status, shop, dueAfter,
+  // dueBefore (ms timestamps), offset and limit
+  listJobs({ status = [JOB_STATUS.PENDING, JOB_STATUS.RUNNING], shop, dueAfter, dueBefore, offset = 0, limit = 50 } = {}) {
+    const jobs = this.jobStore.list({ status, shop, dueAfter, dueBefore });
+    return {
+      total: jobs.length,
+      offset,
+      limit,
+      jobs: jobs.slice(offset, offset + limit).map(job => this.describeJob(job))
+    };
+  }
+
+  // Whether Shopify still shows something to capture for a job: the order is
+  // open and owes money, and the job's authorization succeeded and was
+  // neither voided nor fully captured
+  async getJobOrderState(job) {
+    const order = await this.getOrder(job.orderId);
+    const state = {
+      financialStatus: order.financial_status,
+      cancelledAt: order.cancelled_at || null,
+      totalOutstanding: order.total_outstanding ?? null
+    };
+
+    if (order.cancelled_at) {
+      return { ...state, capturable: false, reason: 'order_cancelled' };
+    }
+    if (['voided', 'refunded'].includes(order.financial_status)) {
+      return { ...state, capturable: false, reason: `order_${order.financial_status}` };
+    }
+    if (order.total_outstanding !== undefined && Number(order.total_outstanding) <= 0) {
+      return { ...state, capturable: false, reason: 'nothing_outstanding' };
+    }
+
+    const transactions = await this.getOrderTransactions(job.orderId);
+    const authorization = transactions.find(t => String(t.id) === String(job.transactionId));
+    if (!authorization || authorization.kind !== 'authorization' || authorization.status !== 'success') {
+      return { ...state, capturable: false, reason: authorization ? 'authorization_not_successful' : 'authorization_not_found' };
+    }
+
+    const children = transactions.filter(t =>
+      String(t.parent_id) === String(job.transactionId) && t.status === 'success'
+    );
+    if (children.some(t => t.kind === 'void')) {
+      return { ...state, capturable: false, reason: 'authorization_voided' };
+    }
+
+    const captured = children
+      .filter(t => t.kind === 'capture')
+      .reduce((sum, t) => sum + Number(t.amount), 0);
+    const remaining = roundMoney(Number(authorization.amount) - captured, authorization.currency);
+    if (remaining <= 0) {
+      return { ...state, capturable: false, reason: 'already_captured', remaining };
+    }
+
+    return { ...state, capturable: true, remaining };
+  }
+
+  // Operator actions on a pending job. Each one resolves with
+  // { job, orderState } or, when refused, { error, message, orderState }
+  // where error is one of JOB_ACTION_ERRORS.
+  findPendingJob(jobId) {
+    const job = this.jobStore.get(jobId);
+    if (!job) {
+      return { error: JOB_ACTION_ERRORS.NOT_FOUND, message: 'Job not found' };
+    }
+    if (job.status !== JOB_STATUS.PENDING) {
+      return { error: JOB_ACTION_ERRORS.NOT_PENDING, message: `Job is ${job.status}` };
+    }
+    return { job, service: this.forJob(job) };
+  }
+
+  async prepareJobAction(jobId) {
+    const found = this.findPendingJob(jobId);
+    if (found.error) {
+      return found;
+    }
+    if (!found.service) {
+      return { error: JOB_ACTION_ERRORS.NOT_CAPTURABLE, message: `Shop ${found.job.shop} is not installed` };
+    }
+
+    const orderState = await found.service.getJobOrderState(found.job);
+    if (!orderState.capturable) {
+      return { error: JOB_ACTION_ERRORS.NOT_CAPTURABLE, message: `Order can't be captured: ${orderState.reason}`, orderState };
+    }
+    return { ...found, orderState };
+  }
+
+  // Cancelling is always allowed, even when Shopify can't be reached; the
+  // order state says whether anything was left to capture
+  async cancelPendingJob(jobId, reason = 'cancelled_by_operator', actor = ACTORS.SYSTEM) {
+    const found = this.findPendingJob(jobId);
+    if (found.error) {
+      return found;
+    }
+
+    let orderState = null;
+    if (found.service) {
+      try {
+        orderState = await found.service.getJobOrderState(found.job);
+      } catch (error) {
+        this.logger.warn('Could not load order state for cancelled job', { jobId, orderId: found.job.orderId, error });
+      }
+    }
+
+    const job = this.cancelJob(jobId, reason, actor);
+    if (!job) {
+      return { error: JOB_ACTION_ERRORS.NOT_PENDING, message: 'Job is no longer pending' };
+    }
+    return { job: this.describeJob(job), orderState };
+  }
+
+  // Moves a job to scheduledTime (ms timestamp), which must be in the future
+  // and before its authorization expires
+  async reschedulePendingJob(jobId, scheduledTime, actor = ACTORS.SYSTEM) {
+    if (!Number.isFinite(scheduledTime) || scheduledTime <= Date.now()) {
+      return { error: JOB_ACTION_ERRORS.INVALID_TIME, message: 'scheduledTime must be in the future' };
+    }
+
+    const prepared = await this.prepareJobAction(jobId);
+    if (prepared.error) {
+      return prepared;
+    }
+    const { service, orderState } = prepared;
+
+    if (prepared.job.authExpiresAt && scheduledTime > prepared.job.authExpiresAt) {
       return {
+        error: JOB_ACTION_ERRORS.INVALID_TIME,
+        message: `scheduledTime is after the authorization expires (${new Date(prepared.job.authExpiresAt).toISOString()})`,
+        orderState
+      };
+    }
+
+    if (service.needsTimezone()) {
+      await service.loadTimezone();
+    }
+    const job = service.rescheduleJob(jobId, scheduledTime, { requestedTime: scheduledTime }, actor);
+    if (!job) {
+      return { error: JOB_ACTION_ERRORS.NOT_PENDING, message: 'Job is no longer pending' };
+    }
+    return { job: this.describeJob(job), orderState };
+  }
+
+  // Runs the capture now instead of at its scheduled time; resolves once it
+  // has finished (or been handed to the retry policy)
+  async runPendingJobNow(jobId, actor = ACTORS.SYSTEM) {
+    const prepared = await this.prepareJobAction(jobId);
+    if (prepared.error) {
+      return prepared;
+    }
+    const { service, orderState } = prepared;
+
+    service.logger.info('Running scheduled job now', { jobId, orderId: prepared.job.orderId, actor });
+    await service.runScheduledJob(jobId, actor);
+    return { job: this.describeJob(this.jobStore.get(jobId)), orderState };
+  }
+
+  // Pending captures whose authorization lapses within AUTH_EXPIRY_WARNING_HOURS
+  // (or already has)
+  getExpiringAuthorizations(shop) {
+    const warnBefore = Date.now() + this.authExpiryWarning;
+    return this.jobStore.list({ status: [JOB_STATUS.PENDING, JOB_STATUS.RUNNING, JOB_STATUS.DEAD_LETTER], shop })
+      .filter(job => job.authExpiresAt && job.authExpiresAt <= warnBefore)
+      .map(job => ({
+        jobId: job.id,
+        shop: job.shop,
         orderId: job.orderId,
+        transactionId: job.transactionId,
+        status: job.status,
         scheduledTime: new Date(job.scheduledTime).toISOString(),
-        timeLeft: `${minutes}m ${seconds}s`,
-        timeLeftMs: timeLeft
-      };
+        authExpiresAt: new Date(job.authExpiresAt).toISOString(),
+        expiresInMs: job.authExpiresAt - Date.now(),
+        expired: job.authExpiresAt <= Date.now()
+      }));
+  }
+
+  flagExpiringAuthorizations() {
+    this.getExpiringAuthorizations().forEach(entry => {
+      const job = this.jobStore.get(entry.jobId);
+      if (job.expiryWarnedAt) {
+        return;
+      }
+      this.logger.warn(entry.expired ? 'Authorization has expired' : 'Authorization expires soon', {
+        shop: entry.shop,
+        orderId: entry.orderId,
+        jobId: entry.jobId,
+        jobStatus: entry.status,
+        authExpiresAt: entry.authExpiresAt
+      });
+      alerts.notify(ALERT_TYPES.AUTHORIZATION_EXPIRING, {
+        shop: entry.shop,
+        orderId: entry.orderId,
+        jobId: entry.jobId,
+        message: entry.expired
+          ? `Authorization for order ${entry.orderId} expired at ${entry.authExpiresAt} before it was captured`
+          : `Authorization for order ${entry.orderId} expires at ${entry.authExpiresAt} and is not captured yet`,
+        details: { jobStatus: entry.status, scheduledTime: entry.scheduledTime }
+      });
+      this.jobStore.update(entry.jobId, { expiryWarnedAt: new Date().toISOString() });
     });
   }
 
+  // Re-arm jobs persisted by a previous process. Jobs that were mid-capture
+  // when the process died go back to pending; overdue jobs fire right away.
+  restoreScheduledJobs() {
+    // Set when the previous server saved the jobs on a graceful shutdown
+    const lastShutdown = this.jobStore.lastShutdown;
+
+    // Jobs written before multi-shop support belong to the default shop
+    this.jobStore.list()
+      .filter(job => !job.shop && this.shop)
+      .forEach(job => this.jobStore.update(job.id, { shop: this.shop }));
+
+    const interrupted = this.jobStore.list({ status: JOB_STATUS.RUNNING });
+    interrupted.forEach(job => {
+      this.jobStore.update(job.id, { status: JOB_STATUS.PENDING });
+    });
+
+    const pendingJobs = this.jobStore.list({ status: JOB_STATUS.PENDING });
+    pendingJobs.forEach(job => this.armJob(job));
+
+    this.logger.info('Restored scheduled jobs', {
+      pending: pendingJobs.length,
+      interrupted: interrupted.length,
+      lastShutdown
+    });
+    return pendingJobs.length;
+  }
+
+  // Writes the job list once more with a note of the shutdown, which the next
+  // process's restoreScheduledJobs reports. Jobs still running stay running
+  // and are checked against Shopify before they are retried.
+  saveJobsForShutdown(details = {}) {
+    const pending = this.jobStore.list({ status: JOB_STATUS.PENDING });
+    const running = this.jobStore.list({ status: JOB_STATUS.RUNNING });
+    this.jobStore.markShutdown({ ...details, pending: pending.length, running: running.map(job => job.id) });
+    return { pending: pending.length, running: running.length };
+  }
+
   startScheduler() {
-    if (this.isSchedulerRunning) return;
+    if (shared.isSchedulerRunning) return;
     
-    console.log('🚀 Starting payment capture scheduler...');
-    this.logToFile('Starting payment capture scheduler');
-    this.isSchedulerRunning = true;
+    this.logger.info('Starting payment capture scheduler');
+    shared.isSchedulerRunning = true;
+    shared.lastSweepAt = Date.now();
+
+    this.restoreScheduledJobs();
     
     // Check every minute for overdue jobs
-    setInterval(() => {
+    shared.schedulerInterval = setInterval(() => {
       const now = Date.now();
-      this.scheduledJobs.forEach(job => {
-        if (job.scheduledTime <= now && job.jobId) {
-          console.log(`⏰ Job for order ${job.orderId} is overdue, executing now...`);
-          this.logToFile(`Overdue job detected for order ${job.orderId}`);
-          
-          clearTimeout(job.jobId);
-          
-          this.capturePayment(job.orderId, job.transactionId)
-            .then(() => {
-              console.log(`✅ Overdue job completed for order ${job.orderId}`);
-              this.logToFile(`Overdue job completed for order ${job.orderId}`);
-              this.removeScheduledJob(job.orderId);
-            })
-            .catch(error => {
-              console.error(`❌ Failed overdue job: ${error.message}`);
-              this.logToFile(`Failed overdue job: ${error.message}`);
-            });
+      shared.lastSweepAt = now;
+      this.jobStore.list({ status: JOB_STATUS.PENDING }).forEach(job => {
+        if (job.scheduledTime <= now) {
+          this.logger.info('Job is overdue, executing now', { shop: job.shop, orderId: job.orderId, jobId: job.id });
+
+          this.runScheduledJob(job.id);
+        } else if (!this.jobTimers.has(job.id)) {
+          this.armJob(job);
         }
       });
-    }, 60000); // Check every minute
+
+      this.flagExpiringAuthorizations();
+    }, SWEEP_INTERVAL);
+  }
+
+  // Stops the sweep and every job timer; pending jobs stay in the store for
+  // the next startScheduler()
+  stopScheduler() {
+    clearInterval(shared.schedulerInterval);
+    shared.schedulerInterval = null;
+    shared.isSchedulerRunning = false;
+    shared.jobTimers.forEach(timer => clearTimeout(timer));
+    shared.jobTimers.clear();
+  }
+
+  // Refresh the job gauges; called when /metrics is scraped
+  updateJobMetrics() {
+    const now = Date.now();
+    const byShop = new Map();
+    this.jobStore.list({ status: JOB_STATUS.PENDING }).forEach(job => {
+      const shop = job.shop || '';
+      const stats = byShop.get(shop) || { count: 0, oldestCreatedAt: now };
+      stats.count++;
+      stats.oldestCreatedAt = Math.min(stats.oldestCreatedAt, new Date(job.createdAt).getTime());
+      byShop.set(shop, stats);
+    });
+
+    metrics.pendingJobs.reset();
+    metrics.oldestPendingJobAge.reset();
+    byShop.forEach((stats, shop) => {
+      metrics.pendingJobs.set({ shop }, stats.count);
+      metrics.oldestPendingJobAge.set({ shop }, Math.round((now - stats.oldestCreatedAt) / 1000));
+    });
+  }
+
+  getSchedulerHealth() {
+    const now = Date.now();
+    const overdue = this.jobStore.list({ status: JOB_STATUS.PENDING })
+      .filter(job => job.scheduledTime < now - OVERDUE_JOB_TOLERANCE);
+    const lastSweepAt = shared.lastSweepAt ? new Date(shared.lastSweepAt).toISOString() : null;
+
+    const problems = [];
+    if (!shared.isSchedulerRunning) {
+      problems.push('scheduler_not_running');
+    } else if (now - shared.lastSweepAt > SWEEP_STALE_AFTER) {
+      problems.push('sweep_stalled');
+    }
+    if (overdue.length > 0) {
+      problems.push('jobs_overdue');
+    }
+
+    return { healthy: problems.length === 0, problems, lastSweepAt, overdueJobs: overdue.length };
+  }
+
+  // A shop's token is unhealthy when its last refresh failed
+  getTokenHealth() {
+    return Array.from(shared.services.values()).map(service => ({
+      shop: service.shop,
+      healthy: !service.tokenHealth.lastError,
+      ...service.tokenHealth
+    }));
+  }
+
+  // 'degraded' when the scheduler or any shop's token refresh is unhealthy
+  getHealth() {
+    const scheduler = this.getSchedulerHealth();
+    const tokens = this.getTokenHealth();
+    const healthy = scheduler.healthy && tokens.every(token => token.healthy);
+    return { status: healthy ? 'healthy' : 'degraded', scheduler, tokens };
   }
 }
 
-module.exports = new ShopifyService();
\ No newline at end of file
+module.exports = new ShopifyService({
+  shop: config.shopify.shopName,
+  isDefaultShop: true
+});
+module.exports.ShopifyService = ShopifyService;
+module.exports.CAPTURE_OUTCOME = CAPTURE_OUTCOME;
+module.exports.VOID_OUTCOME = VOID_OUTCOME;
+module.exports.FULFILLMENT_FALLBACK = FULFILLMENT_FALLBACK;
+module.exports.JOB_ACTION_ERRORS = JOB_ACTION_ERRORS;
\ No newline at end of file
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { readJsonFile, writeJsonFileAtomic } = require('../utils/helpers');
+
+const CIPHER = 'aes-256-gcm';
+
+// Per-shop OAuth access tokens, encrypted at rest with AES-256-GCM under
+// TOKEN_ENCRYPTION_KEY
+class TokenStore {
+  constructor(filePath) {
+    this.filePath = filePath || config.paths.shopStore;
+    this.shops = new Map();
+    this.load();
+  }
+
+  load() {
+    const data = readJsonFile(this.filePath, { shops: [] });
+    this.shops = new Map(data.shops.map(shop => [shop.shop, shop]));
+    return this.shops.size;
+  }
+
+  persist() {
+    writeJsonFileAtomic(this.filePath, {
+      updatedAt: new Date().toISOString(),
+      shops: Array.from(this.shops.values())
+    });
+  }
+
+  getKey() {
+    const secret = config.shopify.tokenEncryptionKey;
+    if (!secret) {
+      throw new Error('TOKEN_ENCRYPTION_KEY is not set in environment variables');
+    }
+    // Accept any passphrase; derive a fixed-length key from it
+    return crypto.createHash('sha256').update(secret).digest();
+  }
+
+  encrypt(plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, this.getKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(b => b.toString('base64')).join('.');
+  }
+
+  decrypt(payload) {
+    const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv(CIPHER, this.getKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  saveShop(shop, { accessToken, scope }) {
+    const existing = this.shops.get(shop);
+    const now = new Date().toISOString();
+
+    this.shops.set(shop, {
+      shop,
+      scope,
+      accessToken: this.encrypt(accessToken),
+      installedAt: existing ? existing.installedAt : now,
+      updatedAt: now
+    });
+    this.persist();
+  }
+
+  // Returns the shop record with its access token decrypted, or null
+  getShop(shop) {
+    const record = this.shops.get(shop);
+    if (!record) {
+      return null;
+    }
+    return { ...record, accessToken: this.decrypt(record.accessToken) };
+  }
+
+  hasShop(shop) {
+    return this.shops.has(shop);
+  }
+
+  removeShop(shop) {
+    const removed = this.shops.delete(shop);
+    if (removed) {
+      this.persist();
+    }
+    return removed;
+  }
+
+  // Shop records without their tokens
+  listShops() {
+    return Array.from(this.shops.values()).map(({ accessToken, ...record }) => record);
+  }
+}
+
+module.exports = new TokenStore();
+module.exports.TokenStore = TokenStore;
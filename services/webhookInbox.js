@@ -0,0 +1,305 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const metrics = require('./metrics');
+const { readJsonFile, writeJsonFileAtomic } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const WEBHOOK_STATUS = {
+  QUEUED: 'queued',
+  PROCESSING: 'processing',
+  PROCESSED: 'processed',
+  FAILED: 'failed'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How often receive() drops entries past their retention
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+// Shopify's headers are archived with the payload; the rest of the request's
+// headers say nothing about the delivery
+const isShopifyHeader = (name) => name.toLowerCase().startsWith('x-shopify-');
+
+// Every verified webhook is saved here before Shopify gets its 200, then
+// worked off a queue by the handler registered for its topic. Entries left
+// queued or processing by a previous process are picked up again by
+// resume(); failed ones wait for a replay. Processed and failed entries
+// older than WEBHOOK_INBOX_RETENTION_DAYS are dropped.
+//
+// Each entry is its own file in <WEBHOOK_INBOX_PATH without .json>.d/, so
+// saving one never rewrites the others. The queue runs up to
+// WEBHOOK_QUEUE_CONCURRENCY entries at once, but one at a time per order.
+class WebhookInbox {
+  constructor(filePath) {
+    // Inboxes used to be a single file here; load() imports it
+    this.filePath = filePath || config.paths.webhookInbox;
+    this.dir = `${this.filePath.replace(/\.json$/, '')}.d`;
+    this.retention = config.webhooks.inboxRetentionDays * DAY_MS;
+    this.concurrency = config.webhooks.queueConcurrency;
+    this.entries = new Map();
+    // X-Shopify-Webhook-Id -> entry ID
+    this.webhookIds = new Map();
+    this.handlers = new Map();
+    this.queue = [];
+    this.active = 0;
+    // Orders with an entry being processed
+    this.activeOrders = new Set();
+    this.stopped = false;
+    this.prunedAt = 0;
+    this.load();
+  }
+
+  load() {
+    const files = fs.existsSync(this.dir)
+      ? fs.readdirSync(this.dir).filter(file => file.endsWith('.json'))
+      : [];
+    this.entries = new Map();
+    this.webhookIds = new Map();
+    files.forEach(file => {
+      const entry = readJsonFile(path.join(this.dir, file));
+      if (entry) {
+        this.index(entry);
+      }
+    });
+
+    this.importInboxFile();
+    this.prune();
+    return this.entries.size;
+  }
+
+  // Moves the entries of a single-file inbox into the directory
+  importInboxFile() {
+    const data = readJsonFile(this.filePath);
+    if (!data) {
+      return;
+    }
+    data.webhooks.forEach(entry => {
+      this.index(entry);
+      this.persist(entry);
+    });
+    fs.rmSync(this.filePath);
+    logger.info('Imported webhook inbox file', { path: this.filePath, count: data.webhooks.length });
+  }
+
+  index(entry) {
+    this.entries.set(entry.id, entry);
+    if (entry.webhookId) {
+      this.webhookIds.set(entry.webhookId, entry.id);
+    }
+  }
+
+  entryPath(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  persist(entry) {
+    writeJsonFileAtomic(this.entryPath(entry.id), entry);
+  }
+
+  // Drop processed and failed entries past their retention
+  prune() {
+    const cutoff = Date.now() - this.retention;
+    for (const [id, entry] of this.entries) {
+      const done = [WEBHOOK_STATUS.PROCESSED, WEBHOOK_STATUS.FAILED].includes(entry.status);
+      if (done && Date.parse(entry.receivedAt) < cutoff) {
+        fs.rmSync(this.entryPath(id), { force: true });
+        this.entries.delete(id);
+        if (this.webhookIds.get(entry.webhookId) === id) {
+          this.webhookIds.delete(entry.webhookId);
+        }
+      }
+    }
+    this.prunedAt = Date.now();
+  }
+
+  // handler(entry) does the work for one topic; it throws to mark the
+  // delivery failed
+  registerHandler(topic, handler) {
+    this.handlers.set(topic, handler);
+  }
+
+  // Saves a verified webhook and queues it. Throws when it can't be saved,
+  // so Shopify is not told it was received.
+  receive({ topic, shop, headers = {}, payload, orderId }) {
+    const now = new Date().toISOString();
+    const entry = {
+      id: crypto.randomUUID(),
+      webhookId: headers['x-shopify-webhook-id'] || null,
+      topic,
+      shop: shop || null,
+      orderId: orderId !== undefined && orderId !== null ? String(orderId) : null,
+      headers: Object.fromEntries(Object.entries(headers).filter(([name]) => isShopifyHeader(name))),
+      payload,
+      status: WEBHOOK_STATUS.QUEUED,
+      receivedAt: now,
+      updatedAt: now,
+      processedAt: null,
+      attempts: 0,
+      lastError: null,
+      replays: [],
+      correlationId: logger.getCorrelationId() || null
+    };
+
+    this.persist(entry);
+    this.index(entry);
+    if (Date.now() - this.prunedAt >= PRUNE_INTERVAL_MS) {
+      this.prune();
+    }
+    this.enqueue(entry.id);
+    return entry;
+  }
+
+  update(id, changes) {
+    const entry = this.entries.get(id);
+    if (!entry) {
+      return null;
+    }
+    Object.assign(entry, changes, { updatedAt: new Date().toISOString() });
+    this.persist(entry);
+    return entry;
+  }
+
+  get(id) {
+    return this.entries.get(id) || null;
+  }
+
+  findByWebhookId(webhookId) {
+    const id = this.webhookIds.get(webhookId);
+    return id ? this.get(id) : null;
+  }
+
+  // Newest first
+  list({ status, topic, shop, orderId } = {}) {
+    const statuses = status ? [].concat(status) : null;
+    return Array.from(this.entries.values())
+      .filter(entry => !statuses || statuses.includes(entry.status))
+      .filter(entry => !topic || entry.topic === topic)
+      .filter(entry => !shop || entry.shop === shop)
+      .filter(entry => orderId === undefined || entry.orderId === String(orderId))
+      .sort((a, b) => b.receivedAt.localeCompare(a.receivedAt));
+  }
+
+  // Send a failed (or already processed) delivery through its handler again.
+  // Returns null when the entry doesn't exist, or the entry unchanged when it
+  // is still queued or processing.
+  replay(id, actor) {
+    const entry = this.entries.get(id);
+    if (!entry || [WEBHOOK_STATUS.QUEUED, WEBHOOK_STATUS.PROCESSING].includes(entry.status)) {
+      return entry || null;
+    }
+
+    logger.info('Webhook replay queued', { webhookEntryId: id, topic: entry.topic, actor });
+    this.update(id, {
+      status: WEBHOOK_STATUS.QUEUED,
+      replays: [...entry.replays, { at: new Date().toISOString(), actor, previousStatus: entry.status }]
+    });
+    this.enqueue(id);
+    return entry;
+  }
+
+  // Queue what a previous process saved but never finished
+  resume() {
+    this.stopped = false;
+    const unfinished = Array.from(this.entries.values())
+      .filter(entry => [WEBHOOK_STATUS.QUEUED, WEBHOOK_STATUS.PROCESSING].includes(entry.status))
+      .sort((a, b) => a.receivedAt.localeCompare(b.receivedAt));
+
+    if (unfinished.length > 0) {
+      logger.info('Resuming unfinished webhooks', { count: unfinished.length });
+    }
+    unfinished.forEach(entry => this.enqueue(entry.id));
+    return unfinished.length;
+  }
+
+  enqueue(id) {
+    if (!this.queue.includes(id)) {
+      this.queue.push(id);
+    }
+    this.drainQueue();
+  }
+
+  // Stop taking entries off the queue; what is left stays queued in the file
+  // for resume() in the next process
+  stop() {
+    this.stopped = true;
+  }
+
+  // Entries of one order share a key, so they are processed in the order
+  // they arrived; entries without an order have none
+  orderKey(id) {
+    const entry = this.entries.get(id);
+    return entry && entry.orderId ? `${entry.shop}|${entry.orderId}` : null;
+  }
+
+  drainQueue() {
+    while (!this.stopped && this.active < this.concurrency) {
+      // The oldest entry whose order has nothing being processed
+      const index = this.queue.findIndex(id => !this.activeOrders.has(this.orderKey(id)));
+      if (index === -1) {
+        return;
+      }
+      const [id] = this.queue.splice(index, 1);
+      const key = this.orderKey(id);
+      if (key) {
+        this.activeOrders.add(key);
+      }
+      this.active++;
+      // Process on a later tick, after the webhook's response has gone out
+      setImmediate(() => {
+        this.processEntry(id)
+          .catch(error => logger.error('Webhook queue error', { webhookEntryId: id, error }))
+          .finally(() => {
+            this.activeOrders.delete(key);
+            this.active--;
+            this.drainQueue();
+          });
+      });
+    }
+  }
+
+  async processEntry(id) {
+    const entry = this.entries.get(id);
+    if (!entry) {
+      return;
+    }
+
+    const context = {
+      correlationId: entry.correlationId || entry.webhookId || logger.newCorrelationId(),
+      shop: entry.shop,
+      orderId: entry.orderId
+    };
+
+    await logger.runWithContext(context, async () => {
+      this.update(id, { status: WEBHOOK_STATUS.PROCESSING, attempts: entry.attempts + 1 });
+
+      try {
+        const handler = this.handlers.get(entry.topic);
+        if (!handler) {
+          throw new Error(`No handler for webhook topic ${entry.topic}`);
+        }
+        await handler(entry);
+
+        this.update(id, { status: WEBHOOK_STATUS.PROCESSED, processedAt: new Date().toISOString(), lastError: null });
+        metrics.webhooksProcessed.inc({ topic: entry.topic, outcome: WEBHOOK_STATUS.PROCESSED });
+      } catch (error) {
+        logger.error('Webhook processing failed', { webhookEntryId: id, topic: entry.topic, error });
+        this.update(id, { status: WEBHOOK_STATUS.FAILED, lastError: error.message });
+        metrics.webhooksProcessed.inc({ topic: entry.topic, outcome: WEBHOOK_STATUS.FAILED });
+      }
+    });
+  }
+
+  // Counts by status
+  getCounts() {
+    const counts = Object.fromEntries(Object.values(WEBHOOK_STATUS).map(status => [status, 0]));
+    for (const entry of this.entries.values()) {
+      counts[entry.status] = (counts[entry.status] || 0) + 1;
+    }
+    return counts;
+  }
+}
+
+module.exports = new WebhookInbox();
+module.exports.WebhookInbox = WebhookInbox;
+module.exports.WEBHOOK_STATUS = WEBHOOK_STATUS;
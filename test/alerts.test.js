@@ -0,0 +1,235 @@
+const http = require('http');
+const net = require('net');
+
+// Plain SMTP server without STARTTLS that records the commands it gets and
+// the messages it accepts
+const startSmtpServer = async () => {
+  const server = { commands: [], messages: [] };
+  server.net = net.createServer(socket => {
+    let buffer = '';
+    let data = null;
+    socket.setEncoding('utf8');
+    socket.on('error', () => {});
+    socket.write('220 mail.test ESMTP\r\n');
+
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+
+        if (data) {
+          if (line === '.') {
+            server.messages.push(data.join('\r\n'));
+            data = null;
+            socket.write('250 Queued\r\n');
+          } else {
+            data.push(line);
+          }
+          continue;
+        }
+
+        server.commands.push(line);
+        const verb = line.split(' ')[0].toUpperCase();
+        if (verb === 'EHLO') {
+          socket.write('250-mail.test\r\n250-AUTH PLAIN\r\n250 8BITMIME\r\n');
+        } else if (verb === 'STARTTLS') {
+          socket.write('454 TLS not available\r\n');
+        } else if (verb === 'DATA') {
+          data = [];
+          socket.write('354 Go ahead\r\n');
+        } else if (verb === 'AUTH') {
+          socket.write(line.endsWith(Buffer.from('\0alerts\0hunter2').toString('base64'))
+            ? '235 Authenticated\r\n'
+            : '535 Authentication failed\r\n');
+        } else if (line.includes('@unknown.test')) {
+          socket.write('550 No such user\r\n');
+        } else if (verb === 'QUIT') {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+
+  await new Promise(resolve => server.net.listen(0, '127.0.0.1', resolve));
+  server.port = server.net.address().port;
+  return server;
+};
+
+describe('alerts', () => {
+  let receiver;
+  let received;
+  let Alerter;
+
+  beforeAll(async () => {
+    received = [];
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ path: req.url, body: JSON.parse(body) });
+        res.statusCode = req.url === '/broken' ? 500 : 200;
+        res.end();
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${receiver.address().port}`;
+
+    Object.assign(process.env, {
+      ALERT_SLACK_WEBHOOK_URLS: `${url}/slack`,
+      ALERT_WEBHOOK_URLS: `${url}/hook`,
+      ALERT_MAX_PER_HOUR: '3'
+    });
+    require('../config').load();
+    ({ Alerter } = require('../services/alerts'));
+  });
+
+  afterAll(() => {
+    receiver.close();
+  });
+
+  beforeEach(() => {
+    received.length = 0;
+  });
+
+  test('repeats are held back and counted into the next alert', async () => {
+    const alerter = new Alerter();
+    const fields = { shop: 'test-shop.myshopify.com', orderId: 1001, message: 'Capture for order 1001 failed' };
+
+    expect(await alerter.notify('capture_failed', fields)).toBe('sent');
+    expect(await alerter.notify('capture_failed', fields)).toBe('suppressed');
+    expect(await alerter.notify('capture_failed', fields)).toBe('suppressed');
+    // Another order is another alert
+    expect(await alerter.notify('capture_failed', { ...fields, orderId: 1002 })).toBe('sent');
+
+    // ALERT_DEDUP_MINUTES (30) later
+    const later = Date.now() + 31 * 60 * 1000;
+    jest.spyOn(Date, 'now').mockReturnValue(later);
+    try {
+      expect(await alerter.notify('capture_failed', fields)).toBe('sent');
+    } finally {
+      Date.now.mockRestore();
+    }
+
+    const slack = received.filter(request => request.path === '/slack');
+    expect(slack).toHaveLength(3);
+    expect(slack[0].body.text).toMatch(/^:red_circle: \*Capture failed\*: Capture for order 1001 failed\nShop: test-shop/);
+    expect(slack[2].body.text).toContain('2 similar alert(s) suppressed since the last one');
+
+    const hooks = received.filter(request => request.path === '/hook');
+    expect(hooks.map(request => request.body.alert.orderId)).toEqual([1001, 1002, 1001]);
+    expect(hooks[2].body.alert).toMatchObject({ type: 'capture_failed', severity: 'error', suppressed: 2 });
+  });
+
+  test('at most ALERT_MAX_PER_HOUR alerts go out', async () => {
+    const alerter = new Alerter();
+
+    const outcomes = [];
+    for (const orderId of [1, 2, 3, 4]) {
+      outcomes.push(await alerter.notify('job_dead_lettered', { orderId }));
+    }
+
+    expect(outcomes).toEqual(['sent', 'sent', 'sent', 'rate_limited']);
+    expect(alerter.getStatus()).toMatchObject({ sentLastHour: 3, maxPerHour: 3 });
+  });
+
+  test('an alert fails only when every channel fails, and the status hides webhook URLs', async () => {
+    const alerter = new Alerter();
+    alerter.webhookUrls = [alerter.webhookUrls[0].replace('/hook', '/broken')];
+
+    expect(await alerter.notify('test', { message: 'One channel down' })).toBe('sent');
+    alerter.slackUrls = [];
+    expect(await alerter.notify('test', { message: 'All channels down', key: 'second' })).toBe('failed');
+
+    const status = alerter.getStatus();
+    expect(status.recent[0]).toMatchObject({ outcome: 'failed', results: [expect.objectContaining({ channel: 'webhook', ok: false })] });
+    expect(JSON.stringify(status.channels)).not.toContain('/broken');
+  });
+});
+
+describe('email alerts', () => {
+  let server;
+  let Alerter;
+
+  beforeAll(async () => {
+    server = await startSmtpServer();
+    ({ Alerter } = require('../services/alerts'));
+  });
+
+  beforeEach(() => {
+    server.commands.length = 0;
+    server.messages.length = 0;
+  });
+
+  afterAll(() => {
+    server.net.close();
+  });
+
+  // An alerter whose only channel is email through the test server
+  const newAlerter = (env = {}) => {
+    Object.assign(process.env, {
+      ALERT_SLACK_WEBHOOK_URLS: '',
+      ALERT_WEBHOOK_URLS: '',
+      ALERT_EMAIL_TO: 'ops@example.com,oncall@example.com',
+      ALERT_EMAIL_FROM: 'alerts@example.com',
+      SMTP_HOST: '127.0.0.1',
+      SMTP_PORT: String(server.port),
+      SMTP_USER: '',
+      SMTP_PASSWORD: '',
+      SMTP_ALLOW_INSECURE_AUTH: '',
+      ...env
+    });
+    require('../config').load();
+    return new Alerter();
+  };
+
+  const lastError = (alerter) => alerter.getStatus().recent[0].results[0].error;
+
+  test('alerts are mailed to every ALERT_EMAIL_TO address', async () => {
+    const alerter = newAlerter();
+
+    expect(await alerter.notify('capture_failed', { orderId: 1001, message: 'Capture for order 1001 failed' })).toBe('sent');
+
+    expect(server.commands.map(command => command.split(' ')[0])).toEqual(['EHLO', 'MAIL', 'RCPT', 'RCPT', 'DATA']);
+    expect(server.commands).toContain('RCPT TO:<oncall@example.com>');
+    const [sent] = server.messages;
+    expect(sent).toMatch(/^From: alerts@example\.com$/m);
+    expect(sent).toMatch(/^Subject: \[payment-capturer\] Capture failed$/m);
+    expect(sent).toContain('Capture for order 1001 failed\r\nOrder: 1001');
+  });
+
+  test('credentials are not sent over a connection without TLS', async () => {
+    const alerter = newAlerter({ SMTP_USER: 'alerts', SMTP_PASSWORD: 'hunter2' });
+
+    expect(await alerter.notify('test')).toBe('failed');
+
+    expect(lastError(alerter)).toMatch(/STARTTLS/);
+    expect(server.commands.some(command => command.startsWith('AUTH'))).toBe(false);
+    expect(server.messages).toHaveLength(0);
+  });
+
+  test('credentials are sent without TLS when SMTP_ALLOW_INSECURE_AUTH is set', async () => {
+    const alerter = newAlerter({ SMTP_USER: 'alerts', SMTP_PASSWORD: 'hunter2', SMTP_ALLOW_INSECURE_AUTH: 'true' });
+
+    expect(await alerter.notify('test')).toBe('sent');
+
+    expect(server.commands).toContain(`AUTH PLAIN ${Buffer.from('\0alerts\0hunter2').toString('base64')}`);
+    expect(server.messages).toHaveLength(1);
+  });
+
+  test('rejected logins and recipients fail the alert, without echoing credentials', async () => {
+    const wrongPassword = newAlerter({ SMTP_USER: 'alerts', SMTP_PASSWORD: 'wrong-password', SMTP_ALLOW_INSECURE_AUTH: 'true' });
+    expect(await wrongPassword.notify('test')).toBe('failed');
+    expect(lastError(wrongPassword)).toMatch(/535 Authentication failed/);
+    expect(lastError(wrongPassword)).not.toContain('wrong-password');
+
+    const unknownRecipient = newAlerter({ ALERT_EMAIL_TO: 'nobody@unknown.test' });
+    expect(await unknownRecipient.notify('test')).toBe('failed');
+    expect(lastError(unknownRecipient)).toMatch(/550 No such user/);
+
+    expect(server.messages).toHaveLength(0);
+  });
+});
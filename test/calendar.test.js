@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+const MockAdminApi = require('./mockAdminApi');
+const { Calendar, getZonedParts, zonedTimeToUtc } = require('../services/calendar');
+
+const HOUR = 60 * 60 * 1000;
+const TIMEZONE = 'America/New_York';
+
+// The instant of a wall-clock time in New York, e.g. at('2026-11-27', '09:00')
+const at = (date, clock) => {
+  const [hours, minutes] = clock.split(':').map(Number);
+  return zonedTimeToUtc(date, hours * 60 + minutes, TIMEZONE);
+};
+
+// 'YYYY-MM-DDTHH:MM' of an instant in New York
+const localTime = (time) => {
+  const p = getZonedParts(time, TIMEZONE);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}`;
+};
+
+describe('capture calendar', () => {
+  const dir = () => path.dirname(process.env.JOB_STORE_PATH);
+  const writeFile = (name, contents) => {
+    const file = path.join(dir(), name);
+    fs.writeFileSync(file, contents);
+    return file;
+  };
+
+  const holidays = () => writeFile('holidays.json', JSON.stringify({
+    holidays: ['2026-11-26', { date: '2026-12-25', name: 'Christmas Day' }],
+    blackouts: [{ start: '2026-11-27', end: '2026-11-27', name: 'Black Friday' }]
+  }));
+
+  test('captures wait for the next window, skipping weekends, holidays and blackouts', () => {
+    const calendar = new Calendar({ windows: ['mon-fri 09:00-17:00'], blackouts: [], holidayFiles: [holidays()] }).load();
+
+    // Saturday afternoon -> Monday 09:00
+    expect(localTime(calendar.nextAllowedTime(at('2026-11-21', '15:00'), TIMEZONE))).toBe('2026-11-23T09:00');
+    // Inside a window the time stays as it is
+    expect(calendar.nextAllowedTime(at('2026-11-23', '11:30'), TIMEZONE)).toBe(at('2026-11-23', '11:30'));
+    // Wednesday after hours -> Thanksgiving, Black Friday, weekend -> Monday
+    expect(localTime(calendar.nextAllowedTime(at('2026-11-25', '18:00'), TIMEZONE))).toBe('2026-11-30T09:00');
+    // Nothing allowed before the limit
+    expect(calendar.nextAllowedTime(at('2026-11-25', '18:00'), TIMEZONE, at('2026-11-29', '12:00'))).toBeNull();
+    // The last allowed time before Sunday is Friday 16:59... unless it is Black Friday
+    expect(localTime(calendar.latestAllowedTime(at('2026-11-22', '12:00'), TIMEZONE))).toBe('2026-11-20T16:59');
+    expect(localTime(calendar.latestAllowedTime(at('2026-11-29', '12:00'), TIMEZONE))).toBe('2026-11-25T16:59');
+  });
+
+  test('business days skip weekends and holidays and land at the given time of day', () => {
+    const calendar = new Calendar({ windows: [], blackouts: [], holidayFiles: [holidays()] }).load();
+
+    // Friday evening + 2 business days -> Tuesday
+    expect(localTime(calendar.addBusinessDays(at('2026-11-20', '20:00'), 2, '10:00', TIMEZONE))).toBe('2026-11-24T10:00');
+    // Wednesday + 1 -> Friday (Thursday is Thanksgiving)
+    expect(localTime(calendar.addBusinessDays(at('2026-11-25', '08:00'), 1, '10:00', TIMEZONE))).toBe('2026-11-27T10:00');
+    // 0 days: later today, or the next business day once the time has passed
+    expect(localTime(calendar.addBusinessDays(at('2026-11-23', '08:00'), 0, '10:00', TIMEZONE))).toBe('2026-11-23T10:00');
+    expect(localTime(calendar.addBusinessDays(at('2026-11-23', '15:00'), 0, '10:00', TIMEZONE))).toBe('2026-11-24T10:00');
+    // Across the end of daylight saving time, still 10:00 local
+    expect(localTime(calendar.addBusinessDays(at('2026-10-30', '12:00'), 1, '10:00', TIMEZONE))).toBe('2026-11-02T10:00');
+    // Without a time of day, the time of day it was counted from (Thursday is a holiday)
+    expect(localTime(calendar.addBusinessDays(at('2026-11-23', '14:45'), 3, undefined, TIMEZONE))).toBe('2026-11-27T14:45');
+  });
+
+  test('iCal files give yearly holidays and timed blackouts', () => {
+    const year = new Date().getUTCFullYear();
+    const file = writeFile('holidays.ics', [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'DTSTART;VALUE=DATE:20200704',
+      'DTEND;VALUE=DATE:20200705',
+      'RRULE:FREQ=YEARLY',
+      'SUMMARY:Independence Day',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      `DTSTART:${year + 1}0115T140000Z`,
+      `DTEND:${year + 1}0115T160000Z`,
+      'SUMMARY:Bank maintenance',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n'));
+
+    const calendar = new Calendar({ windows: [], blackouts: [], holidayFiles: [file] }).load();
+
+    expect(calendar.holidays.get(`${year + 1}-07-04`)).toBe('Independence Day');
+    expect(calendar.isBusinessDay(`${year + 1}-07-04`)).toBe(false);
+    const maintenance = Date.parse(`${year + 1}-01-15T15:00:00Z`);
+    expect(calendar.nextAllowedTime(maintenance, TIMEZONE)).toBe(Date.parse(`${year + 1}-01-15T16:00:00Z`));
+
+    const weekly = writeFile('weekly.ics', 'BEGIN:VEVENT\nDTSTART;VALUE=DATE:20260105\nRRULE:FREQ=WEEKLY\nEND:VEVENT\n');
+    expect(() => new Calendar({ holidayFiles: [weekly] }).load()).toThrow(/unsupported recurrence/);
+  });
+
+  test('invalid windows and blackouts are refused', () => {
+    expect(() => new Calendar({ windows: ['mon-fri 17:00-09:00'] }).load()).toThrow(/ends before it starts/);
+    expect(() => new Calendar({ blackouts: ['2026-12-24/2026-12-20'] }).load()).toThrow(/ends before it starts/);
+    expect(() => new Calendar({ holidayFiles: [path.join(dir(), 'missing.json')] }).load()).toThrow(/could not be read/);
+    expect(() => new Calendar({ businessDays: [] }).load()).toThrow(/at least one business day/);
+  });
+
+  test('holidays that leave no business day fail instead of searching forever', () => {
+    const holidays = [];
+    for (let day = 0; day < 500; day++) {
+      holidays.push(new Date(Date.parse('2026-11-01T00:00:00Z') + day * 24 * HOUR).toISOString().slice(0, 10));
+    }
+    const calendar = new Calendar({ windows: [], blackouts: [], holidayFiles: [writeFile('every-day.json', JSON.stringify(holidays))] }).load();
+
+    expect(() => calendar.addBusinessDays(at('2026-11-02', '09:00'), 1, '10:00', TIMEZONE)).toThrow(/No business day within 400 days/);
+  });
+});
+
+describe('calendar-aware scheduling', () => {
+  const mock = new MockAdminApi();
+  let shopifyService;
+  let calendar;
+  // Captures are blacked out from an hour ago until a day from now
+  let blackoutEnd;
+
+  beforeAll(async () => {
+    const now = Date.now();
+    const blackoutStart = localTime(now - HOUR);
+    const end = localTime(now + 24 * HOUR);
+    blackoutEnd = zonedTimeToUtc(end.slice(0, 10), Number(end.slice(11, 13)) * 60 + Number(end.slice(14)), TIMEZONE);
+
+    Object.assign(process.env, {
+      SHOPIFY_API_BASE_URL: await mock.start(),
+      CAPTURE_BLACKOUTS: `${blackoutStart}/${end}`,
+      PAY_LATER_BUSINESS_DAYS: '2',
+      PAY_LATER_AT: '10:00'
+    });
+    mock.timezone = TIMEZONE;
+
+    require('../config').load();
+    calendar = require('../services/calendar').load();
+    require('../services/rulesEngine').loadAll();
+    shopifyService = require('../services/shopify');
+    shopifyService.initializeClient();
+  });
+
+  afterEach(() => {
+    shopifyService.stopScheduler();
+  });
+
+  afterAll(async () => {
+    await mock.stop();
+  });
+
+  const scheduleCapture = (order, delay) => {
+    const authorization = mock.getAuthorization(order.id);
+    return shopifyService.schedulePaymentCapture(order.id, authorization.id, delay, {
+      authExpiresAt: Date.parse(authorization.authorization_expires_at)
+    });
+  };
+
+  test('the time zone comes from the shop', async () => {
+    expect(await shopifyService.loadTimezone()).toBe(TIMEZONE);
+    expect(shopifyService.getTimezone()).toBe(TIMEZONE);
+  });
+
+  test('scheduled captures move out of a blackout', () => {
+    const order = mock.addOrder({ authorizationExpiresAt: new Date(Date.now() + 5 * 24 * HOUR).toISOString() });
+
+    const job = scheduleCapture(order, 60 * 1000);
+
+    expect(job.scheduledTime).toBe(blackoutEnd);
+    expect(job.requestedTime).toBeLessThan(blackoutEnd);
+  });
+
+  test('the expiry safety margin still wins when no allowed time is left before it', () => {
+    // The margin (12h) is reached 6 hours from now, inside the blackout
+    const order = mock.addOrder({ authorizationExpiresAt: new Date(Date.now() + 18 * HOUR).toISOString() });
+
+    const job = scheduleCapture(order, 10 * HOUR);
+
+    expect(job.scheduledTime).toBeLessThanOrEqual(Date.now() + 6 * HOUR);
+    expect(job.scheduledTime).toBeGreaterThan(Date.now() + 5 * HOUR);
+  });
+
+  test('pay_later captures are scheduled business days later at 10:00 in the shop time zone', async () => {
+    const startedAt = Date.now();
+    const order = mock.addOrder({
+      attributes: { payment_flag: 'pay_later' },
+      authorizationExpiresAt: new Date(startedAt + 7 * 24 * HOUR).toISOString()
+    });
+
+    await shopifyService.processOrder({ id: order.id });
+
+    const [job] = shopifyService.jobStore.list({ orderId: order.id });
+    expect(localTime(job.scheduledTime).slice(11)).toBe('10:00');
+    expect(job.scheduledTime).toBe(calendar.addBusinessDays(startedAt, 2, '10:00', TIMEZONE));
+    expect([0, 6]).not.toContain(new Date(Date.parse(`${localTime(job.scheduledTime).slice(0, 10)}T00:00:00Z`)).getUTCDay());
+  });
+});
@@ -0,0 +1,90 @@
+const MockAdminApi = require('./mockAdminApi');
+
+describe.each(['graphql', 'rest'])('double-capture prevention (%s)', (apiMode) => {
+  const mock = new MockAdminApi();
+  let service;
+  let ledger;
+
+  beforeAll(async () => {
+    process.env.SHOPIFY_API_BASE_URL = await mock.start();
+    process.env.SHOPIFY_API_MODE = apiMode;
+    // Both modes run in one module registry
+    require('../config').load();
+
+    const { ShopifyService } = require('../services/shopify');
+    ledger = require('../services/ledger');
+    service = new ShopifyService({ shop: process.env.SHOPIFY_SHOP_NAME, isDefaultShop: true });
+    service.initializeClient();
+  });
+
+  afterAll(async () => {
+    await mock.stop();
+  });
+
+  test('concurrent captures of one order capture it once', async () => {
+    const order = mock.addOrder({ total: 90 });
+    const { id: transactionId } = mock.getAuthorization(order.id);
+
+    const results = await Promise.all([
+      service.capturePayment(order.id, transactionId),
+      service.capturePayment(order.id, transactionId),
+      service.capturePayment(order.id, transactionId, { idempotencyKey: 'manual' })
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['already_captured', 'already_captured', 'captured']);
+    expect(mock.getCaptures(order.id)).toEqual([expect.objectContaining({ amount: '90.00' })]);
+  });
+
+  test('split captures stop at the authorized amount', async () => {
+    const order = mock.addOrder({ total: 100 });
+    const { id: transactionId } = mock.getAuthorization(order.id);
+
+    const deposit = await service.capturePayment(order.id, transactionId, { percentage: 30 });
+    const rest = await service.capturePayment(order.id, transactionId, { amount: 500 });
+    const again = await service.capturePayment(order.id, transactionId, { percentage: 30 });
+
+    expect([deposit.amount, rest.amount, again.status]).toEqual([30, 70, 'already_captured']);
+    expect(mock.getCaptures(order.id).map(capture => capture.amount)).toEqual(['30.00', '70.00']);
+    expect(mock.getOrder(order.id).financial_status).toBe('paid');
+  });
+
+  test('a retried attempt finds the capture its lost response made', async () => {
+    const order = mock.addOrder({ total: 100 });
+    const { id: transactionId } = mock.getAuthorization(order.id);
+    const notBefore = new Date().toISOString();
+    mock.fail(apiMode === 'graphql'
+      ? { operation: 'orderCapture', status: 504, processed: true }
+      : { method: 'POST', path: `/orders/${order.id}/transactions.json`, status: 504, processed: true });
+
+    await expect(service.capturePayment(order.id, transactionId, { percentage: 40, notBefore }))
+      .rejects.toMatchObject({ response: { status: 504 } });
+    const retry = await service.capturePayment(order.id, transactionId, { percentage: 40, notBefore });
+
+    expect(retry.status).toBe('already_captured');
+    expect(mock.getCaptures(order.id)).toHaveLength(1);
+    expect(ledger.query({ orderId: order.id, action: 'capture', from: notBefore }).map(entry => entry.status))
+      .toEqual(['attempted', 'failed', 'already_captured']);
+  });
+
+  test('voided authorizations are not captured', async () => {
+    const order = mock.addOrder();
+    const { id: transactionId } = mock.getAuthorization(order.id);
+
+    expect((await service.voidAuthorization(order.id, transactionId)).status).toBe('voided');
+    const result = await service.capturePayment(order.id, transactionId);
+
+    expect(result).toMatchObject({ status: 'skipped', reason: 'authorization_voided' });
+    expect(mock.getCaptures(order.id)).toHaveLength(0);
+  });
+
+  test('captured authorizations are not voided', async () => {
+    const order = mock.addOrder();
+    const { id: transactionId } = mock.getAuthorization(order.id);
+
+    await service.capturePayment(order.id, transactionId, { amount: 10 });
+    const result = await service.voidAuthorization(order.id, transactionId);
+
+    expect(result).toMatchObject({ status: 'skipped', reason: 'already_captured' });
+    expect(mock.getOrder(order.id).financial_status).toBe('partially_paid');
+  });
+});
@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+const MockAdminApi = require('./mockAdminApi');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('capturer CLI', () => {
+  const mock = new MockAdminApi();
+  let cli;
+  let shopifyService;
+  let jobStore;
+  let ledger;
+
+  beforeAll(async () => {
+    process.env.SHOPIFY_API_BASE_URL = await mock.start();
+    cli = require('../controllers/cli');
+    shopifyService = require('../services/shopify');
+    jobStore = require('../services/jobStore');
+    ledger = require('../services/ledger');
+  });
+
+  afterAll(async () => {
+    await mock.stop();
+  });
+
+  // Runs a command line and resolves with its exit code and output
+  const capturer = async (...argv) => {
+    let stdout = '';
+    let stderr = '';
+    const code = await cli.run(argv, {
+      out: { write: text => { stdout += text; } },
+      err: { write: text => { stderr += text; } }
+    });
+    return { code, stdout, stderr, json: () => JSON.parse(stdout) };
+  };
+
+  test('parses durations', () => {
+    expect(cli.parseDuration('2d')).toBe(48 * HOUR);
+    expect(cli.parseDuration('1h30m')).toBe(1.5 * HOUR);
+    expect(cli.parseDuration('45s')).toBe(45000);
+    expect(cli.parseDuration('2 days')).toBeNull();
+    expect(cli.parseDuration('')).toBeNull();
+  });
+
+  test('parses arguments and flags', () => {
+    expect(cli.parseArgs(['jobs', 'list', '--status=pending,dead_letter', '--limit', '5', '--json']))
+      .toEqual({ args: ['jobs', 'list'], flags: { status: 'pending,dead_letter', limit: '5', json: true } });
+    expect(() => cli.parseArgs(['capture', '1', '--amount'])).toThrow('--amount needs a value');
+  });
+
+  test('inspect shows the matching rule and the transactions', async () => {
+    const order = mock.addOrder({ total: 80, attributes: { payment_flag: 'buy_now' } });
+
+    const table = await capturer('inspect', String(order.id));
+    const result = await capturer('inspect', String(order.id), '--json');
+
+    expect(table.code).toBe(0);
+    expect(table.stdout).toMatch(/Rule: buy_now attribute -> capture_now/);
+    expect(result.json()).toMatchObject({
+      orderId: order.id,
+      decision: { rule: 'buy_now attribute' },
+      transactions: [expect.objectContaining({ kind: 'authorization', status: 'success' })],
+      jobs: []
+    });
+  });
+
+  test('capture takes the given amount and records the operator', async () => {
+    const order = mock.addOrder({ total: 100 });
+
+    const result = await capturer('capture', String(order.id), '--amount', '25', '--as', 'alice', '--json');
+
+    expect(result.code).toBe(0);
+    expect(result.json()).toMatchObject({ outcome: 'captured', amount: 25 });
+    expect(mock.getCaptures(order.id).map(capture => capture.amount)).toEqual(['25.00']);
+    expect(ledger.query({ orderId: order.id, action: 'capture', status: 'succeeded' }))
+      .toEqual([expect.objectContaining({ actor: 'manual:cli:alice' })]);
+  });
+
+  test('invalid capture options are refused before calling Shopify', async () => {
+    const order = mock.addOrder();
+
+    const result = await capturer('capture', String(order.id), '--percentage', '150');
+
+    expect(result.code).toBe(2);
+    expect(result.stderr).toMatch(/percentage/);
+    expect(mock.getCaptures(order.id)).toHaveLength(0);
+  });
+
+  test('schedule stores a job for the server without arming it here', async () => {
+    const order = mock.addOrder();
+
+    const result = await capturer('schedule', String(order.id), '--in', '2d', '--percentage', '50', '--json');
+
+    expect(result.code).toBe(0);
+    const { jobId } = result.json().job;
+    const job = jobStore.get(jobId);
+    expect(job).toMatchObject({ status: 'pending', percentage: 50 });
+    expect(job.scheduledTime - Date.now()).toBeGreaterThan(47 * HOUR);
+    expect(shopifyService.jobTimers.has(jobId)).toBe(false);
+  });
+
+  test('jobs cancel and retry', async () => {
+    const order = mock.addOrder({ total: 60 });
+    const { id: transactionId } = mock.getAuthorization(order.id);
+    const pending = jobStore.create({ shop: shopifyService.shop, orderId: order.id, transactionId, scheduledTime: Date.now() + HOUR });
+    const dead = jobStore.create({
+      shop: shopifyService.shop,
+      orderId: order.id,
+      transactionId,
+      scheduledTime: Date.now() - HOUR,
+      status: 'dead_letter',
+      attempts: 5,
+      lastError: 'HTTP 503'
+    });
+
+    const listed = await capturer('jobs', 'list', '--status', 'pending,dead_letter', '--json');
+    expect(listed.json().jobs.map(job => job.jobId)).toEqual(expect.arrayContaining([pending.id, dead.id]));
+
+    expect((await capturer('jobs', 'cancel', pending.id)).code).toBe(0);
+    expect(jobStore.get(pending.id).status).toBe('cancelled');
+    expect((await capturer('jobs', 'retry', pending.id)).code).toBe(1);
+
+    const retried = await capturer('jobs', 'retry', dead.id, '--now', '--json');
+    expect(retried.code).toBe(0);
+    expect(jobStore.get(dead.id)).toMatchObject({ status: 'succeeded', capturedAmount: 60 });
+    expect(mock.getCaptures(order.id)).toHaveLength(1);
+  });
+
+  test('replay-webhook processes a saved payload', async () => {
+    const order = mock.addOrder({ tags: 'buy_now', total: 45 });
+    const file = path.join(path.dirname(process.env.JOB_STORE_PATH), `webhook-${order.id}.json`);
+    fs.writeFileSync(file, JSON.stringify({ id: order.id }));
+
+    const result = await capturer('replay-webhook', file, '--json');
+
+    expect(result.code).toBe(0);
+    expect(result.json().ledger.map(entry => `${entry.action}:${entry.status}`))
+      .toEqual(expect.arrayContaining(['decision:flag_detected', 'capture:succeeded']));
+    expect(mock.getCaptures(order.id)).toEqual([expect.objectContaining({ amount: '45.00' })]);
+  });
+
+  test('check-config reports missing settings', async () => {
+    const ok = await capturer('check-config', '--json');
+    expect(ok.code).toBe(0);
+    expect(ok.json().checks).toEqual(expect.arrayContaining([
+      expect.objectContaining({ check: 'Shopify API (test-shop.myshopify.com)', status: 'ok' })
+    ]));
+
+    const clientId = process.env.SHOPIFY_CLIENT_ID;
+    delete process.env.SHOPIFY_CLIENT_ID;
+    const failed = await capturer('check-config', '--offline');
+    process.env.SHOPIFY_CLIENT_ID = clientId;
+
+    expect(failed.code).toBe(1);
+    expect(failed.stdout).toMatch(/SHOPIFY_CLIENT_ID\s+fail\s+not set/);
+  });
+});
@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+const { Config, resolveConfig, REDACTED } = require('../config');
+
+describe('configuration', () => {
+  const required = { SHOPIFY_CLIENT_ID: 'client-id', SHOPIFY_CLIENT_SECRET: 'client-secret' };
+  const errorFor = (result, env) => result.errors.find(error => error.env === env);
+
+  test('parses environment values into typed settings', () => {
+    const result = resolveConfig({
+      ...required,
+      NODE_ENV: 'test',
+      PAY_LATER_DELAY_MINUTES: '45',
+      AUTO_VOID_ENABLED: 'true',
+      SHADOW_SHOPS: 'one.myshopify.com, two.myshopify.com',
+      SHOPIFY_SHOP_NAME: 'My-Store',
+      SHOPIFY_API_BASE_URL: 'http://localhost:4010/'
+    });
+
+    expect(result.errors).toEqual([]);
+    expect(result.values.capture).toMatchObject({
+      payLaterDelayMinutes: 45,
+      autoVoidEnabled: true,
+      shadowShops: ['one.myshopify.com', 'two.myshopify.com'],
+      authValidityDays: 7
+    });
+    expect(result.values.shopify).toMatchObject({
+      shopName: 'my-store.myshopify.com',
+      apiBaseUrl: 'http://localhost:4010',
+      apiVersion: '2025-01',
+      apiMode: 'graphql'
+    });
+    expect(result.sources).toMatchObject({ 'capture.payLaterDelayMinutes': 'env', 'capture.authValidityDays': 'default' });
+  });
+
+  test('reports wrong types, values out of range and missing required keys', () => {
+    const result = resolveConfig({
+      SHOPIFY_CLIENT_ID: 'client-id',
+      NODE_ENV: 'test',
+      PORT: 'eighty',
+      PAY_LATER_DELAY_MINUTES: '-5',
+      SHOPIFY_API_MODE: 'soap',
+      SHOPIFY_API_VERSION: '2025-02',
+      CAPTURE_WINDOWS: 'weekdays 9-5',
+      ADMIN_API_KEYS: 'ops:admin:very-secret-key'
+    });
+
+    expect(errorFor(result, 'SHOPIFY_CLIENT_SECRET')).toMatchObject({ message: 'not set' });
+    expect(errorFor(result, 'PORT').message).toMatch(/whole number/);
+    expect(errorFor(result, 'PAY_LATER_DELAY_MINUTES').message).toMatch(/at least 0/);
+    expect(errorFor(result, 'SHOPIFY_API_MODE').message).toMatch(/graphql, rest/);
+    expect(errorFor(result, 'SHOPIFY_API_VERSION')).toBeDefined();
+    expect(errorFor(result, 'CAPTURE_WINDOWS')).toBeDefined();
+    // Secrets are never echoed back
+    expect(errorFor(result, 'ADMIN_API_KEYS').message).not.toMatch(/very-secret-key/);
+    // Settings that failed keep their default
+    expect(result.values.server.port).toBe(3000);
+  });
+
+  test('OAuth installs need TOKEN_ENCRYPTION_KEY', () => {
+    const oauth = { ...required, NODE_ENV: 'test', SHOPIFY_APP_URL: 'https://capture.example.com' };
+
+    expect(errorFor(resolveConfig(oauth), 'TOKEN_ENCRYPTION_KEY').message).toMatch(/needed to install shops through OAuth/);
+    expect(resolveConfig({ ...oauth, TOKEN_ENCRYPTION_KEY: 'passphrase' }).errors).toEqual([]);
+    // Without an app URL there are no OAuth installs
+    expect(resolveConfig({ ...required, NODE_ENV: 'test' }).errors).toEqual([]);
+  });
+
+  test('the config file overrides the profile and the environment overrides both', () => {
+    const file = path.join(path.dirname(process.env.JOB_STORE_PATH), 'capturer.json');
+    fs.writeFileSync(file, JSON.stringify({
+      logging: { level: 'warn' },
+      capture: { payLaterDelayMinutes: 90, autoVoidEnabled: true }
+    }));
+
+    const result = resolveConfig({ ...required, CONFIG_PROFILE: 'production', CONFIG_FILE: file, CAPTURE_MAX_ATTEMPTS: '2' });
+
+    expect(result.errors).toEqual([]);
+    expect(result.profile).toBe('production');
+    expect(result.files).toHaveLength(2);
+    expect(result.values.logging.level).toBe('warn');
+    expect(result.values.capture).toMatchObject({ payLaterDelayMinutes: 90, autoVoidEnabled: true, maxAttempts: 2 });
+    expect(result.sources['logging.level']).toMatch(/capturer\.json$/);
+
+    const fromEnv = resolveConfig({ ...required, CONFIG_PROFILE: 'production', CONFIG_FILE: file, LOG_LEVEL: 'error' });
+    expect(fromEnv.values.logging.level).toBe('error');
+  });
+
+  test('profiles follow NODE_ENV unless CONFIG_PROFILE names one', () => {
+    expect(resolveConfig({ ...required }).values.logging.level).toBe('debug');
+    expect(resolveConfig({ ...required, NODE_ENV: 'production' }).values.logging.level).toBe('info');
+    expect(resolveConfig({ ...required, NODE_ENV: 'staging' }).errors).toEqual([]);
+    expect(errorFor(resolveConfig({ ...required, CONFIG_PROFILE: 'staging' }), 'CONFIG_PROFILE')).toBeDefined();
+  });
+
+  test('unknown settings in a config file are errors', () => {
+    const file = path.join(path.dirname(process.env.JOB_STORE_PATH), 'typo.json');
+    fs.writeFileSync(file, JSON.stringify({ capture: { payLaterDelay: 60 } }));
+
+    const result = resolveConfig({ ...required, NODE_ENV: 'test', CONFIG_FILE: file });
+
+    expect(result.errors).toEqual([expect.objectContaining({ setting: 'capture.payLaterDelay', message: 'is not a known setting' })]);
+  });
+
+  test('the capture calendar needs a business day', () => {
+    const file = path.join(path.dirname(process.env.JOB_STORE_PATH), 'no-business-days.json');
+    fs.writeFileSync(file, JSON.stringify({ calendar: { businessDays: [] } }));
+
+    const result = resolveConfig({ ...required, NODE_ENV: 'test', CONFIG_FILE: file });
+
+    expect(errorFor(result, 'CAPTURE_BUSINESS_DAYS').message).toBe('needs at least 1 item');
+    expect(result.values.calendar.businessDays).toHaveLength(5);
+  });
+
+  test('the redacted view hides secrets', () => {
+    const config = new Config().load({
+      ...required,
+      NODE_ENV: 'test',
+      SHOPIFY_WEBHOOK_SECRET: 'webhook-secret',
+      ADMIN_API_KEYS: 'ops:operator:key'
+    });
+
+    const view = config.redacted();
+
+    expect(view.settings.shopify.clientId).toEqual({ value: 'client-id', env: 'SHOPIFY_CLIENT_ID', source: 'env' });
+    expect(view.settings.shopify.clientSecret.value).toBe(REDACTED);
+    expect(view.settings.auth.adminApiKeys.value).toBe(REDACTED);
+    expect(view.settings.shopify.tokenEncryptionKey.value).toBeNull();
+    expect(JSON.stringify(view)).not.toMatch(/client-secret|webhook-secret|ops:operator/);
+  });
+});
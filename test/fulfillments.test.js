@@ -0,0 +1,152 @@
+const MockAdminApi = require('./mockAdminApi');
+
+const HOUR = 60 * 60 * 1000;
+
+describe.each(['graphql', 'rest'])('capture on fulfillment (%s)', (apiMode) => {
+  const mock = new MockAdminApi();
+  let service;
+  let ledger;
+
+  beforeAll(async () => {
+    process.env.SHOPIFY_API_BASE_URL = await mock.start();
+    process.env.SHOPIFY_API_MODE = apiMode;
+    // Both modes run in one module registry and share the job store and
+    // ledger, so their orders must not share IDs
+    require('../config').load();
+    mock.nextId = apiMode === 'rest' ? 5001 : 1001;
+
+    require('../services/rulesEngine').loadAll();
+    const { ShopifyService } = require('../services/shopify');
+    ledger = require('../services/ledger');
+    service = new ShopifyService({ shop: process.env.SHOPIFY_SHOP_NAME, isDefaultShop: true });
+    service.initializeClient();
+  });
+
+  afterEach(() => {
+    service.stopScheduler();
+  });
+
+  afterAll(async () => {
+    await mock.stop();
+  });
+
+  // Two shirts (30 each, 6 tax on the line) and a hat (40, 4 tax), 10
+  // shipping with 1 tax: 121 in all
+  const addOrder = (fields = {}) => mock.addOrder({
+    attributes: { payment_flag: 'on_fulfillment' },
+    lineItems: [
+      { name: 'Shirt', quantity: 2, price: 30, tax: 6 },
+      { name: 'Hat', quantity: 1, price: 40, tax: 4 }
+    ],
+    shipping: { price: 10, tax: 1 },
+    ...fields
+  });
+
+  const fallbackJobs = (order) => service.jobStore.list({ orderId: order.id }).filter(job => job.fallback);
+
+  test('new orders wait for their fulfillments, with a fallback before the authorization expires', async () => {
+    const order = addOrder();
+    const authorization = mock.getAuthorization(order.id);
+
+    await service.processOrder({ id: order.id });
+
+    const [job] = fallbackJobs(order);
+    expect(job).toMatchObject({ status: 'pending', fallback: 'capture', rule: 'on_fulfillment attribute', amount: null });
+    // The expiry safety margin (12h) before the authorization lapses
+    expect(job.scheduledTime).toBe(Date.parse(authorization.authorization_expires_at) - 12 * HOUR);
+    expect(mock.getCaptures(order.id)).toHaveLength(0);
+  });
+
+  test('each fulfillment captures what it ships, and the last one the rest', async () => {
+    const order = addOrder();
+    await service.processOrder({ id: order.id });
+    const [shirt, hat] = order.line_items;
+
+    // One shirt: 30 + 3 tax, and 3.30 of the shipping (33 of the 110 in items)
+    const first = await service.processFulfillment(mock.fulfill(order.id, [{ id: shirt.id, quantity: 1 }]));
+    expect(first).toMatchObject({ status: 'captured', amount: 36.3 });
+    expect(fallbackJobs(order)[0].status).toBe('pending');
+
+    const last = await service.processFulfillment(mock.fulfill(order.id, [{ id: shirt.id, quantity: 1 }, { id: hat.id, quantity: 1 }]));
+    expect(last).toMatchObject({ status: 'captured', amount: 84.7 });
+
+    expect(mock.getCaptures(order.id).map(capture => capture.amount)).toEqual(['36.30', '84.70']);
+    expect(fallbackJobs(order)[0]).toMatchObject({ status: 'cancelled' });
+    expect(ledger.query({ orderId: order.id, action: 'fulfillment' }).map(entry => entry.status))
+      .toEqual(['captured', 'captured']);
+  });
+
+  test('discounts and tax-inclusive prices are taken into account', () => {
+    const order = addOrder({
+      taxesIncluded: true,
+      lineItems: [
+        { name: 'Shirt', quantity: 2, price: 30, tax: 5, discount: 10 },
+        { name: 'Hat', quantity: 1, price: 50, tax: 8 }
+      ],
+      shipping: { price: 10, discount: 5, tax: 1 }
+    });
+    const [shirt] = order.line_items;
+
+    // Shirts are worth 50 of the 100 in items, so they take half of the 5 shipping
+    expect(service.getFulfillmentAmount(order, { line_items: [{ id: shirt.id, quantity: 2 }] })).toBe(52.5);
+    expect(service.getFulfillmentAmount(order, { line_items: [{ id: shirt.id, quantity: 1 }] })).toBe(26.25);
+  });
+
+  test('a replayed fulfillment is not captured twice', async () => {
+    const order = addOrder();
+    const fulfillment = mock.fulfill(order.id, [{ id: order.line_items[1].id, quantity: 1 }]);
+
+    await service.processFulfillment(fulfillment);
+    const replay = await service.processFulfillment(fulfillment);
+
+    expect(replay).toMatchObject({ status: 'skipped', reason: 'fulfillment_already_captured' });
+    expect(mock.getCaptures(order.id)).toHaveLength(1);
+  });
+
+  test('fulfillments of orders that are not captured on fulfillment are left alone', async () => {
+    const order = addOrder({ attributes: { payment_flag: 'pay_later' } });
+
+    const result = await service.processFulfillment(mock.fulfill(order.id));
+
+    expect(result).toMatchObject({ status: 'skipped', reason: 'not_captured_on_fulfillment' });
+    expect(mock.getCaptures(order.id)).toHaveLength(0);
+  });
+
+  test('orders that never ship are captured by the fallback', async () => {
+    const order = addOrder();
+    await service.processOrder({ id: order.id });
+    await service.processFulfillment(mock.fulfill(order.id, [{ id: order.line_items[0].id, quantity: 1 }]));
+
+    const [job] = fallbackJobs(order);
+    await service.runScheduledJob(job.id);
+
+    expect(service.jobStore.get(job.id)).toMatchObject({ status: 'succeeded', outcome: 'captured', capturedAmount: 84.7 });
+    expect(mock.getOrder(order.id).financial_status).toBe('paid');
+  });
+
+  test('the void fallback releases authorizations of orders that never ship', async () => {
+    const order = addOrder();
+    const authorization = mock.getAuthorization(order.id);
+    const job = service.scheduleFulfillmentFallback(order.id, authorization.id, {
+      authExpiresAt: Date.parse(authorization.authorization_expires_at),
+      fallback: 'void'
+    });
+
+    await service.runScheduledJob(job.id);
+
+    expect(service.jobStore.get(job.id)).toMatchObject({ status: 'succeeded', outcome: 'voided' });
+    expect(mock.getOrder(order.id).financial_status).toBe('voided');
+  });
+
+  test('orders re-flagged for fulfillment keep only a fallback', async () => {
+    const order = addOrder({ attributes: { payment_flag: 'pay_later' } });
+    await service.processOrder({ id: order.id });
+    const [capture] = service.jobStore.list({ orderId: order.id });
+
+    mock.updateOrder(order.id, { note_attributes: [{ name: 'payment_flag', value: 'on_fulfillment' }] });
+    await service.handleOrderChange(order.id, 'orders/updated');
+
+    expect(service.jobStore.get(capture.id)).toMatchObject({ status: 'cancelled' });
+    expect(fallbackJobs(order)).toEqual([expect.objectContaining({ status: 'pending', fallback: 'capture' })]);
+  });
+});
@@ -0,0 +1,29 @@
+const crypto = require('crypto');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Polls until check() returns something truthy, for work the app finishes
+// in the background (webhook processing, job timers)
+const waitFor = async (check, { timeout = 3000, interval = 20 } = {}) => {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const result = await check();
+    if (result) {
+      return result;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`Condition not met within ${timeout}ms: ${check}`);
+    }
+    await sleep(interval);
+  }
+};
+
+// X-Shopify-Hmac-Sha256 for a webhook body
+const signWebhook = (body, secret = process.env.SHOPIFY_WEBHOOK_SECRET) =>
+  crypto.createHmac('sha256', secret).update(body).digest('base64');
+
+module.exports = {
+  sleep,
+  waitFor,
+  signWebhook
+};
@@ -0,0 +1,108 @@
+const MockAdminApi = require('./mockAdminApi');
+const { Lifecycle } = require('../services/lifecycle');
+const { sleep } = require('./helpers');
+
+describe('lifecycle', () => {
+  test('drain waits for work in flight, including work started meanwhile', async () => {
+    const lifecycle = new Lifecycle();
+    const finished = [];
+
+    lifecycle.track('first', {}, () => sleep(30).then(() => {
+      finished.push('first');
+      lifecycle.track('second', {}, () => sleep(30).then(() => finished.push('second')));
+    }));
+    expect(lifecycle.getInFlight()).toEqual([expect.objectContaining({ name: 'first' })]);
+
+    expect(await lifecycle.drain(1000)).toBe(true);
+    expect(finished).toEqual(['first', 'second']);
+    expect(lifecycle.getInFlight()).toEqual([]);
+  });
+
+  test('drain gives up after the timeout', async () => {
+    const lifecycle = new Lifecycle();
+    lifecycle.track('slow', { orderId: '1' }, () => sleep(500));
+
+    const startedAt = Date.now();
+    expect(await lifecycle.drain(50)).toBe(false);
+    expect(Date.now() - startedAt).toBeLessThan(400);
+    expect(lifecycle.getInFlight()).toEqual([expect.objectContaining({ name: 'slow', orderId: '1' })]);
+  });
+
+  test('tracked work that fails is no longer in flight', async () => {
+    const lifecycle = new Lifecycle();
+
+    await expect(lifecycle.track('failing', {}, () => { throw new Error('boom'); })).rejects.toThrow('boom');
+    await expect(lifecycle.track('rejecting', {}, () => Promise.reject(new Error('boom')))).rejects.toThrow('boom');
+    expect(await lifecycle.drain(10)).toBe(true);
+  });
+});
+
+describe('shutdown', () => {
+  const mock = new MockAdminApi();
+  let shopifyService;
+  let jobStore;
+  let lifecycle;
+
+  beforeAll(async () => {
+    process.env.SHOPIFY_API_BASE_URL = await mock.start();
+    // The lifecycle tests above already loaded the configuration
+    require('../config').load();
+    shopifyService = require('../services/shopify');
+    jobStore = require('../services/jobStore');
+    lifecycle = require('../services/lifecycle');
+    shopifyService.initializeClient();
+  });
+
+  afterAll(async () => {
+    shopifyService.stopScheduler();
+    await mock.stop();
+  });
+
+  test('captures in flight are waited for', async () => {
+    const order = mock.addOrder({ total: 20 });
+    const capture = shopifyService.capturePayment(order.id, mock.getAuthorization(order.id).id);
+
+    expect(lifecycle.getInFlight()).toEqual([expect.objectContaining({ name: 'capture', orderId: String(order.id) })]);
+    expect(await lifecycle.drain(3000)).toBe(true);
+    expect(mock.getCaptures(order.id)).toHaveLength(1);
+    expect((await capture).status).toBe('captured');
+  });
+
+  test('a capture that fails during the drain is not retried until the next process', async () => {
+    const order = mock.addOrder();
+    mock.fail({ operation: 'orderCapture', status: 503 });
+    const job = shopifyService.schedulePaymentCapture(order.id, mock.getAuthorization(order.id).id, 60 * 60 * 1000);
+
+    const run = shopifyService.runScheduledJob(job.id);
+    lifecycle.beginShutdown();
+    try {
+      shopifyService.stopScheduler();
+      expect(await lifecycle.drain(3000)).toBe(true);
+      await run;
+
+      // The retry is saved but not armed
+      expect(jobStore.get(job.id)).toMatchObject({ status: 'pending', attempts: 1 });
+      expect(shopifyService.jobTimers.has(job.id)).toBe(false);
+      await shopifyService.runScheduledJob(job.id);
+      expect(jobStore.get(job.id).attempts).toBe(1);
+      expect(mock.getCaptures(order.id)).toHaveLength(0);
+    } finally {
+      lifecycle.shuttingDown = false;
+      shopifyService.cancelJob(job.id);
+    }
+  });
+
+  test('the saved job list notes the shutdown until the next write', () => {
+    const order = mock.addOrder();
+    const job = shopifyService.schedulePaymentCapture(order.id, mock.getAuthorization(order.id).id, 60 * 60 * 1000);
+    shopifyService.stopScheduler();
+
+    expect(shopifyService.saveJobsForShutdown({ signal: 'SIGTERM', drained: true })).toEqual({ pending: 1, running: 0 });
+    jobStore.load();
+    expect(jobStore.lastShutdown).toMatchObject({ signal: 'SIGTERM', drained: true, pending: 1, running: [] });
+
+    shopifyService.cancelJob(job.id);
+    jobStore.load();
+    expect(jobStore.lastShutdown).toBeNull();
+  });
+});
@@ -0,0 +1,634 @@
+const crypto = require('crypto');
+const express = require('express');
+const { formatMoney, roundMoney } = require('../utils/helpers');
+
+const GRAPHQL_COST = 10;
+const CALL_LIMIT = 40;
+
+const toGid = (type, id) => `gid://shopify/${type}/${id}`;
+const fromGid = (gid) => String(gid).split('/').pop();
+const upper = (value) => (value ? String(value).toUpperCase() : value);
+
+const encodeCursor = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+const decodeCursor = (cursor) => JSON.parse(Buffer.from(cursor, 'base64url').toString());
+
+const toAttributes = (attributes) => Array.isArray(attributes)
+  ? attributes
+  : Object.entries(attributes || {}).map(([name, value]) => ({ name, value: String(value) }));
+
+const getOperationName = (body) =>
+  body && typeof body.query === 'string' ? (body.query.match(/^\s*(?:query|mutation)\s+(\w+)/) || [])[1] : undefined;
+
+const money = (amount, currency) => ({ shopMoney: { amount, currencyCode: currency } });
+
+const toGraphQLTransaction = (transaction) => ({
+  id: toGid('OrderTransaction', transaction.id),
+  kind: upper(transaction.kind),
+  status: upper(transaction.status),
+  gateway: transaction.gateway,
+  errorCode: transaction.error_code,
+  createdAt: transaction.created_at,
+  authorizationExpiresAt: transaction.authorization_expires_at,
+  parentTransaction: transaction.parent_id ? { id: toGid('OrderTransaction', transaction.parent_id) } : null,
+  amountSet: money(transaction.amount, transaction.currency)
+});
+
+const toGraphQLTaxLines = (taxLines) => taxLines.map(line => ({ priceSet: money(line.price) }));
+
+const FULFILLMENT_STATUSES = { fulfilled: 'FULFILLED', partial: 'PARTIALLY_FULFILLED' };
+
+// products: product ID -> { product_type }, as GraphQL line items carry the
+// product type REST leaves out
+const toGraphQLOrder = (order, products) => ({
+  id: order.admin_graphql_api_id,
+  legacyResourceId: String(order.id),
+  name: order.name,
+  createdAt: order.created_at,
+  updatedAt: order.updated_at,
+  cancelledAt: order.cancelled_at,
+  displayFinancialStatus: upper(order.financial_status),
+  displayFulfillmentStatus: FULFILLMENT_STATUSES[order.fulfillment_status] || 'UNFULFILLED',
+  tags: order.tags ? order.tags.split(',').map(tag => tag.trim()) : [],
+  sourceName: order.source_name,
+  currencyCode: order.currency,
+  taxesIncluded: order.taxes_included,
+  customAttributes: order.note_attributes.map(({ name, value }) => ({ key: name, value })),
+  totalPriceSet: money(order.total_price, order.currency),
+  totalOutstandingSet: money(order.total_outstanding, order.currency),
+  lineItems: {
+    nodes: order.line_items.map(item => ({
+      id: toGid('LineItem', item.id),
+      name: item.name,
+      quantity: item.quantity,
+      unfulfilledQuantity: item.fulfillable_quantity,
+      customAttributes: item.properties.map(({ name, value }) => ({ key: name, value })),
+      product: item.product_id
+        ? { legacyResourceId: String(item.product_id), productType: (products.get(String(item.product_id)) || {}).product_type || '' }
+        : null,
+      originalUnitPriceSet: money(item.price),
+      discountAllocations: item.discount_allocations.map(allocation => ({ allocatedAmountSet: money(allocation.amount) })),
+      taxLines: toGraphQLTaxLines(item.tax_lines)
+    }))
+  },
+  shippingLines: {
+    nodes: order.shipping_lines.map(line => ({
+      originalPriceSet: money(line.price),
+      discountedPriceSet: money(line.discounted_price),
+      taxLines: toGraphQLTaxLines(line.tax_lines)
+    }))
+  }
+});
+
+const graphQLCost = (available) => ({
+  cost: {
+    requestedQueryCost: GRAPHQL_COST,
+    actualQueryCost: available > 0 ? GRAPHQL_COST : null,
+    throttleStatus: { maximumAvailable: 2000, currentlyAvailable: available, restoreRate: 100 }
+  }
+});
+
+// In-memory stand-in for a shop's Admin API, for tests and local runs with
+// SHOPIFY_API_BASE_URL pointed at it. Models orders and their transactions
+// the way Shopify treats them: captures and voids need a successful
+// authorization, partial captures can't exceed what is left on it, voided
+// or expired authorizations can't be captured, captured ones can't be voided,
+// and a repeated Idempotency-Key returns the original transaction.
+//
+// Serves the REST endpoints and GraphQL operations ShopifyService uses, the
+// OAuth token endpoint (client credentials and authorization codes) and
+// rejects unknown access tokens with a 401. throttle() and fail() inject 429s
+// and errors; requests records every call.
+class MockAdminApi {
+  constructor({ clientId = 'test-client-id', clientSecret = 'test-client-secret' } = {}) {
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.app = this.createApp();
+    this.server = null;
+    this.reset();
+  }
+
+  reset() {
+    // The shop resource's IANA time zone
+    this.timezone = 'UTC';
+    this.orders = new Map();
+    this.transactions = new Map();
+    this.products = new Map();
+    this.webhooks = [];
+    this.tokens = new Set();
+    this.idempotentResults = new Map();
+    this.failures = [];
+    this.throttled = 0;
+    this.throttleRetryAfter = 0;
+    this.requests = [];
+    this.nextId = 1001;
+  }
+
+  newId() {
+    return this.nextId++;
+  }
+
+  // Resolves with the base URL to use as SHOPIFY_API_BASE_URL
+  start(port = 0) {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(port, '127.0.0.1', () => {
+        this.url = `http://127.0.0.1:${this.server.address().port}`;
+        resolve(this.url);
+      });
+      this.server.once('error', reject);
+    });
+  }
+
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => {
+      this.server.close(() => resolve());
+      this.server.closeAllConnections();
+      this.server = null;
+    });
+  }
+
+  // fields: id, name, total, currency, tags, attributes (object or
+  // [{ name, value }]), lineItems ({ name, quantity, price (each), tax and
+  // discount (for the line), properties, productId, productType }),
+  // shipping ({ price, tax, discount }), taxesIncluded, sourceName,
+  // createdAt, authorized (default true) and authorizationExpiresAt. Without
+  // a total, priced line items and shipping add up to it.
+  addOrder(fields = {}) {
+    const id = fields.id || this.newId();
+    const currency = fields.currency || 'USD';
+    const createdAt = fields.createdAt || new Date().toISOString();
+    const taxesIncluded = Boolean(fields.taxesIncluded);
+    const lineValue = ({ price = 0, quantity = 1, tax = 0, discount = 0 }) =>
+      price * quantity - discount + (taxesIncluded ? 0 : tax);
+    const shipping = fields.shipping || null;
+    const total = formatMoney(fields.total ?? ((fields.lineItems || []).some(item => item.price !== undefined)
+      ? fields.lineItems.reduce((sum, item) => sum + lineValue(item), 0) +
+        (shipping ? shipping.price - (shipping.discount || 0) + (shipping.tax || 0) : 0)
+      : 100), currency);
+    const taxLines = (tax) => (tax ? [{ title: 'Tax', price: formatMoney(tax, currency) }] : []);
+
+    const order = {
+      id,
+      admin_graphql_api_id: toGid('Order', id),
+      name: fields.name || `#${id}`,
+      created_at: createdAt,
+      updated_at: createdAt,
+      cancelled_at: null,
+      financial_status: fields.authorized === false ? 'pending' : 'authorized',
+      fulfillment_status: null,
+      tags: [].concat(fields.tags || []).join(', '),
+      source_name: fields.sourceName || 'web',
+      currency,
+      taxes_included: taxesIncluded,
+      note_attributes: toAttributes(fields.attributes),
+      total_price: total,
+      total_outstanding: total,
+      line_items: (fields.lineItems || [{ name: 'Item', quantity: 1, price: Number(total) }]).map(item => ({
+        id: this.newId(),
+        name: item.name || 'Item',
+        quantity: item.quantity || 1,
+        fulfillable_quantity: item.quantity || 1,
+        price: formatMoney(item.price || 0, currency),
+        discount_allocations: item.discount ? [{ amount: formatMoney(item.discount, currency) }] : [],
+        tax_lines: taxLines(item.tax),
+        properties: toAttributes(item.properties),
+        product_id: item.productId || null,
+        product_type: null
+      })),
+      shipping_lines: shipping ? [{
+        title: 'Shipping',
+        price: formatMoney(shipping.price, currency),
+        discounted_price: formatMoney(shipping.price - (shipping.discount || 0), currency),
+        tax_lines: taxLines(shipping.tax)
+      }] : [],
+      fulfillments: []
+    };
+    (fields.lineItems || []).forEach(item => {
+      if (item.productId) {
+        this.products.set(String(item.productId), { id: item.productId, product_type: item.productType || '' });
+      }
+    });
+
+    this.orders.set(String(id), order);
+    this.transactions.set(String(id), []);
+    if (fields.authorized !== false) {
+      this.addTransaction(order, {
+        kind: 'authorization',
+        amount: total,
+        created_at: createdAt,
+        authorization_expires_at: fields.authorizationExpiresAt ||
+          new Date(new Date(createdAt).getTime() + 7 * 24 * 60 * 60 * 1000).toISOString()
+      });
+    }
+    return order;
+  }
+
+  updateOrder(orderId, changes) {
+    const order = this.getOrder(orderId);
+    Object.assign(order, changes, { updated_at: new Date().toISOString() });
+    return order;
+  }
+
+  getOrder(orderId) {
+    return this.orders.get(String(orderId)) || null;
+  }
+
+  // Ships line items ([{ id, quantity }], default everything not shipped
+  // yet) and returns the fulfillment as the fulfillments/create webhook
+  // delivers it
+  fulfill(orderId, lineItems) {
+    const order = this.getOrder(orderId);
+    const shipped = (lineItems || order.line_items.map(item => ({ id: item.id, quantity: item.fulfillable_quantity })))
+      .map(({ id, quantity }) => {
+        const item = order.line_items.find(lineItem => String(lineItem.id) === String(id));
+        const fulfilled = Math.min(quantity ?? item.fulfillable_quantity, item.fulfillable_quantity);
+        item.fulfillable_quantity -= fulfilled;
+        return { id: item.id, name: item.name, quantity: fulfilled, price: item.price };
+      })
+      .filter(item => item.quantity > 0);
+
+    order.fulfillment_status = order.line_items.every(item => item.fulfillable_quantity === 0) ? 'fulfilled' : 'partial';
+    order.updated_at = new Date().toISOString();
+    const fulfillment = {
+      id: this.newId(),
+      order_id: order.id,
+      status: 'success',
+      created_at: order.updated_at,
+      line_items: shipped
+    };
+    order.fulfillments.push(fulfillment);
+    return fulfillment;
+  }
+
+  getTransactions(orderId) {
+    return this.transactions.get(String(orderId)) || [];
+  }
+
+  getAuthorization(orderId) {
+    return this.getTransactions(orderId).find(t => t.kind === 'authorization');
+  }
+
+  getCaptures(orderId) {
+    return this.getTransactions(orderId).filter(t => t.kind === 'capture' && t.status === 'success');
+  }
+
+  addTransaction(order, fields) {
+    const transaction = {
+      id: this.newId(),
+      order_id: order.id,
+      kind: fields.kind,
+      status: 'success',
+      gateway: 'bogus',
+      error_code: null,
+      amount: fields.amount,
+      currency: order.currency,
+      parent_id: fields.parent_id || null,
+      created_at: fields.created_at || new Date().toISOString(),
+      authorization_expires_at: fields.authorization_expires_at || null
+    };
+    this.transactions.get(String(order.id)).push(transaction);
+    return transaction;
+  }
+
+  // The next `times` requests get a 429 (REST) or a THROTTLED error (GraphQL)
+  throttle(times = 1, { retryAfter = 0 } = {}) {
+    this.throttled += times;
+    this.throttleRetryAfter = retryAfter;
+  }
+
+  // Fails the next `times` requests matching method, path (a string the path
+  // contains, or a RegExp) and GraphQL operation name with `status` and
+  // `body`. processed lets the request take effect before the failure is
+  // returned, like a capture whose response was lost; reset drops the
+  // connection instead of answering.
+  fail({ method, path, operation, status = 500, body = { errors: 'Internal Server Error' }, times = 1, processed = false, reset = false } = {}) {
+    this.failures.push({ method: method && method.toUpperCase(), path, operation, status, body, times, processed, reset });
+  }
+
+  takeFailure(req, operation) {
+    const failure = this.failures.find(rule =>
+      (!rule.method || rule.method === req.method) &&
+      (!rule.path || (rule.path instanceof RegExp ? rule.path.test(req.path) : req.path.includes(rule.path))) &&
+      (!rule.operation || rule.operation === operation)
+    );
+    if (!failure) {
+      return null;
+    }
+    if (--failure.times <= 0) {
+      this.failures.splice(this.failures.indexOf(failure), 1);
+    }
+    return failure;
+  }
+
+  sendFailure(res, failure, json) {
+    if (failure.reset) {
+      res.socket.destroy();
+      return res;
+    }
+    res.status(failure.status);
+    return json(failure.body);
+  }
+
+  // Creates a capture or void on the order. Resolves with { transaction } or
+  // { error } carrying the message Shopify would return.
+  createTransaction(order, { kind, parent_id: parentId, amount, currency }, idempotencyKey) {
+    if (idempotencyKey && this.idempotentResults.has(idempotencyKey)) {
+      return { transaction: this.idempotentResults.get(idempotencyKey) };
+    }
+
+    const transactions = this.getTransactions(order.id);
+    const parent = transactions.find(t => String(t.id) === String(parentId));
+    if (!parent || parent.kind !== 'authorization' || parent.status !== 'success') {
+      return { error: 'Parent transaction is not a successful authorization' };
+    }
+    const children = transactions.filter(t => String(t.parent_id) === String(parent.id) && t.status === 'success');
+    if (children.some(t => t.kind === 'void')) {
+      return { error: 'Authorization has been voided' };
+    }
+    if (parent.authorization_expires_at && new Date(parent.authorization_expires_at) < new Date()) {
+      return { error: 'Authorization has expired' };
+    }
+
+    const captured = children.filter(t => t.kind === 'capture').reduce((sum, t) => sum + Number(t.amount), 0);
+    const remaining = roundMoney(Number(parent.amount) - captured, order.currency);
+    let transaction;
+
+    if (kind === 'void') {
+      if (captured > 0) {
+        return { error: 'Authorization has already been captured' };
+      }
+      transaction = this.addTransaction(order, { kind: 'void', amount: parent.amount, parent_id: parent.id });
+      order.financial_status = 'voided';
+    } else if (kind === 'capture') {
+      if (currency && upper(currency) !== order.currency) {
+        return { error: `Currency ${currency} does not match the order currency ${order.currency}` };
+      }
+      if (remaining <= 0) {
+        return { error: 'Authorization has already been fully captured' };
+      }
+      const value = amount === undefined || amount === null ? remaining : roundMoney(amount, order.currency);
+      if (!(value > 0) || value > remaining) {
+        return { error: `Amount ${amount} exceeds the ${formatMoney(remaining, order.currency)} left on the authorization` };
+      }
+      transaction = this.addTransaction(order, {
+        kind: 'capture',
+        amount: formatMoney(value, order.currency),
+        parent_id: parent.id
+      });
+      const outstanding = roundMoney(Number(order.total_outstanding) - value, order.currency);
+      order.total_outstanding = formatMoney(Math.max(0, outstanding), order.currency);
+      order.financial_status = outstanding > 0 ? 'partially_paid' : 'paid';
+    } else {
+      return { error: `Unsupported transaction kind ${kind}` };
+    }
+
+    order.updated_at = new Date().toISOString();
+    if (idempotencyKey) {
+      this.idempotentResults.set(idempotencyKey, transaction);
+    }
+    return { transaction };
+  }
+
+  // Authorized orders, oldest first, filtered like the REST financial_status
+  // and created_at_min parameters
+  listOrders({ financialStatus, createdAtMin, newestFirst = false } = {}) {
+    const orders = Array.from(this.orders.values())
+      .filter(order => !financialStatus || order.financial_status === financialStatus)
+      .filter(order => !createdAtMin || new Date(order.created_at) >= new Date(createdAtMin))
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at) || a.id - b.id);
+    return newestFirst ? orders.reverse() : orders;
+  }
+
+  createApp() {
+    const app = express();
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: false }));
+
+    // Controls for running the mock on its own (see the bottom of this file)
+    app.post('/_mock/orders', (req, res) => res.json({ order: this.addOrder(req.body) }));
+    app.post('/_mock/orders/:id/fulfillments', (req, res) =>
+      res.json({ fulfillment: this.fulfill(req.params.id, req.body.lineItems) }));
+    app.post('/_mock/throttle', (req, res) => {
+      this.throttle(req.body.times, req.body);
+      res.json({ throttled: this.throttled });
+    });
+    app.post('/_mock/failures', (req, res) => {
+      this.fail(req.body);
+      res.json({ failures: this.failures.length });
+    });
+    app.get('/_mock/requests', (req, res) => res.json({ requests: this.requests }));
+
+    app.use((req, res, next) => {
+      const operation = getOperationName(req.body) || null;
+      this.requests.push({
+        method: req.method,
+        path: req.path,
+        query: req.query,
+        body: req.body,
+        idempotencyKey: req.get('Idempotency-Key') || null,
+        operation
+      });
+
+      if (this.throttled > 0) {
+        this.throttled--;
+        if (req.path.endsWith('/graphql.json')) {
+          return res.json({
+            errors: [{ message: 'Throttled', extensions: { code: 'THROTTLED' } }],
+            extensions: graphQLCost(0)
+          });
+        }
+        res.set('Retry-After', String(this.throttleRetryAfter));
+        return res.status(429).json({ errors: 'Exceeded 2 calls per second for api client. Reduce request rates to resume uninterrupted service.' });
+      }
+
+      const failure = this.takeFailure(req, operation);
+      if (failure && failure.processed) {
+        const json = res.json.bind(res);
+        res.json = () => this.sendFailure(res, failure, json);
+      } else if (failure) {
+        return this.sendFailure(res, failure, res.json.bind(res));
+      }
+      next();
+    });
+
+    app.post('/admin/oauth/access_token', (req, res) => {
+      const { client_id: clientId, client_secret: clientSecret, grant_type: grantType, code } = req.body;
+      if (clientId !== this.clientId || clientSecret !== this.clientSecret) {
+        return res.status(400).json({ error: 'invalid_client', error_description: 'Client credentials are invalid' });
+      }
+      if (grantType !== 'client_credentials' && !code) {
+        return res.status(400).json({ error: 'invalid_request', error_description: 'Missing authorization code' });
+      }
+
+      const accessToken = `shpat_${crypto.randomBytes(16).toString('hex')}`;
+      this.tokens.add(accessToken);
+      res.json({
+        access_token: accessToken,
+        scope: 'read_orders,write_orders,read_products,read_fulfillments',
+        ...(grantType === 'client_credentials' ? { expires_in: 86399 } : {})
+      });
+    });
+
+    const api = express.Router();
+    api.use((req, res, next) => {
+      if (!this.tokens.has(req.get('X-Shopify-Access-Token'))) {
+        return res.status(401).json({ errors: '[API] Invalid API key or access token (unrecognized login or wrong password)' });
+      }
+      res.set('X-Shopify-Shop-Api-Call-Limit', `1/${CALL_LIMIT}`);
+      next();
+    });
+
+    api.get('/shop.json', (req, res) => res.json({ shop: { iana_timezone: this.timezone } }));
+
+    api.get('/orders.json', (req, res) => {
+      const limit = Math.min(parseInt(req.query.limit || 50), 250);
+      const filters = req.query.page_info ? decodeCursor(req.query.page_info) : {
+        financialStatus: req.query.financial_status,
+        createdAtMin: req.query.created_at_min,
+        newestFirst: /desc/.test(req.query.order || ''),
+        offset: 0
+      };
+      const orders = this.listOrders(filters);
+      const page = orders.slice(filters.offset, filters.offset + limit);
+
+      if (filters.offset + limit < orders.length) {
+        const next = encodeCursor({ ...filters, offset: filters.offset + limit });
+        res.set('Link', `<${this.url}${req.baseUrl}/orders.json?limit=${limit}&page_info=${next}>; rel="next"`);
+      }
+      const fields = req.query.fields && req.query.fields.split(',');
+      res.json({
+        orders: page.map(order => (fields ? Object.fromEntries(fields.map(field => [field, order[field]])) : order))
+      });
+    });
+
+    api.get('/orders/:orderId.json', (req, res) => {
+      const order = this.getOrder(req.params.orderId);
+      return order ? res.json({ order }) : res.status(404).json({ errors: 'Not Found' });
+    });
+
+    api.get('/orders/:orderId/transactions.json', (req, res) => {
+      const order = this.getOrder(req.params.orderId);
+      return order
+        ? res.json({ transactions: this.getTransactions(order.id) })
+        : res.status(404).json({ errors: 'Not Found' });
+    });
+
+    api.post('/orders/:orderId/transactions.json', (req, res) => {
+      const order = this.getOrder(req.params.orderId);
+      if (!order) {
+        return res.status(404).json({ errors: 'Not Found' });
+      }
+      const { transaction, error } = this.createTransaction(order, req.body.transaction || {}, req.get('Idempotency-Key'));
+      return error
+        ? res.status(422).json({ errors: { base: [error] } })
+        : res.status(201).json({ transaction });
+    });
+
+    api.get('/products.json', (req, res) => {
+      const ids = String(req.query.ids || '').split(',');
+      res.json({ products: ids.map(id => this.products.get(id)).filter(Boolean) });
+    });
+
+    api.get('/webhooks.json', (req, res) => res.json({ webhooks: this.webhooks }));
+
+    api.post('/webhooks.json', (req, res) => {
+      const webhook = { id: this.newId(), ...req.body.webhook };
+      this.webhooks.push(webhook);
+      res.status(201).json({ webhook });
+    });
+
+    api.post('/graphql.json', (req, res) => {
+      const operation = getOperationName(req.body);
+      const handler = this.graphQLOperations[operation];
+      if (!handler) {
+        return res.json({ errors: [{ message: `Unsupported operation ${operation}` }] });
+      }
+      res.json({ data: handler(req.body.variables || {}), extensions: graphQLCost(2000 - GRAPHQL_COST) });
+    });
+
+    app.use('/admin/api/:version', api);
+    return app;
+  }
+
+  get graphQLOperations() {
+    const findOrder = (gid) => this.getOrder(fromGid(gid));
+    const findTransactionOrder = (gid) => Array.from(this.orders.values()).find(order =>
+      this.getTransactions(order.id).some(t => String(t.id) === fromGid(gid)));
+    const transactionPayload = ({ transaction, error }) => ({
+      transaction: transaction ? toGraphQLTransaction(transaction) : null,
+      userErrors: error ? [{ field: null, message: error }] : []
+    });
+
+    return {
+      getShop: () => ({ shop: { ianaTimezone: this.timezone } }),
+      getOrder: ({ id }) => {
+        const order = findOrder(id);
+        return { order: order ? toGraphQLOrder(order, this.products) : null };
+      },
+      getOrderTransactions: ({ id }) => {
+        const order = findOrder(id);
+        return { order: order ? { transactions: this.getTransactions(order.id).map(toGraphQLTransaction) } : null };
+      },
+      getRecentOrders: ({ first }) => ({
+        orders: { nodes: this.listOrders({ newestFirst: true }).slice(0, first).map(order => toGraphQLOrder(order, this.products)) }
+      }),
+      getOrdersPage: ({ first, after, query }) => {
+        const status = query.match(/financial_status:(\w+)/);
+        const since = query.match(/created_at:>='([^']+)'/);
+        const orders = this.listOrders({
+          financialStatus: status && status[1],
+          createdAtMin: since && since[1]
+        });
+        const offset = after ? decodeCursor(after).offset : 0;
+        const hasNextPage = offset + first < orders.length;
+        return {
+          orders: {
+            nodes: orders.slice(offset, offset + first).map(order => toGraphQLOrder(order, this.products)),
+            pageInfo: { hasNextPage, endCursor: hasNextPage ? encodeCursor({ offset: offset + first }) : null }
+          }
+        };
+      },
+      orderCapture: ({ input }) => {
+        const order = findOrder(input.id);
+        return {
+          orderCapture: transactionPayload(order
+            ? this.createTransaction(order, {
+              kind: 'capture',
+              parent_id: fromGid(input.parentTransactionId),
+              amount: input.amount,
+              currency: input.currency
+            })
+            : { error: 'Order does not exist' })
+        };
+      },
+      transactionVoid: ({ parentTransactionId }) => {
+        const order = findTransactionOrder(parentTransactionId);
+        return {
+          transactionVoid: transactionPayload(order
+            ? this.createTransaction(order, { kind: 'void', parent_id: fromGid(parentTransactionId) })
+            : { error: 'Transaction does not exist' })
+        };
+      }
+    };
+  }
+}
+
+module.exports = MockAdminApi;
+
+// node test/mockAdminApi.js serves a mock shop on MOCK_ADMIN_API_PORT (4010)
+// for SHOPIFY_API_BASE_URL=http://localhost:4010. Add orders with
+// POST /_mock/orders, ship them with POST /_mock/orders/:id/fulfillments
+// (the response is the fulfillments/create payload), inject failures with POST /_mock/failures and 429s
+// with POST /_mock/throttle.
+if (require.main === module) {
+  require('dotenv').config();
+  const mock = new MockAdminApi({
+    clientId: process.env.SHOPIFY_CLIENT_ID,
+    clientSecret: process.env.SHOPIFY_CLIENT_SECRET
+  });
+  mock.start(parseInt(process.env.MOCK_ADMIN_API_PORT || 4010)).then(url => {
+    console.log(`Mock Admin API listening on ${url}`);
+  });
+}
@@ -0,0 +1,118 @@
+const path = require('path');
+const { RulesEngine, ACTION_TYPES } = require('../services/rulesEngine');
+const { ShopifyService } = require('../services/shopify');
+
+const order = (fields = {}) => ({
+  id: 1001,
+  tags: '',
+  note_attributes: [],
+  line_items: [],
+  total_price: '100.00',
+  ...fields
+});
+
+describe('payment flags', () => {
+  const rules = new RulesEngine(path.join(__dirname, '../config/payment-rules.json'));
+
+  beforeAll(() => {
+    rules.load();
+  });
+
+  test.each([
+    ['payment_flag', 'buy_now', ACTION_TYPES.CAPTURE_NOW],
+    ['purchase_type', 'pay_later', ACTION_TYPES.CAPTURE_AFTER],
+    ['Payment_Flag', 'BUY_NOW', ACTION_TYPES.CAPTURE_NOW],
+    ['payment_flag', 'do_not_capture', ACTION_TYPES.VOID],
+    ['purchase_type', 'on_fulfillment', ACTION_TYPES.CAPTURE_ON_FULFILLMENT]
+  ])('note attribute %s=%s means %s', (name, value, type) => {
+    const decision = rules.evaluate(order({ note_attributes: [{ name, value }] }));
+    expect(decision.action.type).toBe(type);
+  });
+
+  test('line item properties are read when the note attributes have no flag', () => {
+    const decision = rules.evaluate(order({
+      line_items: [{ properties: [{ name: 'payment_flag', value: 'pay_later' }] }]
+    }));
+    expect(decision.rule).toBe('pay_later attribute');
+  });
+
+  test('tags must match exactly', () => {
+    expect(rules.evaluate(order({ tags: 'vip, pay_later' })).action.type).toBe(ACTION_TYPES.CAPTURE_AFTER);
+    expect(rules.evaluate(order({ tags: 'no_pay_later' }))).toBeNull();
+  });
+
+  test('attributes outrank tags', () => {
+    const decision = rules.evaluate(order({
+      tags: 'buy_now',
+      note_attributes: [{ name: 'payment_flag', value: 'pay_later' }]
+    }));
+    expect(decision.rule).toBe('pay_later attribute');
+  });
+
+  test('orders without a flag match no rule', () => {
+    expect(rules.evaluate(order())).toBeNull();
+  });
+
+  test('invalid rules are reported with the rule they belong to', () => {
+    const errors = rules.validate([
+      { name: 'bad', when: { colour: 'red' }, action: { type: 'capture_later' } },
+      { name: 'split', when: { tag: 'x' }, action: { type: 'capture_now', deposit: { amount: 10, percentage: 5 } } },
+      { name: 'fallback', when: { tag: 'y' }, action: { type: 'capture_on_fulfillment', fallback: 'refund' } }
+    ]);
+    expect(errors).toEqual([
+      expect.stringMatching(/^rule 0 \(bad\): unknown condition "colour"/),
+      expect.stringMatching(/^rule 0 \(bad\): unknown action type "capture_later"/),
+      expect.stringMatching(/^rule 1 \(split\): "deposit" needs either/),
+      expect.stringMatching(/^rule 2 \(fallback\): "fallback" must be one of capture, void/)
+    ]);
+  });
+
+  test('entries that are not objects are reported instead of throwing', () => {
+    const errors = rules.validate([null, 'pay_later', { name: 'ok', when: { tag: 'x' }, action: { type: 'capture_now' } }]);
+    expect(errors).toEqual(['rule 0: must be an object', 'rule 1: must be an object']);
+  });
+});
+
+describe('capture amount attributes', () => {
+  const service = new ShopifyService();
+
+  test('capture and deposit attributes override the rule', () => {
+    const options = service.getCaptureOptions(order({
+      note_attributes: [
+        { name: 'capture_percentage', value: '50' },
+        { name: 'deposit_amount', value: '20' },
+        { name: 'capture_currency', value: 'eur' }
+      ]
+    }), { type: ACTION_TYPES.CAPTURE_AFTER, amount: 80 });
+
+    expect(options).toEqual({
+      capture: { percentage: 50, currency: 'EUR' },
+      deposit: { amount: 20, currency: 'EUR' }
+    });
+  });
+
+  test('invalid values fall back to the rule', () => {
+    const options = service.getCaptureOptions(order({
+      note_attributes: [
+        { name: 'capture_amount', value: '-5' },
+        { name: 'deposit_percentage', value: '150' }
+      ]
+    }), { type: ACTION_TYPES.CAPTURE_NOW, percentage: 25, deposit: { amount: 10 } });
+
+    expect(options).toEqual({
+      capture: { percentage: 25, currency: undefined },
+      deposit: { amount: 10, currency: undefined }
+    });
+  });
+
+  test('captures never exceed what is left on the authorization or the cap', () => {
+    const authorization = { amount: '100.00', currency: 'USD' };
+
+    expect(service.resolveCaptureAmount(authorization, 30, { percentage: 50 }))
+      .toEqual({ amount: 50, remaining: 70, currency: 'USD' });
+    expect(service.resolveCaptureAmount(authorization, 30, { amount: 90 }).amount).toBe(70);
+    expect(service.resolveCaptureAmount(authorization, 0, { maxAmount: '45.5' }).amount).toBe(45.5);
+    expect(() => service.resolveCaptureAmount(authorization, 0, { currency: 'EUR' }))
+      .toThrow('does not match authorization currency');
+  });
+});
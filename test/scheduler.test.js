@@ -0,0 +1,198 @@
+const MockAdminApi = require('./mockAdminApi');
+const { waitFor } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('scheduled captures (REST)', () => {
+  const mock = new MockAdminApi();
+  let shopifyService;
+  let jobStore;
+  let ledger;
+
+  beforeAll(async () => {
+    Object.assign(process.env, {
+      SHOPIFY_API_BASE_URL: await mock.start(),
+      SHOPIFY_API_MODE: 'rest',
+      CAPTURE_MAX_ATTEMPTS: '3',
+      CAPTURE_RETRY_BASE_MS: '20',
+      CAPTURE_RETRY_JITTER: '0'
+    });
+
+    require('../services/rulesEngine').loadAll();
+    shopifyService = require('../services/shopify');
+    jobStore = require('../services/jobStore');
+    ledger = require('../services/ledger');
+    shopifyService.initializeClient();
+  });
+
+  afterEach(() => {
+    shopifyService.stopScheduler();
+  });
+
+  afterAll(async () => {
+    await mock.stop();
+  });
+
+  const scheduleCapture = (order, delay, options = {}) => {
+    const authorization = mock.getAuthorization(order.id);
+    return shopifyService.schedulePaymentCapture(order.id, authorization.id, delay, {
+      authExpiresAt: Date.parse(authorization.authorization_expires_at),
+      ...options
+    });
+  };
+
+  const finished = (jobId) => waitFor(() => {
+    const job = jobStore.get(jobId);
+    return !['pending', 'running'].includes(job.status) && job;
+  });
+
+  test('a scheduled capture runs when it is due', async () => {
+    const order = mock.addOrder({ total: 120 });
+    const job = scheduleCapture(order, 50, { percentage: 25 });
+
+    expect(mock.getCaptures(order.id)).toHaveLength(0);
+    expect(await finished(job.id)).toMatchObject({ status: 'succeeded', outcome: 'captured', capturedAmount: 30 });
+
+    const [capture] = mock.getCaptures(order.id);
+    expect(capture.amount).toBe('30.00');
+    expect(mock.requests.find(request => request.method === 'POST' && request.path.endsWith('/transactions.json')))
+      .toMatchObject({ idempotencyKey: `capture-job-${job.id}` });
+    expect(ledger.query({ orderId: order.id, action: 'capture', status: 'succeeded' }))
+      .toEqual([expect.objectContaining({ actor: 'scheduler', jobId: job.id, amount: 30 })]);
+  });
+
+  test('captures are pulled forward to land before the authorization expires', () => {
+    const expiresAt = Date.now() + 13 * HOUR;
+    const order = mock.addOrder({ authorizationExpiresAt: new Date(expiresAt).toISOString() });
+
+    const job = scheduleCapture(order, 24 * HOUR);
+
+    expect(job.requestedTime - job.scheduledTime).toBeGreaterThan(10 * HOUR);
+    expect(job.scheduledTime).toBe(expiresAt - 12 * HOUR);
+    shopifyService.cancelJob(job.id);
+  });
+
+  test('overdue and interrupted jobs run when the scheduler starts', async () => {
+    const overdueOrder = mock.addOrder({ total: 40 });
+    const interruptedOrder = mock.addOrder({ total: 60 });
+    const overdue = jobStore.create({
+      shop: shopifyService.shop,
+      orderId: overdueOrder.id,
+      transactionId: mock.getAuthorization(overdueOrder.id).id,
+      scheduledTime: Date.now() - 2 * HOUR,
+      amount: null,
+      percentage: null
+    });
+    // A previous process died mid-capture
+    const interrupted = jobStore.create({
+      shop: shopifyService.shop,
+      orderId: interruptedOrder.id,
+      transactionId: mock.getAuthorization(interruptedOrder.id).id,
+      scheduledTime: Date.now() - HOUR,
+      status: 'running',
+      attempts: 1,
+      firstAttemptAt: new Date(Date.now() - HOUR).toISOString()
+    });
+
+    shopifyService.startScheduler();
+
+    expect(await finished(overdue.id)).toMatchObject({ status: 'succeeded', capturedAmount: 40 });
+    expect(await finished(interrupted.id)).toMatchObject({ status: 'succeeded', capturedAmount: 60, attempts: 2 });
+    expect(mock.getCaptures(overdueOrder.id)).toHaveLength(1);
+    expect(mock.getCaptures(interruptedOrder.id)).toHaveLength(1);
+  });
+
+  test('an interrupted job whose capture went through is not captured again', async () => {
+    const order = mock.addOrder({ total: 50 });
+    const authorization = mock.getAuthorization(order.id);
+    const firstAttemptAt = new Date(Date.now() - 1000).toISOString();
+    mock.createTransaction(order, { kind: 'capture', parent_id: authorization.id, amount: 20 });
+
+    const job = jobStore.create({
+      shop: shopifyService.shop,
+      orderId: order.id,
+      transactionId: authorization.id,
+      scheduledTime: Date.now() - 1000,
+      amount: 20,
+      status: 'running',
+      attempts: 1,
+      firstAttemptAt
+    });
+
+    shopifyService.startScheduler();
+
+    expect(await finished(job.id)).toMatchObject({ status: 'succeeded', outcome: 'already_captured' });
+    expect(mock.getCaptures(order.id)).toHaveLength(1);
+  });
+
+  test('a failed capture is retried', async () => {
+    const order = mock.addOrder({ total: 75 });
+    mock.fail({ method: 'POST', path: `/orders/${order.id}/transactions.json`, status: 503 });
+
+    const job = scheduleCapture(order, 0);
+
+    expect(await finished(job.id)).toMatchObject({ status: 'succeeded', attempts: 2 });
+    expect(mock.getCaptures(order.id)).toHaveLength(1);
+    expect(ledger.query({ orderId: order.id, action: 'job', status: 'retry_scheduled' })).toHaveLength(1);
+  });
+
+  test('a capture whose response was lost is not made twice', async () => {
+    const order = mock.addOrder({ total: 75 });
+    mock.fail({ method: 'POST', path: `/orders/${order.id}/transactions.json`, status: 502, processed: true });
+
+    const job = scheduleCapture(order, 0);
+
+    expect(await finished(job.id)).toMatchObject({ status: 'succeeded', outcome: 'already_captured', attempts: 2 });
+    expect(mock.getCaptures(order.id)).toHaveLength(1);
+  });
+
+  test('jobs that keep failing are dead-lettered', async () => {
+    const order = mock.addOrder();
+    mock.fail({ method: 'POST', path: `/orders/${order.id}/transactions.json`, status: 500, times: 10 });
+
+    const job = scheduleCapture(order, 0);
+
+    expect(await finished(job.id)).toMatchObject({ status: 'dead_letter', attempts: 3 });
+    expect(mock.getCaptures(order.id)).toHaveLength(0);
+  });
+
+  test('captures Shopify rejects fail without retrying', async () => {
+    const order = mock.addOrder({ authorizationExpiresAt: new Date(Date.now() + 50).toISOString() });
+    const authorization = mock.getAuthorization(order.id);
+
+    const job = shopifyService.schedulePaymentCapture(order.id, authorization.id, 100);
+
+    expect(await finished(job.id)).toMatchObject({ status: 'failed', attempts: 1 });
+    expect(job.lastError).toMatch(/422.*Authorization has expired/);
+  });
+
+  test('rate-limited and unauthorized requests are retried by the API client', async () => {
+    const order = mock.addOrder();
+    mock.throttle(2);
+    // Revoke the token the service holds
+    mock.tokens.clear();
+
+    const job = scheduleCapture(order, 0);
+
+    expect(await finished(job.id)).toMatchObject({ status: 'succeeded', attempts: 1 });
+    expect(mock.throttled).toBe(0);
+    expect(mock.getCaptures(order.id)).toHaveLength(1);
+    expect(mock.requests.filter(request => request.path === '/admin/oauth/access_token').length).toBeGreaterThan(0);
+  });
+
+  test('a capture converted to capture_now that fails is retried', async () => {
+    const order = mock.addOrder({ total: 64, attributes: { payment_flag: 'pay_later' } });
+    await shopifyService.processOrder({ id: order.id });
+    const [job] = jobStore.list({ orderId: order.id });
+
+    mock.updateOrder(order.id, { note_attributes: [{ name: 'payment_flag', value: 'buy_now' }] });
+    mock.fail({ method: 'POST', path: `/orders/${order.id}/transactions.json`, status: 503 });
+    await shopifyService.handleOrderChange(order.id, 'orders/updated');
+
+    expect(jobStore.get(job.id)).toMatchObject({ status: 'pending', attempts: 1, rule: 'buy_now attribute' });
+    expect(await finished(job.id)).toMatchObject({ status: 'succeeded', outcome: 'captured', attempts: 2 });
+    expect(mock.getCaptures(order.id)).toEqual([expect.objectContaining({ amount: '64.00' })]);
+    expect(ledger.query({ orderId: order.id, action: 'job' }).map(entry => entry.status))
+      .toEqual(['converted_to_capture_now', 'retry_scheduled']);
+  });
+});
@@ -0,0 +1,29 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Every test file gets its own data directory, so jobs, the ledger and
+// tokens never leak between files or into data/ and logs/
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'capturer-test-'));
+
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  LOG_CONSOLE: 'false',
+  LOG_DIR: path.join(dataDir, 'logs'),
+  JOB_STORE_PATH: path.join(dataDir, 'jobs.json'),
+  LEDGER_PATH: path.join(dataDir, 'ledger.jsonl'),
+  AUDIT_LOG_PATH: path.join(dataDir, 'audit.log'),
+  SHOP_STORE_PATH: path.join(dataDir, 'shops.json'),
+  SHADOW_LOG_PATH: path.join(dataDir, 'shadow.jsonl'),
+  RECONCILER_STATE_PATH: path.join(dataDir, 'reconciler.json'),
+  WEBHOOK_INBOX_PATH: path.join(dataDir, 'webhooks.json'),
+  PAYMENT_RULES_DIR: path.join(dataDir, 'rules'),
+  SHOPIFY_SHOP_NAME: 'test-shop.myshopify.com',
+  SHOPIFY_CLIENT_ID: 'test-client-id',
+  SHOPIFY_CLIENT_SECRET: 'test-client-secret',
+  SHOPIFY_WEBHOOK_SECRET: 'test-webhook-secret'
+});
+
+afterAll(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+const { WebhookInbox } = require('../services/webhookInbox');
+const { writeJsonFileAtomic } = require('../utils/helpers');
+const { waitFor, sleep } = require('./helpers');
+
+describe('webhook inbox', () => {
+  let count = 0;
+  const newInbox = () => new WebhookInbox(path.join(path.dirname(process.env.JOB_STORE_PATH), `inbox-${++count}.json`));
+
+  test('each entry is saved to its own file and found again by webhook ID', async () => {
+    const inbox = newInbox();
+    inbox.registerHandler('orders/create', async () => {});
+
+    const first = inbox.receive({ topic: 'orders/create', shop: 'a', orderId: 1, headers: { 'x-shopify-webhook-id': 'w-1' }, payload: { id: 1 } });
+    const firstFile = path.join(inbox.dir, `${first.id}.json`);
+    await waitFor(() => inbox.get(first.id).status === 'processed');
+    const { mtimeMs } = fs.statSync(firstFile);
+
+    const second = inbox.receive({ topic: 'orders/create', shop: 'a', orderId: 2, payload: { id: 2 } });
+    await waitFor(() => inbox.get(second.id).status === 'processed');
+
+    // Saving the second entry left the first one's file alone
+    expect(fs.statSync(firstFile).mtimeMs).toBe(mtimeMs);
+    expect(JSON.parse(fs.readFileSync(firstFile, 'utf8'))).toMatchObject({ status: 'processed', payload: { id: 1 } });
+    expect(inbox.findByWebhookId('w-1')).toMatchObject({ id: first.id });
+    expect(inbox.findByWebhookId('w-2')).toBeNull();
+
+    // A new process finds them on disk
+    const reloaded = new WebhookInbox(inbox.filePath);
+    expect(reloaded.list().map(entry => entry.id)).toEqual(expect.arrayContaining([first.id, second.id]));
+    expect(reloaded.findByWebhookId('w-1')).toMatchObject({ id: first.id });
+  });
+
+  test('a single-file inbox is imported', () => {
+    const filePath = path.join(path.dirname(process.env.JOB_STORE_PATH), 'legacy-inbox.json');
+    writeJsonFileAtomic(filePath, {
+      webhooks: [{
+        id: 'legacy-1',
+        webhookId: 'w-legacy',
+        topic: 'orders/create',
+        shop: 'a',
+        orderId: '7',
+        headers: {},
+        payload: { id: 7 },
+        status: 'processed',
+        receivedAt: new Date().toISOString(),
+        attempts: 1,
+        lastError: null,
+        replays: []
+      }]
+    });
+
+    const inbox = new WebhookInbox(filePath);
+
+    expect(inbox.findByWebhookId('w-legacy')).toMatchObject({ id: 'legacy-1', payload: { id: 7 } });
+    expect(fs.existsSync(filePath)).toBe(false);
+    expect(fs.existsSync(path.join(inbox.dir, 'legacy-1.json'))).toBe(true);
+  });
+
+  test('entries of one order are processed one at a time, in the order they arrived', async () => {
+    const inbox = newInbox();
+    const events = [];
+    const handler = async (entry) => {
+      events.push(`start ${entry.payload.name}`);
+      await sleep(30);
+      events.push(`end ${entry.payload.name}`);
+    };
+    inbox.registerHandler('orders/create', handler);
+    inbox.registerHandler('orders/updated', handler);
+
+    const entries = [
+      inbox.receive({ topic: 'orders/create', shop: 'a', orderId: 1, payload: { name: 'create 1' } }),
+      inbox.receive({ topic: 'orders/updated', shop: 'a', orderId: 1, payload: { name: 'update 1' } }),
+      inbox.receive({ topic: 'orders/create', shop: 'a', orderId: 2, payload: { name: 'create 2' } })
+    ];
+    await waitFor(() => entries.every(entry => inbox.get(entry.id).status === 'processed'));
+
+    expect(events.indexOf('start update 1')).toBeGreaterThan(events.indexOf('end create 1'));
+    // Other orders don't wait
+    expect(events.indexOf('start create 2')).toBeLessThan(events.indexOf('end create 1'));
+  });
+});
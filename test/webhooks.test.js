@@ -0,0 +1,316 @@
+const axios = require('axios');
+const MockAdminApi = require('./mockAdminApi');
+const { waitFor, sleep, signWebhook } = require('./helpers');
+const { writeJsonFileAtomic } = require('../utils/helpers');
+
+describe('webhooks', () => {
+  const mock = new MockAdminApi();
+  let server;
+  let client;
+  let shopifyService;
+  let jobStore;
+  let ledger;
+  let webhookInbox;
+
+  beforeAll(async () => {
+    process.env.SHOPIFY_API_BASE_URL = await mock.start();
+    process.env.PAY_LATER_DELAY_MINUTES = '60';
+    process.env.AUTO_VOID_ENABLED = 'true';
+
+    // The app reads its configuration when it is loaded
+    const app = require('../index');
+    shopifyService = require('../services/shopify');
+    jobStore = require('../services/jobStore');
+    ledger = require('../services/ledger');
+    webhookInbox = require('../services/webhookInbox');
+
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    client = axios.create({
+      baseURL: `http://127.0.0.1:${server.address().port}`,
+      validateStatus: () => true
+    });
+  });
+
+  afterAll(async () => {
+    shopifyService.stopScheduler();
+    server.close();
+    await mock.stop();
+  });
+
+  let webhookCount = 0;
+  const sendWebhook = (topic, payload, headers = {}) => {
+    const body = JSON.stringify(payload);
+    return client.post(`/webhooks/${topic}`, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Shopify-Topic': topic,
+        'X-Shopify-Shop-Domain': process.env.SHOPIFY_SHOP_NAME,
+        'X-Shopify-Webhook-Id': `webhook-${++webhookCount}`,
+        'X-Shopify-Hmac-Sha256': signWebhook(body),
+        ...headers
+      }
+    });
+  };
+
+  const orderFetches = (orderId) =>
+    mock.requests.filter(request => request.operation === 'getOrder' && String(request.body.variables.id).endsWith(`/${orderId}`));
+
+  test('orders/create captures a buy_now order', async () => {
+    const order = mock.addOrder({ total: 80, attributes: { payment_flag: 'buy_now' } });
+
+    const response = await sendWebhook('orders/create', { id: order.id });
+    expect(response.status).toBe(200);
+
+    const [capture] = await waitFor(() => mock.getCaptures(order.id).length > 0 && mock.getCaptures(order.id));
+    expect(capture).toMatchObject({ amount: '80.00', parent_id: mock.getAuthorization(order.id).id });
+    expect(mock.getOrder(order.id).financial_status).toBe('paid');
+  });
+
+  test('webhooks with a bad or missing signature are rejected', async () => {
+    const order = mock.addOrder({ attributes: { payment_flag: 'buy_now' } });
+
+    const forged = await sendWebhook('orders/create', { id: order.id }, {
+      'X-Shopify-Hmac-Sha256': signWebhook(JSON.stringify({ id: order.id }), 'wrong-secret')
+    });
+    const unsigned = await sendWebhook('orders/create', { id: order.id }, { 'X-Shopify-Hmac-Sha256': '' });
+
+    expect(forged.status).toBe(401);
+    expect(unsigned.status).toBe(401);
+    await sleep(100);
+    expect(orderFetches(order.id)).toHaveLength(0);
+  });
+
+  test('a redelivered webhook is acknowledged but processed once', async () => {
+    const order = mock.addOrder({ attributes: { payment_flag: 'buy_now' } });
+    const headers = { 'X-Shopify-Webhook-Id': `redelivered-${order.id}` };
+
+    const first = await sendWebhook('orders/create', { id: order.id }, headers);
+    const second = await sendWebhook('orders/create', { id: order.id }, headers);
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(200);
+    expect(second.data).toBe('Webhook already processed');
+    await waitFor(() => mock.getCaptures(order.id).length > 0);
+    await sleep(100);
+    expect(ledger.query({ orderId: order.id, action: 'decision' })).toHaveLength(1);
+    expect(mock.getCaptures(order.id)).toHaveLength(1);
+  });
+
+  test('webhooks from shops that never installed the app are refused', async () => {
+    const response = await sendWebhook('orders/create', { id: 1 }, { 'X-Shopify-Shop-Domain': 'other-shop.myshopify.com' });
+    expect(response.status).toBe(404);
+  });
+
+  test('orders/create schedules a pay_later order and orders/cancelled cancels it', async () => {
+    const order = mock.addOrder({ tags: 'pay_later' });
+
+    await sendWebhook('orders/create', { id: order.id });
+    const [job] = await waitFor(() => jobStore.list({ orderId: order.id }).length > 0 && jobStore.list({ orderId: order.id }));
+    expect(job).toMatchObject({ status: 'pending', rule: 'pay_later tag', scheduledBy: 'webhook' });
+    expect(job.scheduledTime - Date.parse(job.createdAt)).toBeGreaterThan(59 * 60 * 1000);
+
+    mock.updateOrder(order.id, { cancelled_at: new Date().toISOString() });
+    await sendWebhook('orders/cancelled', { id: order.id });
+
+    await waitFor(() => jobStore.get(job.id).status === 'cancelled');
+    expect(jobStore.get(job.id).cancelReason).toBe('order_cancelled');
+    // AUTO_VOID_ENABLED releases the hold on the card
+    await waitFor(() => mock.getOrder(order.id).financial_status === 'voided');
+    expect(mock.getCaptures(order.id)).toHaveLength(0);
+  });
+
+  test('fulfillments/create captures what was shipped of an on_fulfillment order', async () => {
+    const order = mock.addOrder({
+      attributes: { payment_flag: 'on_fulfillment' },
+      lineItems: [{ name: 'Lamp', quantity: 1, price: 60 }, { name: 'Shade', quantity: 1, price: 20 }]
+    });
+
+    await sendWebhook('orders/create', { id: order.id });
+    await waitFor(() => jobStore.list({ orderId: order.id }).length > 0);
+    expect(mock.getCaptures(order.id)).toHaveLength(0);
+
+    const fulfillment = mock.fulfill(order.id, [{ id: order.line_items[0].id, quantity: 1 }]);
+    const response = await sendWebhook('fulfillments/create', fulfillment);
+    expect(response.status).toBe(200);
+
+    const [capture] = await waitFor(() => mock.getCaptures(order.id).length > 0 && mock.getCaptures(order.id));
+    expect(capture.amount).toBe('60.00');
+    expect(mock.getOrder(order.id).financial_status).toBe('partially_paid');
+  });
+
+  test('every accepted webhook is archived in the inbox', async () => {
+    const order = mock.addOrder({ attributes: { payment_flag: 'buy_now' } });
+
+    await sendWebhook('orders/create', { id: order.id }, { 'X-Shopify-Webhook-Id': `archived-${order.id}` });
+
+    const [entry] = await waitFor(() => {
+      const entries = webhookInbox.list({ orderId: order.id });
+      return entries.length > 0 && entries[0].status === 'processed' && entries;
+    });
+    expect(entry).toMatchObject({
+      topic: 'orders/create',
+      shop: process.env.SHOPIFY_SHOP_NAME,
+      webhookId: `archived-${order.id}`,
+      payload: { id: order.id },
+      attempts: 1
+    });
+    expect(entry.headers['x-shopify-topic']).toBe('orders/create');
+    expect(entry.headers.authorization).toBeUndefined();
+  });
+
+  test('failed deliveries are kept and can be replayed', async () => {
+    const order = mock.addOrder({ total: 35, attributes: { payment_flag: 'buy_now' } });
+    mock.fail({ operation: 'getOrder', status: 403, body: { errors: 'Forbidden' } });
+
+    await sendWebhook('orders/create', { id: order.id });
+    const [failed] = await waitFor(() => {
+      const entries = webhookInbox.list({ orderId: order.id, status: 'failed' });
+      return entries.length > 0 && entries;
+    });
+    expect(failed.lastError).toMatch(/403/);
+    expect(mock.getCaptures(order.id)).toHaveLength(0);
+
+    const listed = await client.get('/webhook-inbox', { params: { status: 'failed' } });
+    expect(listed.data.webhooks.map(entry => entry.id)).toContain(failed.id);
+    expect(listed.data.webhooks[0].payload).toBeUndefined();
+
+    const replay = await client.post(`/webhook-inbox/${failed.id}/replay`);
+    expect(replay.status).toBe(200);
+
+    await waitFor(() => mock.getCaptures(order.id).length > 0);
+    await waitFor(() => webhookInbox.get(failed.id).status === 'processed');
+    expect(webhookInbox.get(failed.id)).toMatchObject({ attempts: 2, replays: [expect.objectContaining({ previousStatus: 'failed' })] });
+  });
+
+  test('replaying all failed deliveries skips the rest', async () => {
+    const first = mock.addOrder({ tags: 'buy_now' });
+    const second = mock.addOrder({ tags: 'buy_now' });
+    mock.fail({ operation: 'getOrder', status: 403, times: 2 });
+
+    await sendWebhook('orders/create', { id: first.id });
+    await sendWebhook('orders/create', { id: second.id });
+    const failedIds = await waitFor(() => {
+      const entries = [first, second].flatMap(order => webhookInbox.list({ orderId: order.id, status: 'failed' }));
+      return entries.length === 2 && entries.map(entry => entry.id);
+    });
+
+    const response = await client.post('/webhook-inbox/replay', { topic: 'orders/create' });
+    expect(response.data.replayed).toEqual(expect.arrayContaining(failedIds));
+    await waitFor(() => mock.getCaptures(first.id).length > 0 && mock.getCaptures(second.id).length > 0);
+
+    const again = await client.post('/webhook-inbox/replay', { ids: ['no-such-entry'] });
+    expect(again.data).toMatchObject({ replayed: [], skipped: [{ id: 'no-such-entry', reason: 'not_found' }] });
+  });
+
+  test('webhooks a previous process saved but never processed are resumed', async () => {
+    const order = mock.addOrder({ total: 15, tags: 'buy_now' });
+    const saved = webhookInbox.list();
+    // The previous process died after acknowledging the webhook
+    writeJsonFileAtomic(webhookInbox.filePath, {
+      webhooks: [...saved, {
+        id: `unfinished-${order.id}`,
+        webhookId: null,
+        topic: 'orders/create',
+        shop: process.env.SHOPIFY_SHOP_NAME,
+        orderId: String(order.id),
+        headers: {},
+        payload: { id: order.id },
+        status: 'processing',
+        receivedAt: new Date().toISOString(),
+        attempts: 1,
+        lastError: null,
+        replays: []
+      }]
+    });
+
+    webhookInbox.load();
+    expect(webhookInbox.resume()).toBe(1);
+
+    await waitFor(() => mock.getCaptures(order.id).length > 0);
+    await waitFor(() => webhookInbox.get(`unfinished-${order.id}`).status === 'processed');
+  });
+
+  test('webhooks are refused with a 503 once a shutdown has started', async () => {
+    const lifecycle = require('../services/lifecycle');
+    const order = mock.addOrder({ attributes: { payment_flag: 'buy_now' } });
+
+    lifecycle.beginShutdown();
+    try {
+      const response = await sendWebhook('orders/create', { id: order.id });
+      const health = await client.get('/health');
+
+      expect(response.status).toBe(503);
+      expect(response.headers['retry-after']).toBe('30');
+      expect(health).toMatchObject({ status: 503, data: { status: 'shutting_down' } });
+      expect(webhookInbox.list({ orderId: order.id })).toHaveLength(0);
+    } finally {
+      lifecycle.shuttingDown = false;
+    }
+  });
+
+  test('payloads without an order ID are rejected', async () => {
+    const response = await sendWebhook('orders/create', { name: '#1001' });
+    expect(response.status).toBe(400);
+  });
+
+  test('dead-lettered jobs are only requeued with a valid delay', async () => {
+    const order = mock.addOrder();
+    const authorization = mock.getAuthorization(order.id);
+    const job = shopifyService.schedulePaymentCapture(order.id, authorization.id, 60 * 60 * 1000);
+    shopifyService.disarmJob(job.id);
+    jobStore.update(job.id, { status: 'dead_letter', lastError: 'HTTP 500' });
+
+    const invalid = await client.post(`/dead-letter/${job.id}/requeue`, null, { params: { delay: 'abc' } });
+    expect(invalid.status).toBe(400);
+    expect(jobStore.get(job.id).status).toBe('dead_letter');
+    expect(() => shopifyService.requeueDeadLetterJob(job.id, NaN)).toThrow(/Invalid requeue delay/);
+
+    const requeued = await client.post(`/dead-letter/${job.id}/requeue`, null, { params: { delay: 60000 } });
+    expect(requeued.status).toBe(200);
+    expect(jobStore.get(job.id).status).toBe('pending');
+    shopifyService.cancelJob(job.id);
+  });
+
+  test('the ledger export does not hand spreadsheets formulas', async () => {
+    const orderId = mock.addOrder().id;
+    ledger.record({ shop: process.env.SHOPIFY_SHOP_NAME, orderId, action: 'capture', status: 'failed', amount: -5, rule: '=HYPERLINK("http://evil.test")', reason: '@SUM(A1)' });
+
+    const response = await client.get('/ledger', { params: { format: 'csv', action: 'capture', status: 'failed' } });
+
+    expect(response.status).toBe(200);
+    const row = response.data.split('\r\n').find(line => line.includes(`,${orderId},`));
+    expect(row).toContain(`,-5,`);
+    expect(row).toContain(`,"'=HYPERLINK(""http://evil.test"")",'@SUM(A1),`);
+  });
+
+  test('the configuration is shown to operators without its secrets', async () => {
+    const response = await client.get('/config');
+
+    expect(response.status).toBe(200);
+    expect(response.data.settings.capture.payLaterDelayMinutes).toEqual({ value: 60, env: 'PAY_LATER_DELAY_MINUTES', source: 'env' });
+    expect(response.data.settings.shopify.clientSecret.value).toBe('[redacted]');
+    expect(JSON.stringify(response.data)).not.toContain(process.env.SHOPIFY_CLIENT_SECRET);
+  });
+
+  // Last: it cancels every job of the test shop
+  test('app/uninstalled cancels the shop\'s pending jobs and discards its dead-lettered ones', async () => {
+    const pendingOrder = mock.addOrder();
+    const deadOrder = mock.addOrder();
+    const pending = shopifyService.schedulePaymentCapture(pendingOrder.id, mock.getAuthorization(pendingOrder.id).id, 60 * 60 * 1000);
+    const dead = shopifyService.schedulePaymentCapture(deadOrder.id, mock.getAuthorization(deadOrder.id).id, 60 * 60 * 1000);
+    shopifyService.disarmJob(dead.id);
+    jobStore.update(dead.id, { status: 'dead_letter', lastError: 'HTTP 500' });
+
+    const response = await sendWebhook('app/uninstalled', { myshopify_domain: process.env.SHOPIFY_SHOP_NAME });
+    expect(response.status).toBe(200);
+
+    await waitFor(() => jobStore.get(dead.id).status === 'cancelled');
+    expect(jobStore.get(dead.id)).toMatchObject({ cancelReason: 'app_uninstalled', discardedAt: expect.any(String) });
+    expect(jobStore.get(pending.id)).toMatchObject({ status: 'cancelled', cancelReason: 'app_uninstalled' });
+    expect(shopifyService.getDeadLetterJobs(process.env.SHOPIFY_SHOP_NAME)).toHaveLength(0);
+
+    const requeue = await client.post(`/dead-letter/${dead.id}/requeue`);
+    expect(requeue.status).toBe(404);
+  });
+});
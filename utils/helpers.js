@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+
+// Read and parse a JSON file, returning `fallback` when it does not exist yet
+const readJsonFile = (filePath, fallback = null) => {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fallback;
+    }
+    throw error;
+  }
+};
+
+// Write JSON through a temp file and rename it into place, so a crash
+// mid-write never leaves a truncated file behind
+const writeJsonFileAtomic = (filePath, data) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpPath, filePath);
+};
+
+// ISO 4217 currencies without minor units
+const ZERO_DECIMAL_CURRENCIES = ['BIF', 'CLP', 'DJF', 'GNF', 'ISK', 'JPY', 'KMF', 'KRW', 'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'];
+
+const currencyDecimals = (currency) =>
+  ZERO_DECIMAL_CURRENCIES.includes(String(currency).toUpperCase()) ? 0 : 2;
+
+// Round to the currency's minor unit, avoiding float drift on sums of amounts
+const roundMoney = (amount, currency) => {
+  const factor = Math.pow(10, currencyDecimals(currency));
+  return Math.round((Number(amount) + Number.EPSILON) * factor) / factor;
+};
+
+// Shopify expects decimal strings for money fields
+const formatMoney = (amount, currency) =>
+  roundMoney(amount, currency).toFixed(currencyDecimals(currency));
+
+// amount/percentage/currency for a manual capture, from an API request or
+// the command line. Returns { options }, or { error } when the values are
+// unusable.
+const parseCaptureOptions = (source) => {
+  const options = {};
+
+  if (source.amount !== undefined) {
+    options.amount = parseFloat(source.amount);
+    if (!(options.amount > 0)) {
+      return { error: 'amount must be a positive number' };
+    }
+  }
+
+  if (source.percentage !== undefined) {
+    options.percentage = parseFloat(source.percentage);
+    if (!(options.percentage > 0 && options.percentage <= 100)) {
+      return { error: 'percentage must be between 0 and 100' };
+    }
+  }
+
+  if (source.currency) {
+    options.currency = String(source.currency).toUpperCase();
+  }
+
+  return { options };
+};
+
+const SHOP_DOMAIN_PATTERN = /^[a-z0-9][a-z0-9-]*\.myshopify\.com$/;
+
+// Accepts "my-store" or "my-store.myshopify.com" (any case, optional scheme)
+// and returns "my-store.myshopify.com", or null if it isn't a shop domain
+const normalizeShopDomain = (shop) => {
+  if (!shop) {
+    return null;
+  }
+  let domain = String(shop).trim().toLowerCase().replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+  if (!domain.includes('.')) {
+    domain = `${domain}.myshopify.com`;
+  }
+  return SHOP_DOMAIN_PATTERN.test(domain) ? domain : null;
+};
+
+// Where a shop's Admin API lives. A baseUrl (SHOPIFY_API_BASE_URL, e.g.
+// http://localhost:4010 for test/mockAdminApi.js) sends every shop's calls
+// somewhere else.
+const getShopAdminUrl = (shop, baseUrl) =>
+  `${(baseUrl || `https://${shop}`).replace(/\/$/, '')}/admin`;
+
+const csvValue = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  // A spreadsheet would run text starting with one of these as a formula
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// RFC 4180 CSV with a header row; objects are written as JSON and text a
+// spreadsheet would take for a formula is prefixed with '
+const toCsv = (rows, columns) =>
+  [columns.join(','), ...rows.map(row => columns.map(column => csvValue(row[column])).join(','))]
+    .join('\r\n') + '\r\n';
+
+// The page_info cursor of the next page from a REST Link header, or null on
+// the last page
+const getNextPageInfo = (linkHeader) => {
+  const next = String(linkHeader || '').split(',').find(link => /rel="?next"?/.test(link));
+  const match = next && next.match(/[?&]page_info=([^&>]+)/);
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
+module.exports = {
+  readJsonFile,
+  writeJsonFileAtomic,
+  roundMoney,
+  formatMoney,
+  parseCaptureOptions,
+  normalizeShopDomain,
+  getShopAdminUrl,
+  toCsv,
+  getNextPageInfo
+};
@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Field names whose values are never logged
+const SECRET_KEY_PATTERN = /token|secret|password|authorization|api[-_]?key|cookie|hmac/i;
+const PII_KEYS = new Set([
+  'email', 'contact_email', 'phone', 'first_name', 'last_name', 'address1', 'address2',
+  'zip', 'browser_ip', 'customer', 'billing_address', 'shipping_address',
+  'default_address', 'client_details', 'note'
+]);
+const EMAIL_PATTERN = /[^\s@"'<>(),;:]+@[^\s@"'<>(),;:]+\.[a-z]{2,}/gi;
+const SHOPIFY_TOKEN_PATTERN = /\bshp(?:at|ca|pa|ss)_[a-z0-9]+/gi;
+const REDACTED = '[REDACTED]';
+
+// Correlation ID, shop, order and job of the work currently running. Set per
+// incoming request and per scheduled job, and inherited by everything they
+// start, including timers.
+const contextStorage = new AsyncLocalStorage();
+
+const redactString = (value) =>
+  value.replace(SHOPIFY_TOKEN_PATTERN, REDACTED).replace(EMAIL_PATTERN, REDACTED);
+
+const redact = (value, seen = new WeakSet()) => {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, seen));
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = SECRET_KEY_PATTERN.test(key) || PII_KEYS.has(key) ? REDACTED : redact(item, seen);
+  }
+  return result;
+};
+
+// Errors don't serialize to JSON; keep what helps diagnose a Shopify call
+const serializeError = (error) => ({
+  message: error.message,
+  code: error.code,
+  status: error.response ? error.response.status : undefined,
+  response: error.response ? error.response.data : undefined,
+  stack: error.stack
+});
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+// Appends to `<dir>/<name>.log`, moving it to `<name>-<day>.<n>.log` when the
+// day changes or it would outgrow maxBytes, and keeping at most maxFiles of
+// those
+class RotatingFile {
+  constructor({ dir, name, maxBytes, maxFiles }) {
+    this.dir = dir;
+    this.name = name;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    this.filePath = path.join(dir, `${name}.log`);
+    this.size = null;
+    this.day = null;
+  }
+
+  open() {
+    fs.mkdirSync(this.dir, { recursive: true });
+    try {
+      const stat = fs.statSync(this.filePath);
+      this.size = stat.size;
+      this.day = formatDay(stat.mtime);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      this.size = 0;
+      this.day = formatDay(new Date());
+    }
+  }
+
+  rotate() {
+    const prefix = `${this.name}-${this.day}.`;
+    const existing = fs.readdirSync(this.dir).filter(file => file.startsWith(prefix));
+    fs.renameSync(this.filePath, path.join(this.dir, `${prefix}${existing.length + 1}.log`));
+    this.size = 0;
+    this.day = formatDay(new Date());
+    this.prune();
+  }
+
+  prune() {
+    const rotated = fs.readdirSync(this.dir)
+      .filter(file => file.startsWith(`${this.name}-`) && file.endsWith('.log'))
+      .map(file => ({ file, mtime: fs.statSync(path.join(this.dir, file)).mtimeMs }))
+      .sort((a, b) => b.mtime - a.mtime);
+
+    rotated.slice(this.maxFiles).forEach(({ file }) => fs.unlinkSync(path.join(this.dir, file)));
+  }
+
+  write(line) {
+    if (this.size === null) {
+      this.open();
+    }
+
+    const bytes = Buffer.byteLength(line);
+    if (this.size > 0 && (this.day !== formatDay(new Date()) || this.size + bytes > this.maxBytes)) {
+      this.rotate();
+    }
+
+    fs.appendFileSync(this.filePath, line);
+    this.size += bytes;
+  }
+}
+
+// Shared by every logger so all of them write to the same file
+const core = {
+  level: LEVELS[config.logging.level],
+  console: config.logging.console,
+  file: new RotatingFile({
+    dir: config.logging.dir,
+    name: 'app',
+    maxBytes: config.logging.maxBytes,
+    maxFiles: config.logging.maxFiles
+  }),
+  fileFailed: false
+};
+
+// JSON-lines logger. Every line carries the level, message, the logger's
+// bound fields (see child()) and the current context; tokens and customer
+// details are redacted.
+class Logger {
+  constructor(bindings = {}) {
+    this.bindings = bindings;
+  }
+
+  child(bindings) {
+    return new Logger({ ...this.bindings, ...bindings });
+  }
+
+  log(level, msg, fields = {}) {
+    if (LEVELS[level] < core.level) {
+      return;
+    }
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...this.bindings,
+      ...contextStorage.getStore(),
+      ...fields
+    };
+    if (entry.error instanceof Error) {
+      entry.error = serializeError(entry.error);
+    }
+
+    const line = `${JSON.stringify(redact(entry))}\n`;
+
+    if (core.console) {
+      (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line);
+    }
+
+    try {
+      core.file.write(line);
+    } catch (error) {
+      if (!core.fileFailed) {
+        core.fileFailed = true;
+        process.stderr.write(`Log file unavailable, logging to console only: ${error.message}\n`);
+      }
+    }
+  }
+
+  debug(msg, fields) {
+    this.log('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.log('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.log('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this.log('error', msg, fields);
+  }
+
+  // Run fn with extra context fields (correlationId, shop, orderId, jobId)
+  runWithContext(fields, fn) {
+    return contextStorage.run({ ...contextStorage.getStore(), ...fields }, fn);
+  }
+
+  // Add fields to the context of the work currently running
+  addContext(fields) {
+    const store = contextStorage.getStore();
+    if (store) {
+      Object.assign(store, fields);
+    }
+  }
+
+  getCorrelationId() {
+    const store = contextStorage.getStore();
+    return store ? store.correlationId : undefined;
+  }
+
+  newCorrelationId() {
+    return crypto.randomUUID();
+  }
+
+  // Resolves once console output written so far has been handed to the OS
+  // (the log file is written synchronously)
+  flush() {
+    return Promise.all([process.stdout, process.stderr].map(stream =>
+      new Promise(resolve => stream.write('', resolve))
+    ));
+  }
+}
+
+module.exports = new Logger();
+module.exports.Logger = Logger;
+module.exports.RotatingFile = RotatingFile;
+module.exports.redact = redact;